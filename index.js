@@ -1,61 +1,201 @@
 import dotenv from 'dotenv';
 import { parseArguments } from './src/cli/cli.js';
 import { loadUrls } from './src/cli/urlLoader.js';
-import { processUrl } from './src/core/actions.js';
+import { processUrl, processEntry } from './src/core/actions.js';
+import { runBatch, formatProgress } from './src/core/batch-runner.js';
+import rollupAction from './src/core/rollup.js';
+import { configureRateLimits, parseRateLimit } from './src/core/rate-limiter.js';
+import { RunManifest } from './src/core/run-manifest.js';
+import { summarizeBudgets, EXIT_CODES } from './src/core/assert.js';
+import { startServer } from './src/core/server.js';
+import { runMonitor } from './src/core/monitor.js';
+import { parseSchedule } from './src/core/schedule.js';
+import { createNotifier } from './src/core/notifiers.js';
+import { logger, createCliLogger, setDefaultLogger } from './src/core/logger.js';
+import { setDeviceProfiles, parseProfiles } from './src/core/profiles.js';
 
 // Load environment variables
 dotenv.config();
 
+// Budgets of the run, once resolved from the CLI, the config file or the resumed run
+let assertions = [];
+
 async function main() {
   // Parse command line arguments
-  const argv = parseArguments();
+  const argv = await parseArguments();
+
+  // The MCP reviewer talks JSON-RPC over stdout, so all its output goes to stderr
+  setDefaultLogger(createCliLogger({
+    level: argv.logLevel,
+    format: argv.logFormat,
+    stream: argv.action === 'mcp-reviewer' ? process.stderr : undefined,
+  }));
+
+  // Resumed runs reuse the settings of the original run
+  let manifest;
+  if (argv.resume) {
+    try {
+      manifest = RunManifest.load(argv.resume);
+    } catch (error) {
+      logger.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+  const settings = manifest ? manifest.data.settings : argv;
+
+  // Custom device profiles are only set through the config file
+  const { deviceProfiles } = settings;
+  setDeviceProfiles(deviceProfiles);
 
   // Extract parameters
-  const action = argv.action;
-  const deviceType = argv.device;
-  const skipCache = argv.skipCache;
-  const outputSuffix = argv.outputSuffix;
-  const blockRequests = argv.blockRequests;
-  const model = argv.model;
+  const action = manifest ? manifest.data.action : argv.action;
+  // Device profiles, when set, replace the devices: each one is processed as a device of its own
+  const requestedDevices = argv.profile ? parseProfiles(argv.profile) : argv.device;
+  const devices = manifest ? settings.devices : requestedDevices;
+  // Stages that completed before the interruption are loaded back from the cache
+  const skipCache = manifest ? false : argv.skipCache;
+  const outputSuffix = settings.outputSuffix;
+  const blockRequests = settings.blockRequests;
+  const model = settings.model;
+  const concurrency = argv.concurrency;
+  // Collectors and thresholds are only set through the config file
+  const { thresholds } = settings;
+  // Optional collectors can also be turned on from the CLI
+  const cliCollectors = ['interactions', 'filmstrip', 'trace', 'scroll', 'repeatView', 'bfcache'].filter((name) => settings[name]);
+  const collectors = cliCollectors.length > 0
+    ? { ...settings.collectors, ...Object.fromEntries(cliCollectors.map((name) => [name, true])) }
+    : settings.collectors;
+  // Number of lab runs per page, the median run is kept
+  const runs = settings.runs ?? 1;
+  assertions = settings.assert || [];
+  // Consent banners are measured as a first visit sees them, unless accepted before the measured load
+  const consent = settings.consent;
+  // What-if experiments of the experiment action, per-URL experiments take precedence
+  const { experiments } = settings;
+  // User journey of the journey action, per-URL journeys take precedence
+  const { journey } = settings;
   
   // Handle MCP reviewer action separately
   if (action === 'mcp-reviewer') {
-    // Note: No console output for MCP mode - it interferes with JSON-RPC protocol
-    await processUrl(null, action, deviceType, skipCache, outputSuffix, blockRequests, model);
+    await processUrl(null, action, devices[0], skipCache, outputSuffix, blockRequests, model);
     return;
   }
   
+  // The server receives the URLs through its API, the CLI settings are the defaults of the jobs
+  if (action === 'serve') {
+    await startServer({
+      port: argv.port,
+      host: argv.host,
+      concurrency,
+      defaults: {
+        devices, outputSuffix, blockRequests, model, collectors, runs, thresholds, consent,
+      },
+    });
+    return;
+  }
+
   // Load URLs for other actions
   const agentMode = argv.agentMode;
 
   // Load URLs
-  const urls = loadUrls(argv);
+  // Budgets are checked on all the URLs of a resumed run, completed ones are read from the cache
+  let entries;
+  if (manifest) {
+    entries = assertions.length > 0 ? manifest.data.entries : manifest.getPendingEntries();
+  } else {
+    entries = await loadUrls(argv);
+  }
 
-  console.log(`Running ${action} for ${urls.length} URL(s) on ${deviceType}...`);
+  // The rollup only aggregates cached results of the batch, nothing is collected
+  if (action === 'rollup') {
+    await rollupAction(entries, devices, { outputSuffix, model });
+    return;
+  }
+
+  // Configure per-dependency throttling
+  configureRateLimits(Object.assign({}, ...argv.rateLimit.map((spec) => parseRateLimit(String(spec)))));
+
+  // Monitoring runs collect and rules on every tick and keeps its own history, so it has no run manifest
+  if (action === 'monitor') {
+    await runMonitor(entries, {
+      schedule: argv.schedule ? parseSchedule(argv.schedule) : null,
+      once: argv.once,
+      tolerance: argv.tolerance,
+      notifiers: argv.notify.map((spec) => createNotifier(spec)),
+      devices, outputSuffix, blockRequests, model, collectors, runs, thresholds, consent, concurrency,
+    });
+    return;
+  }
+
+  if (manifest) {
+    logger.info(`Resuming run ${manifest.runId}: ${entries.length} of ${manifest.data.entries.length} URL(s) left to process`);
+  } else {
+    manifest = RunManifest.create(entries, action, {
+      devices, deviceProfiles, outputSuffix, blockRequests, model, collectors, runs, thresholds, assert: assertions, experiments, journey, consent,
+    });
+    logger.info(`Run ID: ${manifest.runId}`);
+  }
+  logger.event('run:start', {
+    runId: manifest.runId, action, urls: entries.length, devices,
+  });
+  logger.info(`Running ${action} for ${entries.length} URL(s) on ${devices.join(', ')}${concurrency > 1 ? ` with concurrency ${concurrency}` : ''}...`);
+  if (argv.configProfile) {
+    logger.info(`Using profile "${argv.configProfile}" from ${argv.configFile}`);
+  } else if (argv.configFile) {
+    logger.info(`Using config from ${argv.configFile}`);
+  }
   if (skipCache) {
-    console.log('Cache is disabled. Forcing new data collection.');
+    logger.info('Cache is disabled. Forcing new data collection.');
   }
   if (model) {
-    console.log(`Using model: ${model}`);
+    logger.info(`Using model: ${model}`);
   }
 
-  // Process each URL
-  for (const url of urls) {
-    await processUrl(url, action, deviceType, skipCache, outputSuffix, blockRequests, model, agentMode);
+  // Process the URLs, external calls are throttled per dependency
+  // Per-URL settings from the manifest override the CLI defaults
+  const results = await runBatch(
+    entries,
+    (entry) => processEntry(entry, action, {
+      devices, skipCache, outputSuffix, blockRequests, model, collectors, runs, thresholds, assertions, experiments, journey, consent, manifest,
+    }),
+    {
+      concurrency,
+      onProgress: (stats) => {
+        if (entries.length > 1) {
+          logger.info(formatProgress(stats));
+        }
+      },
+    },
+  );
+
+  const summary = manifest.getSummary();
+  logger.event('run:finish', summary);
+  if (summary.failed + summary.pending > 0) {
+    logger.warn(`⚠️  Run ${manifest.runId}: ${summary.complete} complete, ${summary.failed} failed. Retry with: --resume ${manifest.runId}`);
+  } else {
+    logger.info(`✅ Run ${manifest.runId} complete, manifest saved at: ${manifest.filePath}`);
+  }
 
-    // Small delay between processing URLs
-    if (urls.length > 1) {
-      await new Promise(resolve => setTimeout(resolve, 60_000)); // 1min
+  // Fail the process on budget violations, so it can gate CI jobs
+  if (assertions.length > 0) {
+    const budgets = summarizeBudgets(results);
+    const message = `Budgets: ${budgets.passed} passed, ${budgets.violations} failed, ${budgets.errors} error(s)`;
+    if (budgets.exitCode === EXIT_CODES.PASS) {
+      logger.info(`✅ ${message}`);
+    } else {
+      logger.error(`❌ ${message}`);
     }
+    process.exitCode = budgets.exitCode;
   }
 }
 
 // Run the main function
 main().catch(error => {
-  // Only log to stderr (not stdout) and only exit for non-MCP actions
-  console.error('Fatal error:', error);
+  // Only exit for non-MCP actions
+  logger.error('Fatal error:', error);
   // Don't exit if we're running MCP server (it should handle its own errors)
   if (!process.argv.includes('mcp-reviewer')) {
-    process.exit(1);
+    // Budget checks report failures with a dedicated code, distinct from violations
+    process.exit(assertions.length > 0 ? EXIT_CODES.ERROR : 1);
   }
 });
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Programmatic API of the CWV agent.
+ * Every function runs in its own execution context: pass a `logger` to capture the output (the console is used
+ * otherwise, `silentLogger` drops it), an `env` object to provide the API keys and model credentials instead of
+ * reading `process.env`, and a `cache` adapter (any object with synchronous `get(key)`/`set(key, value)`, e.g. a `Map`)
+ * to keep the collected artifacts out of the `.cache` folder. Failures are thrown rather than logged.
+ */
+
+import collectArtifacts from './core/collect.js';
+import rulesAction from './core/rules.js';
+import runPromptAction from './core/multishot-prompt.js';
+import { runAgentFlow as runAgentFlowAction } from './core/multi-agents.js';
+import experimentAction from './core/experiment.js';
+import thirdPartyCostAction from './core/third-party-cost.js';
+import journeyAction from './core/journey.js';
+import { runWithContext } from './core/context.js';
+import { resolveAuth } from './core/auth.js';
+import { createLogger } from './core/logger.js';
+import { getCachedResults, getNormalizedUrl } from './utils.js';
+import { DEFAULT_MODEL } from './models/config.js';
+
+export { CWVSuggestionManager } from './core/suggestion-manager.js';
+export { createLogger, consoleLogger, silentLogger } from './core/logger.js';
+
+/**
+ * @typedef {Object} AnalysisOptions
+ * @property {String} [deviceType='mobile'] - The device to emulate, `mobile`, `desktop` or a device profile (e.g. `tablet`, `mobile@fast-3g`).
+ * @property {Object} [deviceProfiles] - Custom device profiles, by name.
+ * @property {Boolean} [skipCache=false] - Whether to ignore the cached artifacts.
+ * @property {String} [model] - The LLM used for the reports, defaults to the CLI default model.
+ * @property {String} [blockRequests] - Comma-separated URL patterns blocked in the lab run.
+ * @property {Object} [auth] - Authentication of gated pages (cookies, headers, basic, login, gated), see the README.
+ * @property {Number} [runs=1] - Number of lab runs, the median run is analyzed.
+ * @property {String} [consent='first-visit'] - How the lab run handles consent banners and interstitials,
+ *   `first-visit` measures them, `accept` accepts them in a first load and measures a second one.
+ * @property {String} [outputSuffix] - Suffix added to the cached artifacts.
+ * @property {Object} [collectors] - Lab collectors to toggle (har, perfEntries, fullHtml, coverage, code, interactions, filmstrip, trace, scroll, repeatView, bfcache).
+ * @property {Object} [thresholds] - Threshold overrides for the rules (`rules`) and the agent gates (`agent`).
+ * @property {Object} [logger] - Logger receiving the output, only the implemented levels are used.
+ *   Loggers with an `event(name, fields)` method also receive the stage start/finish events.
+ * @property {Object} [env] - Environment variables used before `process.env`.
+ * @property {Object} [cache] - Cache adapter used instead of the `.cache` folder.
+ */
+
+/**
+ * @typedef {Object} CollectResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {Object|null} crux - The CrUX record.
+ * @property {Object|null} psi - The PageSpeed Insights report.
+ * @property {Object|null} har - The HAR of the lab run.
+ * @property {Object[]|null} perfEntries - The performance entries of the lab run.
+ * @property {String|null} fullHtml - The rendered HTML.
+ * @property {Object|null} jsApi - The JS API usage data.
+ * @property {Object|null} coverageData - The code coverage data.
+ * @property {Object|null} variance - The distribution of the lab metrics across runs, when `runs` is over 1.
+ * @property {Object|null} profile - The device profile emulated in the lab run.
+ * @property {Object|null} trace - The main-thread attribution of the Chrome trace, when the `trace` collector is on.
+ * @property {Object|null} consent - The consent mode of the lab run, the overlays it dismissed and the ones left visible.
+ * @property {Object|null} repeatView - The warm-cache repeat view metrics and cache statuses, when the `repeatView` collector is on.
+ * @property {Object|null} bfcache - Whether the back/forward cache restores the page and why not, when the `bfcache` collector is on.
+ * @property {Object|null} filmstrip - The visual progress of the lab run (Speed Index, filmstrip frames, screenshots at LCP and load end).
+ * @property {Object} resources - The source of the first-party resources, by URL.
+ * @property {Object} summaries - The text summaries fed to the LLM (crux, psi, har, perfEntries, coverage).
+ */
+
+/**
+ * @typedef {Object} RulesResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {Object[]} rules - The result of every rule.
+ * @property {Object[]} failing - The failing rules.
+ * @property {String} summary - The markdown summary of the failing rules.
+ * @property {Boolean} fromCache - Whether the rules were loaded from the cache.
+ */
+
+/**
+ * @typedef {Object} ReportResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {String} model - The LLM that generated the report.
+ * @property {String} content - The raw report generated by the LLM.
+ * @property {Object|null} suggestions - The structured suggestions extracted from the report, if any.
+ */
+
+/**
+ * @typedef {Object} ExperimentsResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {Number} runs - The number of lab runs of each measurement.
+ * @property {String|null} lcpUrl - The LCP image of the baseline, targeted by the `lcp` selector.
+ * @property {Object} baseline - The median (and standard deviation) of each metric without mutations.
+ * @property {Object[]} experiments - The experiments, each with its `medians` and its `deltas` to the baseline.
+ * @property {String} summary - The markdown summary of the experiments.
+ */
+
+/**
+ * @typedef {Object} ThirdPartyCostResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {Number} runs - The number of lab runs of each measurement.
+ * @property {Object|null} baseline - The median (and standard deviation) of each metric with all the third parties.
+ * @property {Object[]} vendors - The third-party vendors (or origins), with their hosts, requests, transfer size and
+ *   the `savings` measured by blocking them.
+ * @property {Object|null} all - The savings of blocking all the third parties together.
+ * @property {Object[]} unmeasured - The smallest vendors, only blocked with all the third parties.
+ * @property {String} summary - The markdown summary of the savings.
+ */
+
+/**
+ * @typedef {Object} JourneyResult
+ * @property {String} url - The analyzed URL, after redirects.
+ * @property {String} deviceType
+ * @property {Object[]} steps - The steps run, each with its `actions`, the `url` it ended on, its `metrics`
+ *   (navigation type, TTFB, LCP, INP, CLS, blocking time, network activity), its `perfEntries`, its merged `timeline`
+ *   and its failing `rules`, or the `error` that stopped the journey.
+ * @property {String} summary - The markdown summary of the journey.
+ */
+
+/**
+ * Runs an action on the normalized URL, in the execution context built from the options.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} options
+ * @param {Function} fn - The function `(url, deviceType, actionOptions)` running the action.
+ * @returns {Promise<any>}
+ */
+function run(pageUrl, {
+  logger, env, cache, deviceProfiles, deviceType = 'mobile', model = DEFAULT_MODEL, ...options
+}, fn) {
+  const context = {
+    logFields: { url: pageUrl, device: deviceType },
+    ...(logger && { logger: createLogger(logger) }),
+    ...(env && { env }),
+    ...(cache && { cache }),
+    ...(deviceProfiles && { deviceProfiles }),
+  };
+  return runWithContext(context, async () => {
+    const auth = await resolveAuth(options.auth, pageUrl, deviceType);
+    const normalizedUrl = await getNormalizedUrl(pageUrl, deviceType, auth);
+    if (!normalizedUrl?.url) {
+      throw new Error(`Failed to access: ${pageUrl}`);
+    }
+    return fn(normalizedUrl.url, deviceType, {
+      ...options,
+      model,
+      skipCache: !!options.skipCache,
+      skipTlsCheck: normalizedUrl.skipTlsCheck,
+      auth,
+    });
+  });
+}
+
+function getReportContent(report) {
+  if (typeof report === 'string') {
+    return report;
+  }
+  // Reports loaded from the cache are serialized LangChain messages
+  return report?.content ?? report?.kwargs?.content ?? '';
+}
+
+function toReportResult(url, deviceType, model, report) {
+  if (report instanceof Error) {
+    throw report;
+  }
+  return {
+    url,
+    deviceType,
+    model,
+    content: getReportContent(report),
+    suggestions: getCachedResults(url, deviceType, 'suggestions', '', model),
+  };
+}
+
+/**
+ * Collects the field (CrUX), PageSpeed Insights and lab data of a page.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} [options={}]
+ * @returns {Promise<CollectResult>}
+ */
+export async function collect(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const data = await collectArtifacts(url, deviceType, actionOptions);
+    return {
+      url,
+      deviceType,
+      crux: data.crux ?? null,
+      psi: data.psi ?? null,
+      har: data.har ?? null,
+      perfEntries: data.perfEntries ?? null,
+      fullHtml: data.fullHtml ?? null,
+      jsApi: data.jsApi ?? null,
+      coverageData: data.coverageData ?? null,
+      variance: data.variance ?? null,
+      profile: data.profile ?? null,
+      filmstrip: data.filmstrip ?? null,
+      trace: data.trace ?? null,
+      consent: data.consent ?? null,
+      repeatView: data.repeatView ?? null,
+      bfcache: data.bfcache ?? null,
+      resources: data.resources || {},
+      summaries: {
+        crux: data.cruxSummary,
+        psi: data.psiSummary,
+        har: data.harSummary,
+        perfEntries: data.perfEntriesSummary,
+        coverage: data.coverageDataSummary,
+      },
+    };
+  });
+}
+
+/**
+ * Runs the deterministic rules on the lab data of a page, without any LLM call.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} [options={}]
+ * @returns {Promise<RulesResult>}
+ */
+export async function runRules(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const { full, summary, fromCache } = await rulesAction(url, deviceType, actionOptions);
+    const rules = (fromCache ? full.data : full).filter(Boolean);
+    return {
+      url,
+      deviceType,
+      rules,
+      failing: rules.filter((r) => !r.passing),
+      summary,
+      fromCache: !!fromCache,
+    };
+  });
+}
+
+/**
+ * Generates the CWV report of a page with a single multishot prompt.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} [options={}]
+ * @returns {Promise<ReportResult>}
+ */
+export async function runPrompt(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const report = await runPromptAction(url, deviceType, actionOptions);
+    return toReportResult(url, deviceType, actionOptions.model, report);
+  });
+}
+
+/**
+ * Generates the CWV report of a page with the multi-agent flow, collecting only the data its gates require.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} [options={}]
+ * @returns {Promise<ReportResult>}
+ */
+export async function runAgentFlow(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const report = await runAgentFlowAction(url, deviceType, actionOptions);
+    return toReportResult(url, deviceType, actionOptions.model, report);
+  });
+}
+
+/**
+ * Measures the page with the mutations of each experiment applied, and compares the median metrics to the baseline.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions & { experiments: Object[] }} options - The options, with the `experiments` to run,
+ *   each a `name` and a list of `mutations` (see the README).
+ * @returns {Promise<ExperimentsResult>}
+ */
+export async function runExperiments(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const { path, summaryPath, ...result } = await experimentAction(url, deviceType, actionOptions);
+    return result;
+  });
+}
+
+/**
+ * Measures the cost of each third-party vendor of the page, by blocking its requests in the lab.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions} [options={}]
+ * @returns {Promise<ThirdPartyCostResult>}
+ */
+export async function runThirdPartyCost(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const { path, summaryPath, ...result } = await thirdPartyCostAction(url, deviceType, actionOptions);
+    return result;
+  });
+}
+
+/**
+ * Runs a user journey on the page, and measures each of its steps, soft navigations included.
+ * @param {String} pageUrl
+ * @param {AnalysisOptions & { journey: Object[] }} options - The options, with the `journey` steps to run
+ *   (see the README).
+ * @returns {Promise<JourneyResult>}
+ */
+export async function runJourney(pageUrl, options = {}) {
+  return run(pageUrl, options, async (url, deviceType, actionOptions) => {
+    const { path, summaryPath, ...result } = await journeyAction(url, deviceType, actionOptions);
+    return result;
+  });
+}
@@ -1,15 +1,50 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { DEFAULT_MODEL } from '../models/config.js';
+import { parseDevices } from './devices.js';
+import { loadConfig } from './configLoader.js';
+import { parseAssertion } from '../core/assert.js';
+import { LOG_LEVELS, LOG_FORMATS } from '../core/logger.js';
+import { parseSchedule } from '../core/schedule.js';
+import { parseProfiles } from '../core/profiles.js';
+import { runWithContext } from '../core/context.js';
+import { loadExperiments } from './experiments.js';
+import { loadJourney } from './journey.js';
+import { CONSENT_MODES, DEFAULT_CONSENT_MODE } from '../tools/lab/consent.js';
+
+export async function parseArguments() {
+  // Read the config file and profile first, so the profile settings can be used as defaults
+  const { config, configProfile } = yargs(hideBin(process.argv))
+    .option('config', { type: 'string' })
+    .option('config-profile', { type: 'string' })
+    .help(false)
+    .version(false)
+    .parseSync();
+  let settings;
+  try {
+    settings = await loadConfig({ config, profile: configProfile });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
 
-export function parseArguments() {
   return yargs(hideBin(process.argv))
+    // CLI flags always take precedence over the config file
+    .config(settings)
+    .option('config', {
+      describe: 'Path to the project config file (defaults to cwv.config.js, cwv.config.mjs or cwv.config.json)',
+      type: 'string'
+    })
+    .option('config-profile', {
+      describe: 'Named profile of the config file to use (e.g. quick, deep, ci)',
+      type: 'string'
+    })
     .option('action', {
       alias: 'a',
       describe: 'Action to perform',
       type: 'string',
       default: 'collect',
-      choices: ['collect', 'prompt', 'merge', 'agent', 'rules', 'mcp-reviewer']
+      choices: ['collect', 'prompt', 'merge', 'agent', 'rules', 'assert', 'experiment', 'third-party-cost', 'journey', 'rollup', 'monitor', 'serve', 'mcp-reviewer']
     })
     .option('url', {
       alias: 'u',
@@ -20,12 +55,38 @@ export function parseArguments() {
       describe: 'Path to JSON file containing URLs to analyze',
       type: 'string'
     })
+    .option('discover', {
+      describe: 'Site origin to discover URLs from (robots.txt, sitemaps and EDS query-index.json)',
+      type: 'string'
+    })
+    .option('include', {
+      describe: 'Only keep discovered URLs whose path matches one of these globs (e.g. "/blog/**")',
+      type: 'array',
+      default: []
+    })
+    .option('exclude', {
+      describe: 'Drop discovered URLs whose path matches one of these globs',
+      type: 'array',
+      default: []
+    })
+    .option('max-pages', {
+      describe: 'Maximum number of discovered URLs to analyze',
+      type: 'number'
+    })
+    .option('sample', {
+      describe: 'Sample the discovered URLs: a fraction (e.g. 0.1) or a number of pages',
+      type: 'number'
+    })
     .option('device', {
       alias: 'd',
-      describe: 'Device type',
+      describe: 'Device type: mobile, desktop, both, or a comma-separated list',
       type: 'string',
       default: 'mobile',
-      choices: ['mobile', 'desktop']
+      coerce: parseDevices
+    })
+    .option('profile', {
+      describe: 'Device profiles to run instead of --device, e.g. tablet or mobile@fast-3g (repeatable, or comma-separated)',
+      type: 'array',
     })
     .option('skip-cache', {
       alias: 's',
@@ -57,13 +118,156 @@ export function parseArguments() {
       type: 'string',
       default: ''
     })
+    .option('runs', {
+      describe: 'Number of lab runs per page, the median run is analyzed and noisy metrics are flagged',
+      type: 'number',
+      default: 1
+    })
+    .option('interactions', {
+      describe: 'Interact with the page after the load (nav toggles, accordions, tabs, buttons, inputs), to measure INP in the lab',
+      type: 'boolean',
+      default: false
+    })
+    .option('filmstrip', {
+      describe: 'Record the page while it loads, for its visual progress, Speed Index, filmstrip and screenshots at LCP and load end',
+      type: 'boolean',
+      default: false
+    })
+    .option('trace', {
+      describe: 'Record a Chrome performance trace in the lab run, to attribute the main-thread time to categories and scripts',
+      type: 'boolean',
+      default: false
+    })
+    .option('scroll', {
+      describe: 'Scroll through the page after the load, to record the layout shifts, image loads and long animation frames below the fold',
+      type: 'boolean',
+      default: false
+    })
+    .option('repeat-view', {
+      describe: 'Load the page again after the lab run, to measure it with a warm HTTP cache and its service worker',
+      type: 'boolean',
+      default: false
+    })
+    .option('bfcache', {
+      describe: 'Navigate away and back after the lab run, to check whether the back/forward cache restores the page',
+      type: 'boolean',
+      default: false
+    })
+    .option('consent', {
+      describe: 'How the lab run handles consent banners and interstitials: measure them as a first visit sees them, or accept them before the measured load',
+      type: 'string',
+      default: DEFAULT_CONSENT_MODE,
+      choices: CONSENT_MODES
+    })
+    .option('experiments', {
+      describe: 'Path to the JSON or YAML file of the experiments (experiment action), each a name and a list of mutations',
+      coerce: loadExperiments
+    })
+    .option('journey', {
+      describe: 'Path to the JSON or YAML file of the journey steps (journey action): goto, click, type, waitForUrl and waitForSelector',
+      coerce: loadJourney
+    })
+    .option('concurrency', {
+      alias: 'c',
+      describe: 'Number of URLs to process in parallel',
+      type: 'number',
+      default: 1
+    })
+    .option('rate-limit', {
+      describe: 'Rate limit for an external dependency as <name>:<concurrency>[:<perMinute>] (names: psi, crux, llm, chrome), can be repeated',
+      type: 'array',
+      default: []
+    })
+    .option('assert', {
+      describe: 'Performance budget to check, e.g. "lcp<2500", "lab.tbt<300" or "rules.critical-path==0", can be repeated. Exits with 1 on violation',
+      type: 'array',
+      default: []
+    })
+    .option('port', {
+      describe: 'Port of the HTTP API (serve action)',
+      type: 'number',
+      default: 3000
+    })
+    .option('host', {
+      describe: 'Interface the HTTP API binds to (serve action)',
+      type: 'string',
+      default: '127.0.0.1'
+    })
+    .option('schedule', {
+      describe: 'Schedule of the monitor action: an interval (e.g. 6h, 1d, 1w) or a cron expression (e.g. "0 6 * * 1")',
+      type: 'string'
+    })
+    .option('once', {
+      describe: 'Run the monitor action a single time, e.g. from an external scheduler',
+      type: 'boolean',
+      default: false
+    })
+    .option('tolerance', {
+      describe: 'Percentage by which a metric must get worse between two monitoring runs to raise a regression',
+      type: 'number',
+      default: 10
+    })
+    .option('notify', {
+      describe: 'Where to send the monitoring regressions: a webhook URL or a JSON lines file, can be repeated',
+      type: 'array',
+      default: []
+    })
+    .option('resume', {
+      describe: 'Resume a previous batch run by its ID, only the URLs and devices that did not complete are processed again',
+      type: 'string'
+    })
+    .option('log-level', {
+      describe: 'Minimum level of the output, debug also prints the stage events in text mode',
+      type: 'string',
+      default: 'info',
+      choices: Object.keys(LOG_LEVELS)
+    })
+    .option('log-format', {
+      describe: 'Output format, json writes one JSON object per line with the messages and the stage start/finish events',
+      type: 'string',
+      default: 'text',
+      choices: LOG_FORMATS
+    })
     .check((argv) => {
-      if (argv.action === 'mcp-reviewer') {
-        // MCP reviewer doesn't need URL parameters
+      if (argv.profile) {
+        // Custom profiles come from the config file
+        runWithContext({ deviceProfiles: argv.deviceProfiles }, () => parseProfiles(argv.profile));
+      }
+      if (argv.action === 'mcp-reviewer' || argv.action === 'serve' || argv.resume) {
+        // MCP reviewer and server don't need URL parameters, resumed runs read them from the run manifest
         return true;
       }
-      if (!argv.url && !argv.urls) {
-        throw new Error('Either --url or --urls must be provided');
+      if (!argv.url && !argv.urls && !argv.discover) {
+        throw new Error('Either --url, --urls or --discover must be provided');
+      }
+      if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+      }
+      if (!Number.isInteger(argv.runs) || argv.runs < 1) {
+        throw new Error('--runs must be a positive integer');
+      }
+      if (argv.action === 'assert' && argv.assert.length === 0) {
+        throw new Error('The assert action requires at least one --assert budget');
+      }
+      argv.assert.forEach((spec) => parseAssertion(spec));
+      // Experiments can also be set per URL in the URLs file
+      if (argv.action === 'experiment' && !argv.experiments && !argv.urls) {
+        throw new Error('The experiment action requires --experiments');
+      }
+      // Journeys can also be set per URL in the URLs file
+      if (argv.action === 'journey' && !argv.journey && !argv.urls) {
+        throw new Error('The journey action requires --journey');
+      }
+      if (argv.action === 'monitor') {
+        if (!argv.schedule && !argv.once) {
+          throw new Error('The monitor action requires a --schedule, or --once');
+        }
+        if (argv.schedule) {
+          parseSchedule(argv.schedule).next(new Date());
+        }
+        if (!(argv.tolerance >= 0)) {
+          throw new Error('--tolerance must be a positive number');
+        }
       }
       return true;
     })
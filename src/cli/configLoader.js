@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Config files looked up in the working directory when --config is not provided
+export const CONFIG_FILES = ['cwv.config.js', 'cwv.config.mjs', 'cwv.config.json'];
+
+/**
+ * Finds the config file to use.
+ * @param {String} [configPath] - Explicit path to the config file.
+ * @returns {String|null} The absolute path of the config file, or null if there is none.
+ */
+function findConfigFile(configPath) {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+  const file = CONFIG_FILES.map((f) => path.resolve(f)).find((f) => fs.existsSync(f));
+  return file || null;
+}
+
+async function readConfig(filePath) {
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  const module = await import(pathToFileURL(filePath).href);
+  return module.default;
+}
+
+/**
+ * Merges two profile settings, nested objects (collectors, thresholds, deviceProfiles) are merged deeply.
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export function mergeSettings(base = {}, overrides = {}) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object'
+      ? mergeSettings(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+/**
+ * Normalizes profile values to the format of the matching CLI options.
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function normalizeSettings(settings) {
+  const normalized = { ...settings };
+  if (Array.isArray(normalized.blockRequests)) {
+    normalized.blockRequests = normalized.blockRequests.join(',');
+  }
+  if (Array.isArray(normalized.device)) {
+    normalized.device = normalized.device.join(',');
+  }
+  return normalized;
+}
+
+/**
+ * Loads the project config and resolves the settings of a profile.
+ * The config is an object with optional `defaults` shared by all profiles, named `profiles`
+ * and a `defaultProfile`. Profile keys are CLI options in camelCase (model, device, skipCache,
+ * blockRequests, concurrency, rateLimit...) plus `collectors`, `thresholds` and `deviceProfiles`.
+ * @param {Object} [options={}]
+ * @param {String} [options.config] - Path to the config file, defaults to cwv.config.(js|mjs|json) in the working directory.
+ * @param {String} [options.profile] - The profile to use, defaults to the config `defaultProfile`.
+ * @returns {Promise<Object>} The profile settings, empty when there is no config file.
+ */
+export async function loadConfig({ config, profile } = {}) {
+  const filePath = findConfigFile(config);
+  if (!filePath) {
+    if (profile) {
+      throw new Error(`Profile "${profile}" requested but no config file found (${CONFIG_FILES.join(', ')})`);
+    }
+    return {};
+  }
+
+  const data = await readConfig(filePath);
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Config file ${filePath} must export an object`);
+  }
+
+  const profiles = data.profiles || {};
+  const profileName = profile || data.defaultProfile;
+  if (profileName && !profiles[profileName]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profileName}" in ${filePath}${available.length ? `, available profiles: ${available.join(', ')}` : ''}`);
+  }
+
+  const settings = normalizeSettings(mergeSettings(data.defaults, profileName ? profiles[profileName] : {}));
+  return { ...settings, configFile: filePath, ...(profileName && { configProfile: profileName }) };
+}
@@ -0,0 +1,37 @@
+import { resolveProfile } from '../core/profiles.js';
+
+// Device types supported by the collectors
+export const DEVICE_TYPES = ['mobile', 'desktop'];
+
+// Shortcuts that expand to several device types
+const DEVICE_ALIASES = {
+  both: ['mobile', 'desktop'],
+};
+
+function isDeviceProfile(name) {
+  try {
+    resolveProfile(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses a device selection into a list of device types.
+ * Accepts a single device, an alias like `both`, a device profile, a comma-separated list, or an array of those.
+ * @param {String|String[]} value - e.g. "mobile", "both", "mobile,desktop"
+ * @returns {String[]} The unique device types, in the order they were requested.
+ */
+export function parseDevices(value) {
+  const tokens = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+  const devices = tokens.flatMap((t) => DEVICE_ALIASES[t] || [t]);
+  const invalid = devices.filter((d) => !DEVICE_TYPES.includes(d) && !isDeviceProfile(d));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported device(s): ${invalid.join(', ')}. Expected ${[...DEVICE_TYPES, ...Object.keys(DEVICE_ALIASES)].join(', ')}, or a device profile`);
+  }
+  return [...new Set(devices)];
+}
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseExperiments } from '../core/experiment.js';
+
+/**
+ * Loads the experiments of the experiment action.
+ * @param {String|Object[]} value - Path to a JSON or YAML file, or the experiments themselves (from the config file).
+ * @returns {Object[]} The validated experiments, each with a `name` and a list of `mutations`.
+ */
+export function loadExperiments(value) {
+  if (typeof value !== 'string') {
+    return parseExperiments(value);
+  }
+  const filePath = path.resolve(value);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Experiments file not found: ${filePath}`);
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  // The file is either the list of experiments, or an object with an `experiments` list
+  return parseExperiments(Array.isArray(data) ? data : data?.experiments);
+}
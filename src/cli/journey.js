@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseJourney } from '../core/journey.js';
+
+/**
+ * Loads the journey of the journey action.
+ * @param {String|Object[]} value - Path to a JSON or YAML file, or the journey steps themselves (from the config file).
+ * @returns {Object[]} The journey steps, validated.
+ */
+export function loadJourney(value) {
+  if (typeof value !== 'string') {
+    parseJourney(value);
+    return value;
+  }
+  const filePath = path.resolve(value);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Journey file not found: ${filePath}`);
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  // The file is either the list of steps, or an object with a `steps` list
+  const steps = Array.isArray(data) ? data : data?.steps;
+  parseJourney(steps);
+  return steps;
+}
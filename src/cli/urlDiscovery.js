@@ -0,0 +1,228 @@
+import { gunzipSync } from 'zlib';
+import { getRequestHeaders } from '../utils.js';
+import { logger } from '../core/logger.js';
+
+// Max number of nested sitemaps we follow, to avoid crawling huge sitemap indexes forever
+const MAX_SITEMAPS = 200;
+// Page size used when paginating the EDS query index
+const QUERY_INDEX_PAGE_SIZE = 500;
+
+/**
+ * Fetches a resource as text, transparently handling gzipped sitemaps.
+ * @param {String} url - The URL to fetch.
+ * @returns {Promise<String|null>} The response body or null if the request failed.
+ */
+async function fetchText(url) {
+  try {
+    const resp = await fetch(url, { headers: getRequestHeaders('desktop') });
+    if (!resp.ok) {
+      return null;
+    }
+    const buffer = Buffer.from(await resp.arrayBuffer());
+    // gzip magic number
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return gunzipSync(buffer).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  } catch (error) {
+    logger.warn(`Failed to fetch ${url}:`, error.message);
+    return null;
+  }
+}
+
+function decodeXmlEntities(str) {
+  return str
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'');
+}
+
+function extractLocs(xml, parentTag) {
+  const blocks = xml.match(new RegExp(`<${parentTag}[\\s>][\\s\\S]*?</${parentTag}>`, 'gi')) || [];
+  return blocks
+    .map((block) => block.match(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/i)?.[1])
+    .filter(Boolean)
+    .map((loc) => decodeXmlEntities(loc.trim()));
+}
+
+/**
+ * Lists the sitemaps declared in robots.txt.
+ * @param {String} origin - The site origin.
+ * @returns {Promise<String[]>} The sitemap URLs.
+ */
+export async function getRobotsSitemaps(origin) {
+  const robots = await fetchText(new URL('/robots.txt', origin).toString());
+  if (!robots) {
+    return [];
+  }
+  return robots
+    .split(/\r?\n/)
+    .map((line) => line.match(/^\s*sitemap\s*:\s*(\S+)/i)?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * Reads page URLs from sitemaps, following sitemap indexes.
+ * @param {String[]} sitemapUrls - The sitemaps to start from.
+ * @returns {Promise<String[]>} The page URLs.
+ */
+export async function readSitemaps(sitemapUrls) {
+  const queue = [...sitemapUrls];
+  const visited = new Set();
+  const pages = [];
+
+  while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) {
+      continue;
+    }
+    visited.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) {
+      continue;
+    }
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+      queue.push(...extractLocs(xml, 'sitemap'));
+    } else {
+      pages.push(...extractLocs(xml, 'url'));
+    }
+  }
+  return pages;
+}
+
+/**
+ * Reads page URLs from an Edge Delivery Services query index.
+ * @param {String} origin - The site origin.
+ * @param {String} [indexPath='/query-index.json'] - Path of the query index.
+ * @returns {Promise<String[]>} The page URLs.
+ */
+export async function readQueryIndex(origin, indexPath = '/query-index.json') {
+  const pages = [];
+  let offset = 0;
+  let total = Infinity;
+  while (offset < total) {
+    const indexUrl = new URL(indexPath, origin);
+    indexUrl.searchParams.set('offset', offset);
+    indexUrl.searchParams.set('limit', QUERY_INDEX_PAGE_SIZE);
+    const body = await fetchText(indexUrl.toString());
+    if (!body) {
+      break;
+    }
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch (error) {
+      break;
+    }
+    const rows = Array.isArray(json.data) ? json.data : [];
+    rows
+      .map((row) => row.path)
+      .filter(Boolean)
+      .forEach((p) => pages.push(new URL(p, origin).toString()));
+    if (rows.length === 0) {
+      break;
+    }
+    total = Number.isFinite(json.total) ? json.total : offset + rows.length;
+    offset += rows.length;
+  }
+  return pages;
+}
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * `**` matches across path segments, `*` within a single segment and `?` a single character.
+ * @param {String} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += '.*';
+      i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function matchesAny(url, patterns) {
+  const { pathname } = new URL(url);
+  return patterns.some((pattern) => {
+    // Absolute patterns are matched against the full URL, others against the path
+    const target = /^https?:\/\//.test(pattern) ? url : pathname;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+/**
+ * Picks an evenly spread, deterministic sample so all sections of the site are represented.
+ * @param {String[]} urls - The sorted URL list.
+ * @param {Number} sample - A fraction (0 < sample < 1) or an absolute number of pages.
+ * @returns {String[]}
+ */
+export function sampleUrls(urls, sample) {
+  const count = sample < 1 ? Math.ceil(urls.length * sample) : Math.floor(sample);
+  if (!count || count >= urls.length) {
+    return urls;
+  }
+  const step = urls.length / count;
+  return Array.from({ length: count }, (_, i) => urls[Math.floor(i * step)]);
+}
+
+/**
+ * Builds the list of URLs to analyze for a site.
+ * @param {String} origin - The site origin (e.g. https://www.example.com).
+ * @param {Object} [options={}]
+ * @param {String[]} [options.include=[]] - Globs a URL must match (any of) to be kept.
+ * @param {String[]} [options.exclude=[]] - Globs that remove a URL when matched.
+ * @param {Number} [options.maxPages] - Max number of URLs to return.
+ * @param {Number} [options.sample] - Fraction or number of URLs to sample.
+ * @returns {Promise<String[]>} The discovered URLs.
+ */
+export async function discoverUrls(origin, {
+  include = [], exclude = [], maxPages, sample,
+} = {}) {
+  const base = new URL(origin.startsWith('http') ? origin : `https://${origin}`);
+
+  const robotsSitemaps = await getRobotsSitemaps(base.origin);
+  const sitemaps = robotsSitemaps.length > 0
+    ? robotsSitemaps
+    : [new URL('/sitemap.xml', base.origin).toString()];
+  const sitemapPages = await readSitemaps(sitemaps);
+  logger.info(`Found ${sitemapPages.length} URL(s) in ${sitemaps.length} sitemap(s)${robotsSitemaps.length ? ' declared in robots.txt' : ''}`);
+
+  const indexPages = await readQueryIndex(base.origin);
+  if (indexPages.length > 0) {
+    logger.info(`Found ${indexPages.length} URL(s) in the query index`);
+  }
+
+  let urls = [...new Set([...sitemapPages, ...indexPages])]
+    .filter((url) => {
+      try {
+        return new URL(url).hostname === base.hostname;
+      } catch (error) {
+        return false;
+      }
+    })
+    .filter((url) => include.length === 0 || matchesAny(url, include))
+    .filter((url) => exclude.length === 0 || !matchesAny(url, exclude))
+    .sort();
+
+  if (sample) {
+    urls = sampleUrls(urls, sample);
+  }
+  if (maxPages) {
+    urls = urls.slice(0, maxPages);
+  }
+  return urls;
+}
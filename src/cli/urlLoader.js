@@ -1,26 +1,43 @@
-import fs from 'fs';
-import path from 'path';
+import { discoverUrls } from './urlDiscovery.js';
+import { loadManifest } from './urlManifest.js';
+import { logger } from '../core/logger.js';
 
-export function loadUrls(argv) {
-  let urls = [];
+/**
+ * Loads the URLs to process from the CLI arguments.
+ * @param {Object} argv - The parsed CLI arguments.
+ * @returns {Promise<Object[]>} Entries with a `url` and optional per-URL settings
+ *   (devices, blockRequests, model, outputSuffix, auth, labels).
+ */
+export async function loadUrls(argv) {
+  let entries = [];
 
   if (argv.url) {
-    urls = [argv.url];
+    entries = [{ url: argv.url }];
   } else if (argv.urls) {
     try {
-      const urlsFilePath = path.resolve(argv.urls);
-      const urlsData = JSON.parse(fs.readFileSync(urlsFilePath, 'utf8'));
-      if (Array.isArray(urlsData)) {
-        urls = urlsData;
-      } else {
-        console.error('URLs file must contain a JSON array of URLs');
-        process.exit(1);
-      }
+      entries = loadManifest(argv.urls);
     } catch (error) {
-      console.error(`Error reading URLs file: ${error.message}`);
+      logger.error(`Error reading URLs file: ${error.message}`);
+      process.exit(1);
+    }
+  } else if (argv.discover) {
+    try {
+      const urls = await discoverUrls(argv.discover, {
+        include: argv.include,
+        exclude: argv.exclude,
+        maxPages: argv.maxPages,
+        sample: argv.sample,
+      });
+      entries = urls.map((url) => ({ url }));
+    } catch (error) {
+      logger.error(`Error discovering URLs: ${error.message}`);
+      process.exit(1);
+    }
+    if (entries.length === 0) {
+      logger.error(`No URLs discovered for ${argv.discover}`);
       process.exit(1);
     }
   }
 
-  return urls;
-} 
\ No newline at end of file
+  return entries;
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseDevices } from './devices.js';
+import { parseExperiments } from '../core/experiment.js';
+import { parseJourney } from '../core/journey.js';
+import { CONSENT_MODES } from '../tools/lab/consent.js';
+
+// Keys of a manifest entry that are applied as per-URL settings, anything else is rejected
+const ENTRY_KEYS = ['url', 'devices', 'blockRequests', 'model', 'outputSuffix', 'auth', 'experiments', 'journey', 'consent', 'labels'];
+// CSV columns mapped to entry settings, other columns become labels
+const CSV_SETTING_COLUMNS = ['url', 'devices', 'blockRequests', 'model', 'outputSuffix'];
+// Output suffixes are part of the cache file names
+const OUTPUT_SUFFIX_PATTERN = /^[\w-]+$/;
+// Separator for list values in CSV cells (devices, blocked requests)
+const CSV_LIST_SEPARATOR = /[|;]/;
+
+/**
+ * Parses a CSV document with a header row, supporting quoted cells.
+ * @param {String} text
+ * @returns {Object[]} One object per row, keyed by header.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter((r) => r.some((v) => v.trim()));
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] || '').trim()])));
+}
+
+function csvRowToEntry(row) {
+  const entry = { url: row.url };
+  if (row.devices) entry.devices = row.devices.split(CSV_LIST_SEPARATOR).map((d) => d.trim()).filter(Boolean);
+  if (row.blockRequests) entry.blockRequests = row.blockRequests.split(CSV_LIST_SEPARATOR).map((b) => b.trim()).filter(Boolean);
+  if (row.model) entry.model = row.model;
+  if (row.outputSuffix) entry.outputSuffix = row.outputSuffix;
+  const labels = Object.fromEntries(Object.entries(row).filter(([k, v]) => !CSV_SETTING_COLUMNS.includes(k) && v));
+  if (Object.keys(labels).length > 0) entry.labels = labels;
+  return entry;
+}
+
+/**
+ * Reads the raw manifest content based on the file extension.
+ * - .json: an array of URLs/entries or an object with `defaults` and `urls`
+ * - .yaml/.yml: same structure as JSON
+ * - .csv: a header row with at least a `url` column
+ * - anything else: a plain-text list, one URL per line (`#` after a whitespace starts a comment)
+ * @param {String} filePath
+ * @returns {Object} The manifest as { defaults, urls }.
+ */
+function readManifest(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  let data;
+  if (ext === '.json') {
+    data = JSON.parse(text);
+  } else if (ext === '.yaml' || ext === '.yml') {
+    data = YAML.parse(text);
+  } else if (ext === '.csv') {
+    data = parseCsv(text).map(csvRowToEntry);
+  } else {
+    data = text
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter(Boolean);
+  }
+
+  if (Array.isArray(data)) {
+    return { defaults: {}, urls: data };
+  }
+  if (data && Array.isArray(data.urls)) {
+    return { defaults: data.defaults || {}, urls: data.urls };
+  }
+  throw new Error('URLs file must contain an array of URLs or an object with a "urls" array');
+}
+
+function normalizeList(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Array.isArray(value) ? value : String(value).split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * Normalizes a manifest item to an entry object, applying the manifest defaults.
+ * @param {String|Object} item - A URL or an entry object.
+ * @param {Object} defaults - The manifest defaults.
+ * @param {Number} index - Position of the item in the manifest (for error messages).
+ * @returns {Object} The normalized entry.
+ */
+export function normalizeEntry(item, defaults = {}, index = 0) {
+  const raw = typeof item === 'string' ? { url: item } : item;
+  if (!raw || typeof raw.url !== 'string' || !raw.url) {
+    throw new Error(`Entry #${index + 1} is missing a "url"`);
+  }
+  const unknownKeys = Object.keys(raw).filter((k) => !ENTRY_KEYS.includes(k));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Entry #${index + 1} (${raw.url}) has unknown keys: ${unknownKeys.join(', ')}. Use "labels" for free-form metadata`);
+  }
+
+  const entry = { ...defaults, ...raw };
+  const blockRequests = normalizeList(entry.blockRequests);
+  let devices;
+  try {
+    devices = entry.devices ? parseDevices(entry.devices) : undefined;
+    if (entry.experiments) parseExperiments(entry.experiments);
+    if (entry.journey) parseJourney(entry.journey);
+    if (entry.outputSuffix && !OUTPUT_SUFFIX_PATTERN.test(entry.outputSuffix)) {
+      throw new Error(`"outputSuffix" can only contain letters, digits, underscores and dashes`);
+    }
+    if (entry.consent && !CONSENT_MODES.includes(entry.consent)) {
+      throw new Error(`Unknown consent mode "${entry.consent}", expected ${CONSENT_MODES.join(', ')}`);
+    }
+  } catch (error) {
+    throw new Error(`Entry #${index + 1} (${raw.url}): ${error.message}`);
+  }
+  return {
+    url: entry.url,
+    ...(devices && { devices }),
+    ...(blockRequests && { blockRequests: blockRequests.join(',') }),
+    ...(entry.model && { model: entry.model }),
+    ...(entry.outputSuffix && { outputSuffix: entry.outputSuffix }),
+    ...(entry.auth && { auth: entry.auth }),
+    ...(entry.experiments && { experiments: entry.experiments }),
+    ...(entry.journey && { journey: entry.journey }),
+    ...(entry.consent && { consent: entry.consent }),
+    labels: { ...defaults.labels, ...raw.labels },
+  };
+}
+
+/**
+ * Loads a URL manifest file and returns normalized entries.
+ * @param {String} filePath - Path to the manifest (JSON, YAML, CSV or plain text).
+ * @returns {Object[]} The entries, each with a `url` and optional per-URL settings.
+ */
+export function loadManifest(filePath) {
+  const { defaults, urls } = readManifest(path.resolve(filePath));
+  return urls.map((item, index) => normalizeEntry(item, defaults, index));
+}
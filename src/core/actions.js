@@ -1,26 +1,40 @@
 import collecetAction from './collect.js';
 import rulesAction from './rules.js';
+import assertAction from './assert.js';
+import experimentAction from './experiment.js';
+import thirdPartyCostAction from './third-party-cost.js';
+import journeyAction from './journey.js';
 import runPrompt from './multishot-prompt.js';
 import { startMCPReviewer } from './mcp-reviewer.js';
 import { getNormalizedUrl, getCachePath } from '../utils.js';
 import { runAgentFlow } from './multi-agents.js';
+import { writeCombinedReport } from './multi-device.js';
+import { logger } from './logger.js';
+import { runWithContext } from './context.js';
+import { resolveAuth } from './auth.js';
 
-export async function processUrl(pageUrl, action, deviceType, skipCache, outputSuffix, blockRequests, model) {
+// Actions that produce per-device data or findings which can be compared across devices
+const COMBINABLE_ACTIONS = ['collect', 'prompt', 'agent', 'rules'];
+
+export async function processUrl(pageUrl, action, deviceType, skipCache, outputSuffix, blockRequests, model, {
+  auth: authSettings, tracker, collectors, runs, thresholds, assertions, experiments, journey, consent,
+} = {}) {
   // Handle MCP reviewer action separately (doesn't need URL processing)
   if (action === 'mcp-reviewer') {
-    // Note: No console output for MCP mode - it interferes with JSON-RPC protocol
     return await startMCPReviewer();
     // This should never return since startMCPReviewer() runs indefinitely
   }
-  console.group(`Processing: ${pageUrl}`);
+  logger.group(`Processing: ${pageUrl}`);
 
   try {
-    const normalizedUrl = await getNormalizedUrl(pageUrl, deviceType);
+    // Gated pages are authenticated once, and the session is used by all the requests to the page
+    const auth = await resolveAuth(authSettings, pageUrl, deviceType);
+    const normalizedUrl = await getNormalizedUrl(pageUrl, deviceType, auth);
     if (!normalizedUrl?.url) {
       throw new Error(`Failed to access: ${pageUrl}`);
     }
     if (normalizedUrl.url !== pageUrl) {
-      console.log('Normalized URL:', normalizedUrl.url, normalizedUrl.skipTlsCheck ? '(invalid TLS check)' : '');
+      logger.info('Normalized URL:', normalizedUrl.url, normalizedUrl.skipTlsCheck ? '(invalid TLS check)' : '');
     }
 
     let result;
@@ -33,16 +47,26 @@ export async function processUrl(pageUrl, action, deviceType, skipCache, outputS
           outputSuffix,
           blockRequests,
           model,
+          auth,
+          tracker,
+          collectors,
+          runs,
+          consent,
+          thresholds,
         });
         break;
 
       case 'collect':
-        result = await collecetAction(normalizedUrl.url, deviceType, { skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests });
-        console.log('Done. Check the `.cache` folder');
+        result = await collecetAction(normalizedUrl.url, deviceType, {
+          skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests, auth, tracker, collectors, runs, consent,
+        });
+        logger.info('Done. Check the `.cache` folder');
         break;
 
       case 'rules':
-        result = await rulesAction(normalizedUrl.url, deviceType, { skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests });
+        result = await rulesAction(normalizedUrl.url, deviceType, {
+          skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests, auth, tracker, collectors, runs, consent, thresholds,
+        });
         break;
 
         case 'agent':
@@ -52,18 +76,133 @@ export async function processUrl(pageUrl, action, deviceType, skipCache, outputS
             outputSuffix,
             blockRequests,
             model,
+            auth,
+            tracker,
+            collectors,
+            runs,
+            consent,
+            thresholds,
           });
         break;
 
+      case 'assert':
+        result = await assertAction(normalizedUrl.url, deviceType, {
+          skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests, auth, tracker, collectors, runs, consent, thresholds, assertions,
+        });
+        break;
+
+      case 'experiment':
+        result = await experimentAction(normalizedUrl.url, deviceType, {
+          outputSuffix, blockRequests, auth, tracker, runs, consent, experiments,
+        });
+        break;
+
+      case 'third-party-cost':
+        result = await thirdPartyCostAction(normalizedUrl.url, deviceType, {
+          skipCache, skipTlsCheck: normalizedUrl.skipTlsCheck, outputSuffix, blockRequests, auth, tracker, collectors, runs, consent,
+        });
+        break;
+
+      case 'journey':
+        result = await journeyAction(normalizedUrl.url, deviceType, {
+          outputSuffix, blockRequests, auth, tracker, consent, thresholds, journey,
+        });
+        break;
+
       default:
         throw new Error(`Unknown action: ${action}`);
     }
 
-    console.groupEnd();
+    logger.groupEnd();
     return result;
   } catch (error) {
-    console.error(`❌ Error processing ${pageUrl}:`, error);
-    console.groupEnd();
+    logger.error(`❌ Error processing ${pageUrl}:`, error);
+    logger.groupEnd();
     return { error: error.message };
   }
 }
+
+/**
+ * Processes a URL entry from a manifest, applying its per-URL settings on top of the CLI defaults.
+ * When several devices are requested, a combined cross-device report is written once all of them succeeded.
+ * When budget `assertions` are provided, they are checked on each device after the action, from the cached data.
+ * @param {Object} entry - The URL entry (url, devices, blockRequests, model, outputSuffix, auth, experiments, journey, consent,
+ *   labels).
+ * @param {String} action - The action to perform.
+ * @param {Object} defaults - The CLI defaults (devices, skipCache, outputSuffix, blockRequests, model),
+ *   the number of lab `runs`, the config `collectors` and `thresholds`, the budget `assertions`, the `experiments`,
+ *   the `journey`, the `consent` mode, and the run `manifest` recording the status of each stage.
+ * @returns {Promise<Object>} The results keyed by device, plus an `error` if any device failed.
+ */
+export async function processEntry(entry, action, defaults) {
+  const devices = entry.devices || defaults.devices;
+  const outputSuffix = entry.outputSuffix ?? defaults.outputSuffix;
+  const blockRequests = entry.blockRequests ?? defaults.blockRequests;
+  const model = entry.model ?? defaults.model;
+
+  const { manifest } = defaults;
+  const results = {};
+  const budgets = {};
+  for (const device of devices) {
+    // Log records and run events are tagged with the page and device being processed
+    const logFields = { url: entry.url, device };
+    // Devices completed in a previous attempt of a resumed run are not processed again
+    if (manifest?.isComplete(entry.url, device)) {
+      results[device] = { resumed: true };
+    } else {
+      manifest?.start(entry.url, device);
+      results[device] = await runWithContext({ logFields }, () => processUrl(entry.url, action, device, defaults.skipCache, outputSuffix, blockRequests, model, {
+        auth: entry.auth,
+        tracker: manifest?.getTracker(entry.url, device),
+        collectors: defaults.collectors,
+        runs: defaults.runs,
+        consent: entry.consent ?? defaults.consent,
+        thresholds: defaults.thresholds,
+        assertions: defaults.assertions,
+        experiments: entry.experiments ?? defaults.experiments,
+        journey: entry.journey ?? defaults.journey,
+      }));
+      manifest?.finish(entry.url, device, results[device]?.error);
+    }
+
+    if (defaults.assertions?.length > 0 && !results[device]?.error) {
+      budgets[device] = action === 'assert' && !results[device].resumed
+        ? results[device]
+        : await runWithContext({ logFields }, () => processUrl(entry.url, 'assert', device, false, outputSuffix, blockRequests, model, {
+          auth: entry.auth,
+          collectors: defaults.collectors,
+          runs: defaults.runs,
+          consent: entry.consent ?? defaults.consent,
+          thresholds: defaults.thresholds,
+          assertions: defaults.assertions,
+        }));
+    }
+  }
+
+  const errors = Object.entries(results)
+    .filter(([, result]) => result?.error)
+    .map(([device, result]) => `${device}: ${result.error}`);
+
+  let combinedReport;
+  if (devices.length > 1 && errors.length === 0 && COMBINABLE_ACTIONS.includes(action)) {
+    try {
+      // Devices can be redirected to different URLs, so resolve the cache key of each one
+      const pageUrls = {};
+      for (const device of devices) {
+        pageUrls[device] = (await getNormalizedUrl(entry.url, device, await resolveAuth(entry.auth, entry.url, device))).url;
+      }
+      combinedReport = writeCombinedReport(pageUrls, { outputSuffix, model: action === 'rules' ? '' : model });
+    } catch (error) {
+      logger.error(`❌ Error generating the cross-device report for ${entry.url}:`, error.message);
+    }
+  }
+
+  return {
+    url: entry.url,
+    labels: entry.labels,
+    results,
+    ...(Object.keys(budgets).length > 0 && { budgets }),
+    ...(combinedReport && { combinedReport }),
+    ...(errors.length > 0 && { error: errors.join('; ') }),
+  };
+}
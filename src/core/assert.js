@@ -0,0 +1,260 @@
+import { getCrux, getPsi, getLabData } from './collect.js';
+import rulesAction from './rules.js';
+import { getLabMetrics } from '../tools/lab/performance-collector.js';
+import { logger } from './logger.js';
+
+// Process exit codes of a run with budgets, so CI jobs can tell violations from failures
+export const EXIT_CODES = {
+  PASS: 0,
+  VIOLATION: 1,
+  ERROR: 2,
+};
+
+// Lighthouse audits used for the PSI metrics
+const PSI_AUDITS = {
+  lcp: 'largest-contentful-paint',
+  cls: 'cumulative-layout-shift',
+  tbt: 'total-blocking-time',
+  fcp: 'first-contentful-paint',
+  ttfb: 'server-response-time',
+  si: 'speed-index',
+  tti: 'interactive',
+};
+
+// CrUX metrics used for the field (p75) metrics
+const CRUX_METRICS = {
+  lcp: 'largest_contentful_paint',
+  cls: 'cumulative_layout_shift',
+  inp: 'interaction_to_next_paint',
+  fcp: 'first_contentful_paint',
+  ttfb: 'experimental_time_to_first_byte',
+};
+
+// Sources tried in order when an assertion does not name one
+const DEFAULT_SOURCES = {
+  inp: ['crux', 'lab'],
+};
+const FALLBACK_SOURCES = ['psi', 'lab'];
+
+// Metrics available in each source, rules are counted by category
+const METRICS = {
+  psi: [...Object.keys(PSI_AUDITS), 'score'],
+  lab: ['lcp', 'cls', 'tbt', 'fcp', 'ttfb', 'inp'],
+  crux: Object.keys(CRUX_METRICS),
+};
+
+const SOURCES = ['psi', 'lab', 'crux', 'rules'];
+
+const OPERATORS = {
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+};
+
+const ASSERTION_REGEX = /^\s*([a-z]+)(?:\.([\w-]+))?\s*(<=|>=|==|!=|<|>)\s*(\d+(?:\.\d+)?|\.\d+)\s*(ms|s)?\s*$/i;
+
+/**
+ * Parses a budget assertion.
+ * Assertions are written as `[source.]metric<op>value`, e.g. `lcp<2500`, `psi.cls<0.1`, `lab.tbt<=300`,
+ * `crux.inp<200`, `psi.score>=90` or `rules.critical-path==0` (no failing critical-path rules).
+ * `rules<N` counts all failing rules. Values accept an optional `ms` or `s` unit.
+ * @param {String} spec
+ * @returns {Object} The parsed assertion ({ spec, sources, metric, operator, value }).
+ */
+export function parseAssertion(spec) {
+  const match = String(spec).match(ASSERTION_REGEX);
+  if (!match) {
+    throw new Error(`Invalid assertion "${spec}", expected [source.]metric<op>value (e.g. lcp<2500, rules.critical-path==0)`);
+  }
+  const [, first, second, operator, rawValue, unit] = match;
+  let source = first.toLowerCase();
+  let metric = second;
+  if (!metric) {
+    // No source given, except for the rules count
+    metric = source === 'rules' ? '*' : source;
+    source = source === 'rules' ? 'rules' : null;
+  }
+  if (source && !SOURCES.includes(source)) {
+    throw new Error(`Invalid assertion "${spec}", unknown source "${source}" (use ${SOURCES.join(', ')})`);
+  }
+  const sources = source ? [source] : (DEFAULT_SOURCES[metric.toLowerCase()] || FALLBACK_SOURCES);
+  if (source !== 'rules') {
+    metric = metric.toLowerCase();
+    if (!sources.some((s) => METRICS[s].includes(metric))) {
+      throw new Error(`Invalid assertion "${spec}", unknown metric "${metric}" for ${sources.join('/')}`);
+    }
+  }
+  const value = Number(rawValue) * (unit === 's' ? 1000 : 1);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid assertion "${spec}", the value must be a finite number`);
+  }
+  return {
+    spec: String(spec).trim(),
+    sources,
+    metric,
+    operator,
+    value,
+  };
+}
+
+function getPsiMetric(psi, metric) {
+  const lighthouse = psi?.data?.lighthouseResult;
+  if (!lighthouse) return undefined;
+  if (metric === 'score') {
+    const score = lighthouse.categories?.performance?.score;
+    return typeof score === 'number' ? Math.round(score * 100) : undefined;
+  }
+  return lighthouse.audits?.[PSI_AUDITS[metric]]?.numericValue;
+}
+
+function getCruxMetric(crux, metric) {
+  const p75 = crux?.record?.metrics?.[CRUX_METRICS[metric]]?.percentiles?.p75;
+  return p75 !== undefined ? Number(p75) : undefined;
+}
+
+function getRulesCount(rules, category) {
+  if (!Array.isArray(rules)) return undefined;
+  return rules.filter((r) => r && !r.passing && (category === '*' || r.category === category)).length;
+}
+
+/**
+ * Extracts all the metrics available in the collected data.
+ * @param {Object} data - The collected data ({ psi, perfEntries, crux, rules }).
+ * @returns {Object} The metric values keyed as in the assertions (e.g. `psi.lcp`, `crux.inp`, `rules`, `rules.critical-path`).
+ */
+export function getMetrics({ psi, perfEntries, crux, rules }) {
+  const lab = getLabMetrics(perfEntries);
+  const metrics = {};
+  METRICS.psi.forEach((metric) => { metrics[`psi.${metric}`] = getPsiMetric(psi, metric); });
+  METRICS.lab.forEach((metric) => { metrics[`lab.${metric}`] = lab[metric]; });
+  METRICS.crux.forEach((metric) => { metrics[`crux.${metric}`] = getCruxMetric(crux, metric); });
+  if (Array.isArray(rules)) {
+    metrics.rules = getRulesCount(rules, '*');
+    new Set(rules.filter(Boolean).map((r) => r.category).filter(Boolean)).forEach((category) => {
+      metrics[`rules.${category}`] = getRulesCount(rules, category);
+    });
+  }
+  return Object.fromEntries(Object.entries(metrics).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Evaluates assertions against the collected data.
+ * @param {Object[]} assertions - Parsed assertions.
+ * @param {Object} data - The collected data ({ psi, perfEntries, crux, rules }).
+ * @returns {Object[]} One result per assertion, with the `actual` value, its `source` and whether it is `passing`.
+ */
+export function evaluateAssertions(assertions, { psi, perfEntries, crux, rules }) {
+  const lab = getLabMetrics(perfEntries);
+  const getters = {
+    psi: (metric) => getPsiMetric(psi, metric),
+    lab: (metric) => lab[metric],
+    crux: (metric) => getCruxMetric(crux, metric),
+    rules: (category) => getRulesCount(rules, category),
+  };
+  return assertions.map((assertion) => {
+    const source = assertion.sources.find((s) => getters[s](assertion.metric) !== undefined);
+    if (!source) {
+      return {
+        ...assertion, source: assertion.sources.join('|'), actual: null, passing: false, error: 'No data available',
+      };
+    }
+    const actual = getters[source](assertion.metric);
+    return {
+      ...assertion, source, actual, passing: OPERATORS[assertion.operator](actual, assertion.value),
+    };
+  });
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '');
+}
+
+/**
+ * Formats the assertion results as a table.
+ * @param {Object[]} results
+ * @returns {String}
+ */
+export function formatAssertionTable(results) {
+  const rows = results.map((r) => [
+    r.passing ? '✅ pass' : '❌ fail',
+    r.spec,
+    r.source,
+    r.error || formatValue(r.actual),
+  ]);
+  const header = ['Status', 'Assertion', 'Source', 'Actual'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => `| ${cells.map((c, i) => c.padEnd(widths[i])).join(' | ')} |`;
+  return [
+    line(header),
+    `|${widths.map((w) => '-'.repeat(w + 2)).join('|')}|`,
+    ...rows.map(line),
+  ].join('\n');
+}
+
+/**
+ * Summarizes the budgets of a batch and computes the exit code of the run.
+ * Pages that could not be processed or checked count as errors, which take precedence over violations.
+ * @param {Object[]} entryResults - The results of `processEntry` for each URL.
+ * @returns {Object} The counts of passing, failing and errored checks, and the `exitCode`.
+ */
+export function summarizeBudgets(entryResults) {
+  const summary = { passed: 0, violations: 0, errors: 0 };
+  entryResults.forEach((entry) => {
+    const budgets = Object.values(entry?.budgets || {});
+    if (entry?.error || budgets.length === 0) {
+      summary.errors++;
+    }
+    budgets.forEach((budget) => {
+      if (budget.error) summary.errors++;
+      else if (budget.passing) summary.passed++;
+      else summary.violations++;
+    });
+  });
+  let exitCode = EXIT_CODES.PASS;
+  if (summary.errors > 0) {
+    exitCode = EXIT_CODES.ERROR;
+  } else if (summary.violations > 0) {
+    exitCode = EXIT_CODES.VIOLATION;
+  }
+  return { ...summary, exitCode };
+}
+
+/**
+ * Checks performance budgets for a page. Only the data needed by the assertions is collected,
+ * and cached data is reused unless the cache is skipped.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The action options, with the `assertions` to check.
+ * @returns {Promise<Object>} The assertion results and whether all of them passed.
+ */
+export default async function assertAction(pageUrl, deviceType, options) {
+  const assertions = options.assertions.map(parseAssertion);
+  const sources = new Set(assertions.flatMap((a) => a.sources));
+
+  const data = {};
+  if (sources.has('psi')) {
+    ({ full: data.psi } = await getPsi(pageUrl, deviceType, options));
+  }
+  if (sources.has('crux')) {
+    ({ full: data.crux } = await getCrux(pageUrl, deviceType, options));
+  }
+  if (sources.has('rules')) {
+    // The rules are computed from the lab data, so this also covers the lab metrics
+    const { full, fromCache } = await rulesAction(pageUrl, deviceType, options);
+    data.rules = fromCache ? full.data : full;
+  }
+  if (sources.has('lab')) {
+    ({ perfEntries: data.perfEntries } = await getLabData(pageUrl, deviceType, options));
+  }
+
+  const results = evaluateAssertions(assertions, data);
+  const passing = results.every((r) => r.passing);
+  logger.group(`Budgets on ${deviceType}:`);
+  logger.info(formatAssertionTable(results));
+  logger.groupEnd();
+  return { url: pageUrl, deviceType, passing, results };
+}
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Authentication of gated pages: staging environments, logged-in experiences and author previews.
+ * The `auth` settings of a URL entry accept `cookies`, extra `headers`, HTTP `basic` credentials, a `login`
+ * script, and whether the page is `gated` (only reachable with the credentials). They are resolved once into a
+ * session applied to the URL normalization, the lab browser and the code fetches. String values can reference
+ * environment variables as `${NAME}`, so credentials stay out of the manifests.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { throttle } from './rate-limiter.js';
+import { getEnv } from './context.js';
+
+const AUTH_KEYS = ['cookies', 'headers', 'basic', 'login', 'gated'];
+// Settings that carry credentials
+const CREDENTIAL_KEYS = ['cookies', 'headers', 'basic', 'login'];
+
+// Sessions opened by a login script are reused for a while, so the script does not run for every stage
+const SESSION_TTL = 30 * 60 * 1000;
+
+const sessions = new Map();
+
+// References to environment variables in the auth values
+const ENV_REFERENCE = /\$\{(\w+)\}/g;
+
+// Placeholder of the literal auth values and journey text, which are never written to disk or returned by the API
+export const REDACTED = '[redacted]';
+
+/**
+ * Resolves the references to environment variables (`${NAME}`) of a setting value.
+ * @param {*} value - The value, returned as is when it is not a string.
+ * @param {String} [setting='auth settings'] - The settings the value comes from, for the errors.
+ * @returns {*} The resolved value.
+ */
+export function resolveEnvReferences(value, setting = 'auth settings') {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (value === REDACTED) {
+    throw new Error(`The ${setting} were redacted when saved, pass the literal values again `
+      + `or reference environment variables as \${NAME}`);
+  }
+  return value.replace(ENV_REFERENCE, (match, name) => {
+    const resolved = getEnv(name);
+    if (resolved === undefined) {
+      throw new Error(`Environment variable ${name} used in the ${setting} is not set`);
+    }
+    return resolved;
+  });
+}
+
+function interpolateValues(object) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, resolveEnvReferences(value)]));
+}
+
+/**
+ * Normalizes the cookies to a list, accepting a map of name to value or a list of cookies.
+ * Cookies without a domain are set on the page's host.
+ * @param {Object|Object[]} cookies
+ * @param {String} pageUrl
+ * @returns {Object[]} The cookies ({ name, value, domain, path, ... }).
+ */
+function normalizeCookies(cookies, pageUrl) {
+  const list = Array.isArray(cookies)
+    ? cookies
+    : Object.entries(cookies || {}).map(([name, value]) => ({ name, value }));
+  const { hostname } = new URL(pageUrl);
+  return list.map((cookie) => {
+    if (!cookie?.name) {
+      throw new Error('Auth cookies need a "name"');
+    }
+    return {
+      path: '/',
+      ...interpolateValues(cookie),
+      domain: cookie.domain || hostname,
+    };
+  });
+}
+
+function collectValues(value, values = []) {
+  if (typeof value === 'string') {
+    values.push(value);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((v) => collectValues(v, values));
+  }
+  return values;
+}
+
+/**
+ * Lists the environment variables referenced as `${NAME}` in the settings (auth settings, journey text).
+ * @param {*} settings - The settings, whose strings are searched at any depth.
+ * @returns {String[]} The variable names.
+ */
+export function getEnvReferences(settings) {
+  const names = collectValues(settings).flatMap((value) => [...value.matchAll(ENV_REFERENCE)].map(([, name]) => name));
+  return [...new Set(names)];
+}
+
+/**
+ * Redacts a literal value, keeping it when it only references environment variables.
+ * @param {*} value
+ * @returns {String} The value, or the `REDACTED` placeholder.
+ */
+export function redactValue(value) {
+  // References to environment variables hold no secret, and still resolve when the entry is run again
+  return typeof value === 'string' && value.replace(ENV_REFERENCE, '') === '' ? value : REDACTED;
+}
+
+function redactValues(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, redactValue(value)]));
+}
+
+/**
+ * Redacts the literal credentials (cookie values, headers, basic credentials) of the auth settings,
+ * so they can be persisted or returned by the API. References to environment variables are kept.
+ * @param {Object} [auth]
+ * @returns {Object|undefined} The redacted auth settings.
+ */
+export function redactAuth(auth) {
+  if (!auth) {
+    return auth;
+  }
+  const { cookies, headers, basic } = auth;
+  return {
+    ...auth,
+    ...(cookies && {
+      cookies: Array.isArray(cookies)
+        ? cookies.map((cookie) => ({ ...cookie, value: redactValue(cookie?.value) }))
+        : redactValues(cookies),
+    }),
+    ...(headers && { headers: redactValues(headers) }),
+    ...(basic && { basic: redactValues(basic) }),
+  };
+}
+
+/**
+ * Redacts the auth settings of a URL entry, and the text typed by its journey (often a login or a search).
+ * @param {Object} entry
+ * @returns {Object} The entry, with its literal credentials and typed text redacted.
+ */
+export function redactEntry(entry) {
+  if (!entry?.auth && !Array.isArray(entry?.journey)) {
+    return entry;
+  }
+  return {
+    ...entry,
+    ...(entry.auth && { auth: redactAuth(entry.auth) }),
+    ...(Array.isArray(entry.journey) && {
+      journey: entry.journey.map((item) => (typeof item?.text === 'string' ? { ...item, text: redactValue(item.text) } : item)),
+    }),
+  };
+}
+
+/**
+ * Checks whether a URL entry has auth settings.
+ * @param {Object} [auth]
+ * @returns {Boolean}
+ */
+export function hasAuth(auth) {
+  return !!auth && CREDENTIAL_KEYS.some((key) => auth[key]);
+}
+
+/**
+ * Resolves the auth settings of a URL entry into a session.
+ * The login script, if any, runs in the lab browser and the cookies it leaves are added to the session.
+ * Sessions are cached per settings, page origin and device for a while.
+ * @param {Object} [auth] - The auth settings.
+ * @param {Object|Object[]} [auth.cookies] - Cookies, as a map of name to value or a list of cookies.
+ * @param {Object} [auth.headers] - Extra request headers.
+ * @param {Object} [auth.basic] - HTTP basic credentials ({ username, password }).
+ * @param {String} [auth.login] - Path to a module whose default export logs in: `async ({ page, url, deviceType, env }) => {}`.
+ * @param {Boolean} [auth.gated] - Whether the page needs the credentials to load, by default when it has basic credentials
+ *   or a login script. Cookies and headers alone may only personalize a public page.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @returns {Promise<Object|undefined>} The session ({ cookies, headers, basic, gated }), undefined without auth settings.
+ */
+export async function resolveAuth(auth, pageUrl, deviceType) {
+  if (!hasAuth(auth)) {
+    return undefined;
+  }
+  const unknownKeys = Object.keys(auth).filter((key) => !AUTH_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown auth settings: ${unknownKeys.join(', ')}. Expected ${AUTH_KEYS.join(', ')}`);
+  }
+
+  const key = JSON.stringify([auth, new URL(pageUrl).origin, deviceType]);
+  const cached = sessions.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.session;
+  }
+
+  const session = (async () => {
+    const resolved = {
+      cookies: normalizeCookies(auth.cookies, pageUrl),
+      headers: interpolateValues(auth.headers),
+      basic: auth.basic ? interpolateValues(auth.basic) : null,
+      gated: auth.gated ?? !!(auth.basic || auth.login),
+    };
+    if (auth.login) {
+      const login = (await import(pathToFileURL(path.resolve(auth.login)).href)).default;
+      if (typeof login !== 'function') {
+        throw new Error(`Login script ${auth.login} must export a default function`);
+      }
+      // Loaded on demand, so that the URL normalization does not load the browser
+      const { runLoginScript } = await import('../tools/lab/browser-utils.js');
+      const cookies = await throttle('chrome', () => runLoginScript(login, pageUrl, deviceType, resolved));
+      const kept = resolved.cookies.filter((c) => !cookies.some((l) => l.name === c.name && l.domain === c.domain));
+      resolved.cookies = [...kept, ...cookies];
+    }
+    return resolved;
+  })();
+  sessions.set(key, { session, expires: Date.now() + SESSION_TTL });
+  try {
+    return await session;
+  } catch (error) {
+    sessions.delete(key);
+    throw error;
+  }
+}
+
+function matchesCookie(cookie, url) {
+  const domain = cookie.domain.replace(/^\./, '');
+  const hostMatches = url.hostname === domain || (cookie.domain.startsWith('.') && url.hostname.endsWith(`.${domain}`));
+  return hostMatches && url.pathname.startsWith(cookie.path || '/') && (!cookie.secure || url.protocol === 'https:');
+}
+
+/**
+ * Returns the auth headers of a request. Headers and basic credentials are only sent to the page's origin,
+ * and cookies to the hosts they are set on, so credentials never leak to third parties.
+ * @param {Object} [session] - The resolved session.
+ * @param {String} requestUrl - The requested URL.
+ * @param {String} [pageUrl=requestUrl] - The analyzed page.
+ * @returns {Object} The headers to add to the request.
+ */
+export function getAuthHeaders(session, requestUrl, pageUrl = requestUrl) {
+  if (!session) {
+    return {};
+  }
+  const url = new URL(requestUrl);
+  const headers = {};
+  if (url.origin === new URL(pageUrl).origin) {
+    Object.assign(headers, session.headers);
+    if (session.basic) {
+      headers.Authorization = `Basic ${Buffer.from(`${session.basic.username}:${session.basic.password}`).toString('base64')}`;
+    }
+  }
+  const cookies = session.cookies.filter((cookie) => matchesCookie(cookie, url));
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+  return headers;
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Concurrent batch runner for processing a list of URLs.
+ * Throttling of the external dependencies is handled by the rate limiters,
+ * so the runner only caps the number of URLs that are processed in parallel.
+ */
+
+import { getRateLimiter, DEFAULT_RATE_LIMITS } from './rate-limiter.js';
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Builds a one-line progress summary for the batch.
+ * @param {Object} stats - The current batch statistics.
+ * @returns {String}
+ */
+export function formatProgress(stats) {
+  const { total, succeeded, failed, running, startTime } = stats;
+  const done = succeeded + failed;
+  const elapsed = Date.now() - startTime;
+  const eta = done > 0 && done < total ? ` | ETA ~${formatDuration((elapsed / done) * (total - done))}` : '';
+  const waiting = Object.keys(DEFAULT_RATE_LIMITS)
+    .map((name) => [name, getRateLimiter(name).pending])
+    .filter(([, pending]) => pending > 0)
+    .map(([name, pending]) => `${name}:${pending}`)
+    .join(', ');
+  return `📊 ${done}/${total} done (✅ ${succeeded}, ❌ ${failed}) | ${running} running`
+    + `${waiting ? ` | throttled → ${waiting}` : ''} | elapsed ${formatDuration(elapsed)}${eta}`;
+}
+
+/**
+ * Processes all items with at most `concurrency` workers running at once.
+ * A result is considered failed if the worker throws or returns an object with an `error` key.
+ * @param {Array} items - The items to process (usually URLs).
+ * @param {Function} worker - Async function called with (item, index).
+ * @param {Object} [options={}]
+ * @param {Number} [options.concurrency=1] - Max number of items processed in parallel.
+ * @param {Function} [options.onProgress] - Called with the batch statistics after each item.
+ * @returns {Promise<Array>} The results, in the same order as the items.
+ */
+export async function runBatch(items, worker, { concurrency = 1, onProgress = () => {} } = {}) {
+  const results = new Array(items.length);
+  const stats = {
+    total: items.length,
+    succeeded: 0,
+    failed: 0,
+    running: 0,
+    startTime: Date.now(),
+  };
+
+  let nextIndex = 0;
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      stats.running++;
+      try {
+        results[index] = await worker(items[index], index);
+        if (results[index]?.error) {
+          stats.failed++;
+        } else {
+          stats.succeeded++;
+        }
+      } catch (error) {
+        results[index] = { error: error.message };
+        stats.failed++;
+      }
+      stats.running--;
+      onProgress({ ...stats, item: items[index], result: results[index] });
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
@@ -3,76 +3,172 @@ import { collect as collectLabData } from '../tools/lab/index.js';
 import { collect as collectPsi } from '../tools/psi.js';
 import { collect as collectCode } from '../tools/code.js';
 import { estimateTokenSize } from '../utils.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
+import { getEnv } from './context.js';
 
 export async function getCrux(pageUrl, deviceType, options) {
-  const { full, summary, fromCache } = await collectCrux(pageUrl, deviceType, options);
+  const { full, summary, fromCache } = await trackStage(
+    options,
+    'crux',
+    () => collectCrux(pageUrl, deviceType, options),
+    {
+      // Pages without field data are not an error
+      getError: (r) => (r.full.error && r.full.error.code !== 404 ? r.full.error.message || 'CrUX request failed' : null),
+      getTokens: (r) => estimateTokenSize(r.full, options.model),
+    },
+  );
   if (full.error && full.error.code === 404) {
-    console.warn('ℹ️  No CrUX data for that page.');
+    logger.warn('ℹ️  No CrUX data for that page.');
   } else if (full.error) {
-    console.error('❌ Failed to collect CrUX data.', full.error.message);
+    logger.error('❌ Failed to collect CrUX data.', full.error.message);
   } else if (fromCache) {
-    console.log('✓ Loaded CrUX data from cache. Estimated token size: ~', estimateTokenSize(full, options.model));
+    logger.info('✓ Loaded CrUX data from cache. Estimated token size: ~', estimateTokenSize(full, options.model));
   } else {
-    console.log('✅ Processed CrUX data. Estimated token size: ~', estimateTokenSize(full, options.model));
+    logger.info('✅ Processed CrUX data. Estimated token size: ~', estimateTokenSize(full, options.model));
   }
   return { full, summary };
 }
 
 export async function getPsi(pageUrl, deviceType, options) {
-  const { full, summary, fromCache } = await collectPsi(pageUrl, deviceType, options);
-  if (fromCache) {
-    console.log('✓ Loaded PSI data from cache. Estimated token size: ~', estimateTokenSize(full, options.model));
+  const { full, summary, fromCache, skipped } = await trackStage(
+    options,
+    'psi',
+    () => collectPsi(pageUrl, deviceType, options),
+    {
+      getError: (r) => (typeof r.full === 'string' ? r.full : null),
+      getTokens: (r) => estimateTokenSize(r.full, options.model),
+    },
+  );
+  if (skipped) {
+    logger.info('🚀 Skipping PSI, gated pages can only be measured in the lab');
+  } else if (fromCache) {
+    logger.info('✓ Loaded PSI data from cache. Estimated token size: ~', estimateTokenSize(full, options.model));
   } else {
-    console.log('✅ Processed PSI data. Estimated token size: ~', estimateTokenSize(full, options.model));
+    logger.info('✅ Processed PSI data. Estimated token size: ~', estimateTokenSize(full, options.model));
   }
   return { full, summary };
 }
 
+// Collectors that can be turned off, with the legacy environment variable doing the same
+const COLLECTOR_ENV_VARS = {
+  har: 'SKIP_HAR_ANALYSIS',
+  perfEntries: 'SKIP_PERFORMANCE_ENTRIES',
+  fullHtml: 'SKIP_FULL_HTML',
+  coverage: 'SKIP_COVERAGE_ANALYSIS',
+  code: 'SKIP_CODE_ANALYSIS',
+};
+
+// Collectors that are off unless requested, as they slow the lab run down or act on the page (interactions click
+// buttons, which can change data on logged-in pages), with the environment variable turning them on
+const OPTIONAL_COLLECTOR_ENV_VARS = {
+  interactions: 'COLLECT_INTERACTIONS',
+  filmstrip: 'COLLECT_FILMSTRIP',
+  trace: 'COLLECT_TRACE',
+  scroll: 'COLLECT_SCROLL',
+  repeatView: 'COLLECT_REPEAT_VIEW',
+  bfcache: 'COLLECT_BFCACHE',
+};
+
+/**
+ * Resolves which collectors are enabled.
+ * The `collectors` of the config profile take precedence over the `SKIP_*` and `COLLECT_*` environment variables.
+ * @param {Object} options - The action options.
+ * @returns {Object} Map of collector name to a boolean.
+ */
+export function getCollectors(options = {}) {
+  return {
+    ...Object.fromEntries(Object.entries(COLLECTOR_ENV_VARS).map(([name, envVar]) => [
+      name,
+      options.collectors?.[name] ?? getEnv(envVar) !== 'true',
+    ])),
+    ...Object.fromEntries(Object.entries(OPTIONAL_COLLECTOR_ENV_VARS).map(([name, envVar]) => [
+      name,
+      options.collectors?.[name] ?? getEnv(envVar) === 'true',
+    ])),
+  };
+}
+
 export async function getLabData(pageUrl, deviceType, options) {
-  // Check environment variables to skip heavy data collection
-  const skipHar = process.env.SKIP_HAR_ANALYSIS === 'true';
-  const skipPerfEntries = process.env.SKIP_PERFORMANCE_ENTRIES === 'true';
-  const skipFullHtml = process.env.SKIP_FULL_HTML === 'true';
-  const skipCoverage = process.env.SKIP_COVERAGE_ANALYSIS === 'true';
-  const skipCode = process.env.SKIP_CODE_ANALYSIS === 'true';
+  const collectors = getCollectors(options);
+  const skipHar = !collectors.har;
+  const skipPerfEntries = !collectors.perfEntries;
+  const skipFullHtml = !collectors.fullHtml;
+  const skipCoverage = !collectors.coverage;
+  const skipCode = !collectors.code;
 
   if (skipHar && skipPerfEntries && skipFullHtml && skipCoverage && skipCode) {
-    console.log('🚀 Skipping heavy data collection due to environment variables');
+    logger.info('🚀 Skipping heavy data collection, all lab collectors are disabled');
     return { 
       har: null, harSummary: null, 
       perfEntries: null, perfEntriesSummary: null, 
       fullHtml: null, jsApi: null, 
-      coverageData: null, coverageDataSummary: null 
+      coverageData: null, coverageDataSummary: null,
+      variance: null, profile: null, filmstrip: null, trace: null, consent: null, repeatView: null, bfcache: null,
     };
   }
 
-  const { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary, fromCache } = await collectLabData(pageUrl, deviceType, options);
+  const labOptions = {
+    ...options,
+    collectHar: !skipHar && options.collectHar !== false,
+    collectCoverage: !skipCoverage && options.collectCoverage !== false,
+    collectInteractions: collectors.interactions && options.collectInteractions !== false,
+    collectFilmstrip: collectors.filmstrip && options.collectFilmstrip !== false,
+    collectTrace: collectors.trace && options.collectTrace !== false,
+    collectScroll: collectors.scroll && options.collectScroll !== false,
+    collectRepeatView: collectors.repeatView && options.collectRepeatView !== false,
+    collectBfcache: collectors.bfcache && options.collectBfcache !== false,
+  };
+  const { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary, variance, profile, filmstrip, trace, consent, repeatView, bfcache, fromCache } = await trackStage(
+    options,
+    'lab',
+    () => collectLabData(pageUrl, deviceType, labOptions),
+    { getTokens: (r) => [r.har, r.perfEntries, r.fullHtml, r.jsApi, r.coverageData].reduce((acc, data) => acc + estimateTokenSize(data, options.model), 0) },
+  );
   if (fromCache) {
-    if (!skipHar) console.log('✓ Loaded HAR data from cache. Estimated token size: ~', estimateTokenSize(har, options.model));
-    if (!skipPerfEntries) console.log('✓ Loaded Performance Entries data from cache. Estimated token size: ~', estimateTokenSize(perfEntries, options.model));
-    if (!skipFullHtml) console.log('✓ Loaded full rendered HTML markup from cache. Estimated token size: ~', estimateTokenSize(fullHtml, options.model));
-    if (!skipCode) console.log('✓ Loaded JS API data from cache. Estimated token size: ~', estimateTokenSize(jsApi, options.model));
-    if (!skipCoverage) console.log('✓ Loaded coverage data from cache. Estimated token size: ~', estimateTokenSize(coverageData, options.model));
+    if (!skipHar) logger.info('✓ Loaded HAR data from cache. Estimated token size: ~', estimateTokenSize(har, options.model));
+    if (!skipPerfEntries) logger.info('✓ Loaded Performance Entries data from cache. Estimated token size: ~', estimateTokenSize(perfEntries, options.model));
+    if (!skipFullHtml) logger.info('✓ Loaded full rendered HTML markup from cache. Estimated token size: ~', estimateTokenSize(fullHtml, options.model));
+    if (!skipCode) logger.info('✓ Loaded JS API data from cache. Estimated token size: ~', estimateTokenSize(jsApi, options.model));
+    if (!skipCoverage) logger.info('✓ Loaded coverage data from cache. Estimated token size: ~', estimateTokenSize(coverageData, options.model));
   } else {
-    if (!skipHar) console.log('✅ Processed HAR data. Estimated token size: ~', estimateTokenSize(har, options.model));
-    if (!skipPerfEntries) console.log('✅ Processed Performance Entries data. Estimated token size: ~', estimateTokenSize(perfEntries, options.model));
-    if (!skipFullHtml) console.log('✅ Processed full rendered HTML markup. Estimated token size: ~', estimateTokenSize(fullHtml, options.model));
-    if (!skipCode) console.log('✅ Processed JS API data. Estimated token size: ~', estimateTokenSize(jsApi, options.model));
-    if (!skipCoverage) console.log('✅ Processed coverage data. Estimated token size: ~', estimateTokenSize(coverageData, options.model));
+    if (!skipHar) logger.info('✅ Processed HAR data. Estimated token size: ~', estimateTokenSize(har, options.model));
+    if (!skipPerfEntries) logger.info('✅ Processed Performance Entries data. Estimated token size: ~', estimateTokenSize(perfEntries, options.model));
+    if (!skipFullHtml) logger.info('✅ Processed full rendered HTML markup. Estimated token size: ~', estimateTokenSize(fullHtml, options.model));
+    if (!skipCode) logger.info('✅ Processed JS API data. Estimated token size: ~', estimateTokenSize(jsApi, options.model));
+    if (!skipCoverage) logger.info('✅ Processed coverage data. Estimated token size: ~', estimateTokenSize(coverageData, options.model));
+  }
+  if (variance?.unstable.length > 0) {
+    logger.warn(`⚠️  Unstable lab metrics across ${variance.runs} runs: ${variance.unstable.map((m) => m.toUpperCase()).join(', ')}`);
+  }
+  if (filmstrip && !fromCache) {
+    logger.info(`✅ Processed filmstrip (${filmstrip.frames?.length ?? 0} frames). Speed Index: ${filmstrip.speedIndex ?? 'n/a'}ms`);
+  }
+  if (trace && !fromCache) {
+    logger.info(`✅ Processed Chrome trace. Main-thread time: ${trace.total.total}ms, ${trace.total.beforeLcp}ms before LCP`);
   }
-  return { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary };
+  return { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary, variance, profile, filmstrip, trace, consent, repeatView, bfcache };
 }
 
 export async function getCode(pageUrl, deviceType, requests, options) {
-  const { codeFiles, stats } = await collectCode(pageUrl, deviceType, requests, options);
+  const { codeFiles, stats } = await trackStage(
+    options,
+    'code',
+    () => collectCode(pageUrl, deviceType, requests, options),
+    {
+      // Some third-party files routinely fail to download, only flag runs where nothing could be fetched
+      getError: (r) => (r.stats.total > 0 && r.stats.failed === r.stats.total ? 'Failed to collect all project code' : null),
+      getTokens: (r) => estimateTokenSize(r.codeFiles, options.model),
+    },
+  );
   if (stats.fromCache === stats.total) {
-    console.log('✓ Loaded code from cache. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
+    logger.info('✓ Loaded code from cache. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
   } else if (stats.fromCache > 0) {
-    console.log(`✓ Partially loaded code from cache (${stats.fromCache}/${stats.total}). Estimated token size: ~`, estimateTokenSize(codeFiles, options.model));
+    logger.info(`✓ Partially loaded code from cache (${stats.fromCache}/${stats.total}). Estimated token size: ~`, estimateTokenSize(codeFiles, options.model));
   } else if (stats.failed > 0) {
-    console.error('❌ Failed to collect all project code. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
+    logger.error('❌ Failed to collect all project code. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
   } else {
-    console.log('✅ Processed project code. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
+    logger.info('✅ Processed project code. Estimated token size: ~', estimateTokenSize(codeFiles, options.model));
   }
   return { codeFiles, stats };
 }
@@ -82,15 +178,15 @@ export default async function collectArtifacts(pageUrl, deviceType, options) {
   const { full: psi, summary: psiSummary } = await getPsi(pageUrl, deviceType, options);
 
   // Collect lab data based on options (respect lazy heavy flags)
-  const { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary } = await getLabData(pageUrl, deviceType, options);
+  const { har, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary, variance, profile, filmstrip, trace, consent, repeatView, bfcache } = await getLabData(pageUrl, deviceType, options);
   const requests = har?.log?.entries?.map((e) => e.request.url) || [];
 
   // Check if code analysis should be skipped
-  const skipCode = process.env.SKIP_CODE_ANALYSIS === 'true';
+  const skipCode = !getCollectors(options).code;
   let resources = {};
   
   if (skipCode) {
-    console.log('🚀 Skipping code analysis due to SKIP_CODE_ANALYSIS environment variable');
+    logger.info('🚀 Skipping code analysis, the code collector is disabled');
   } else {
     const { codeFiles } = await getCode(pageUrl, deviceType, requests, options);
     resources = codeFiles;
@@ -110,5 +206,12 @@ export default async function collectArtifacts(pageUrl, deviceType, options) {
     jsApi,
     coverageData,
     coverageDataSummary,
+    variance,
+    profile,
+    filmstrip,
+    trace,
+    consent,
+    repeatView,
+    bfcache,
   };
 }
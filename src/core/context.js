@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Execution context shared by everything running for one analysis.
+ * Library users inject their logger, environment and cache through `runWithContext`, and the
+ * tools read them with the getters below, falling back to the console, `process.env` and the file cache.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with an execution context, nested contexts inherit from their parent.
+ * @param {Object} context
+ * @param {Object} [context.logger] - Logger used instead of the console.
+ * @param {Object} [context.env] - Environment variables (API keys, credentials...) used before `process.env`.
+ * @param {Object} [context.cache] - Cache adapter with synchronous `get(key)` and `set(key, value)`, e.g. a `Map`.
+ * @param {Function} fn - The function to run.
+ * @returns {any} The result of the function.
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...getContext(), ...context }, fn);
+}
+
+/**
+ * @returns {Object} The current execution context, empty outside of `runWithContext`.
+ */
+export function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Reads an environment variable, from the injected environment first.
+ * @param {String} name
+ * @returns {String|undefined}
+ */
+export function getEnv(name) {
+  const { env } = getContext();
+  if (env && env[name] !== undefined) {
+    return env[name];
+  }
+  return process.env[name];
+}
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview What-if experiments.
+ * The page is measured as is (the baseline), then once per experiment with its mutations applied through request
+ * interception (blocked scripts, preloads, fetchpriority, loading, injected CSS, deferred scripts). The median
+ * metrics of each experiment are compared to the baseline, so the impact of a change is measured rather than guessed.
+ */
+
+import { measure } from '../tools/lab/index.js';
+import { getLabMetrics } from '../tools/lab/performance-collector.js';
+import { VARIANCE_METRICS } from '../tools/lab/variance.js';
+import { validateMutations, describeMutation, hasHtmlMutations } from '../tools/lab/mutations.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
+import { cacheResults } from '../utils.js';
+
+// Medians of fewer runs are too noisy to tell an improvement from the run-to-run variance
+export const MIN_EXPERIMENT_RUNS = 3;
+
+/**
+ * Validates the experiments.
+ * @param {Object[]} experiments - The experiments, each with a `name` and a list of `mutations`.
+ * @returns {Object[]} The experiments.
+ */
+export function parseExperiments(experiments) {
+  if (!Array.isArray(experiments) || experiments.length === 0) {
+    throw new Error('Experiments must be a non-empty list of { name, mutations }');
+  }
+  const names = new Set();
+  experiments.forEach((experiment, i) => {
+    if (!experiment?.name) {
+      throw new Error(`Experiment #${i + 1} is missing a "name"`);
+    }
+    if (names.has(experiment.name)) {
+      throw new Error(`Duplicate experiment name "${experiment.name}"`);
+    }
+    names.add(experiment.name);
+    try {
+      validateMutations(experiment.mutations);
+    } catch (error) {
+      throw new Error(`Experiment "${experiment.name}": ${error.message}`);
+    }
+  });
+  return experiments;
+}
+
+/**
+ * Gets the median of each metric over the runs, with its standard deviation.
+ * @param {Object} measurement - The result of `measure`.
+ * @returns {Object} The `{ median, stdev }` of each metric, by metric.
+ */
+function getMedians({ perfEntries, variance }) {
+  const metrics = getLabMetrics(perfEntries);
+  return Object.fromEntries(VARIANCE_METRICS.map((metric) => [metric, variance.metrics[metric]
+    ? { median: variance.metrics[metric].median, stdev: variance.metrics[metric].stdev }
+    : { median: metrics[metric], stdev: 0 }]));
+}
+
+/**
+ * Compares the median metrics of an experiment to the baseline.
+ * A delta is significant when it is larger than the run-to-run standard deviation of both measurements.
+ * @param {Object} baseline - The medians of the baseline.
+ * @param {Object} experiment - The medians of the experiment.
+ * @returns {Object} The `{ baseline, value, delta, change, significant }` of each metric, by metric.
+ */
+export function compareMedians(baseline, experiment) {
+  const deltas = {};
+  VARIANCE_METRICS.forEach((metric) => {
+    const before = baseline[metric];
+    const after = experiment[metric];
+    if (typeof before?.median !== 'number' || typeof after?.median !== 'number') {
+      return;
+    }
+    const delta = after.median - before.median;
+    deltas[metric] = {
+      baseline: before.median,
+      value: after.median,
+      delta,
+      change: before.median ? (delta / before.median) * 100 : 0,
+      significant: delta !== 0 && Math.abs(delta) > Math.max(before.stdev, after.stdev),
+    };
+  });
+  return deltas;
+}
+
+function formatValue(metric, value) {
+  return metric === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+}
+
+function formatDelta(metric, { delta, change, significant }) {
+  const sign = delta > 0 ? '+' : '';
+  const value = metric === 'cls' ? `${sign}${delta.toFixed(3)}` : `${sign}${Math.round(delta)}ms`;
+  return `${value} (${sign}${Math.round(change)}%)${significant ? '' : ' ~'}`;
+}
+
+/**
+ * Summarizes the experiments, for the reports.
+ * @param {Object} results - The experiment results.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeExperiments(results) {
+  const metrics = VARIANCE_METRICS.filter((metric) => typeof results.baseline[metric]?.median === 'number');
+  let markdown = `# Experiments (${results.runs} runs each, median values)\n\n`;
+  markdown += `| Experiment | ${metrics.map((m) => m.toUpperCase()).join(' | ')} |\n`;
+  markdown += `|------------|${metrics.map(() => '------').join('|')}|\n`;
+  markdown += `| baseline | ${metrics.map((m) => formatValue(m, results.baseline[m].median)).join(' | ')} |\n`;
+  results.experiments.forEach((experiment) => {
+    const cells = metrics.map((m) => (experiment.deltas[m] ? formatDelta(m, experiment.deltas[m]) : 'n/a'));
+    markdown += `| ${experiment.name} | ${cells.join(' | ')} |\n`;
+  });
+  markdown += '\n~ the delta is within the run-to-run variance, and may not be an actual improvement or regression\n';
+
+  markdown += '\n## Mutations\n\n';
+  results.experiments.forEach((experiment) => {
+    markdown += `* **${experiment.name}:** ${experiment.mutations.map(describeMutation).join('; ')}\n`;
+  });
+  return markdown;
+}
+
+/**
+ * Measures the baseline, then the page with the mutations of each experiment applied.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object[]} experiments - The validated experiments.
+ * @param {Object} options - The number of `runs`, the `blockRequests`, the resolved `auth` session, the `consent` mode
+ *   and the run `tracker`.
+ * @returns {Promise<Object>} The `baseline` medians and the `experiments`, each with its `medians` and `deltas` to the baseline.
+ */
+export async function measureExperiments(pageUrl, deviceType, experiments, options) {
+  const {
+    runs, blockRequests, auth, consent,
+  } = options;
+  // The baseline runs as a control without mutations, through the same request interception as the experiments.
+  // When an experiment rewrites the HTML, every measurement receives the document through the same rewrite
+  const rewriteDocument = experiments.some(({ mutations }) => hasHtmlMutations(mutations));
+  logger.info(`🧪 Measuring the baseline (${runs} run${runs > 1 ? 's' : ''})`);
+  const baseline = await trackStage(options, 'experiment:baseline', () => measure(pageUrl, deviceType, {
+    runs, blockRequests, auth, consent, experiment: { mutations: [], lcpUrl: null, rewriteDocument },
+  }));
+  // The `lcp` selector of the mutations targets the LCP image of the baseline
+  const lcpUrl = baseline.perfEntries.filter((e) => e.entryType === 'largest-contentful-paint').pop()?.url || null;
+  const baselineMedians = getMedians(baseline);
+
+  const results = {
+    url: pageUrl,
+    deviceType,
+    runs,
+    lcpUrl,
+    baseline: baselineMedians,
+    experiments: [],
+  };
+  for (const { name, mutations } of experiments) {
+    logger.info(`🧪 Measuring experiment "${name}" (${runs} run${runs > 1 ? 's' : ''})`);
+    const measurement = await trackStage(options, `experiment:${name}`, () => measure(pageUrl, deviceType, {
+      runs, blockRequests, auth, consent, experiment: { mutations, lcpUrl, rewriteDocument },
+    }));
+    const medians = getMedians(measurement);
+    results.experiments.push({
+      name,
+      mutations,
+      medians,
+      deltas: compareMedians(baselineMedians, medians),
+    });
+  }
+  return results;
+}
+
+/**
+ * Measures the page with the mutations of each experiment applied, and compares the median metrics to the baseline.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The `experiments`, the number of `runs` (at least 3), the `blockRequests`,
+ *   the resolved `auth` session, the `outputSuffix` and the run `tracker`.
+ * @returns {Promise<Object>} The `baseline` medians and the `experiments`, each with its `deltas` to the baseline.
+ */
+export default async function experimentAction(pageUrl, deviceType, options) {
+  const experiments = parseExperiments(options.experiments);
+  const runs = Math.max(options.runs || 1, MIN_EXPERIMENT_RUNS);
+  const results = await measureExperiments(pageUrl, deviceType, experiments, { ...options, runs });
+
+  const summary = summarizeExperiments(results);
+  const path = cacheResults(pageUrl, deviceType, 'experiments', results, options.outputSuffix);
+  const summaryPath = cacheResults(pageUrl, deviceType, 'experiments', summary, options.outputSuffix);
+  logger.info('✅ Experiments complete');
+  logger.group('Experiments:');
+  logger.info(summary);
+  logger.groupEnd();
+  logger.group('Experiments saved to:');
+  logger.info(path);
+  logger.info(summaryPath);
+  logger.groupEnd();
+  return { ...results, summary, path, summaryPath };
+}
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview User journeys.
+ * A journey is a small script of steps (goto, click, type, wait for a URL or a selector) run in one browser session.
+ * Each step is measured on its own, soft navigations of single-page applications included, with its metrics,
+ * its network activity, its merged timeline and the rules applied to it.
+ */
+
+import { runJourney, getStepMetrics } from '../tools/lab/journey-runner.js';
+import { getTimeline } from '../tools/merge.js';
+import { evaluateRules } from '../tools/rules.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
+import { redactValue } from './auth.js';
+import { cacheResults } from '../utils.js';
+
+// Actions of the journey steps, with the key holding their target. `goto`, `click` and `type` start a new step,
+// the waits are part of the step before them
+const ACTIONS = {
+  goto: 'url',
+  click: 'selector',
+  type: 'selector',
+  waitForUrl: 'pattern',
+  waitForSelector: 'selector',
+};
+const STEP_ACTIONS = ['goto', 'click', 'type'];
+
+/**
+ * Validates the journey script, and groups its actions into measured steps.
+ * @param {Object[]} journey - The actions, each a single action key (goto, click, type, waitForUrl, waitForSelector)
+ *   with its target, the `text` of the `type` actions, and an optional step `name`.
+ * @returns {Object[]} The steps, each with a `name` and its `actions` ({ type, url, selector, pattern, text }).
+ */
+export function parseJourney(journey) {
+  if (!Array.isArray(journey) || journey.length === 0) {
+    throw new Error('A journey must be a non-empty list of steps');
+  }
+  const steps = [];
+  journey.forEach((item, i) => {
+    const types = Object.keys(item || {}).filter((key) => ACTIONS[key]);
+    if (types.length !== 1) {
+      throw new Error(`Journey step #${i + 1} must have exactly one action of ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    const [type] = types;
+    const target = item[type];
+    if (typeof target !== 'string' || (!target && type !== 'goto')) {
+      throw new Error(`Journey step #${i + 1}: "${type}" must be a string`);
+    }
+    if (type === 'type' && typeof item.text !== 'string') {
+      throw new Error(`Journey step #${i + 1}: "type" requires the "text" to type`);
+    }
+    const action = { type, [ACTIONS[type]]: target, ...(type === 'type' && { text: item.text }) };
+    if (STEP_ACTIONS.includes(type) || steps.length === 0) {
+      steps.push({ name: item.name || `${type} ${target}`, actions: [action] });
+    } else {
+      steps[steps.length - 1].actions.push(action);
+    }
+  });
+  return steps;
+}
+
+// The typed text is often a login or a personal search, it is only kept in the results when it references
+// environment variables (`${NAME}`), which are resolved when typed
+function redactActions(actions) {
+  return actions.map((action) => (action.type === 'type' ? { ...action, text: redactValue(action.text) } : action));
+}
+
+function formatTime(value) {
+  return typeof value === 'number' ? `${Math.round(value)}ms` : 'n/a';
+}
+
+function describeAction(action) {
+  const target = action[ACTIONS[action.type]];
+  return `${action.type} \`${target}\`${action.type === 'type' ? ` "${action.text}"` : ''}`;
+}
+
+/**
+ * Summarizes the journey, for the reports.
+ * @param {Object} results - The journey results.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeJourney(results) {
+  let markdown = `# Journey (${results.steps.length} step${results.steps.length > 1 ? 's' : ''})\n\n`;
+  markdown += '| Step | Navigation | URL | TTFB | LCP | INP | CLS | Blocking | Requests | API | Transfer |\n';
+  markdown += '|------|------------|-----|------|-----|-----|-----|----------|----------|-----|----------|\n';
+  results.steps.forEach((step) => {
+    if (step.error) {
+      markdown += `| ${step.name} | failed | | | | | | | | | |\n`;
+      return;
+    }
+    const m = step.metrics;
+    markdown += `| ${step.name} | ${m.navigation} | ${step.url} | ${formatTime(m.ttfb)} | ${formatTime(m.lcp)} | ${formatTime(m.inp)} | ${m.cls.toFixed(3)} | ${formatTime(m.blockingTime)} | ${m.requests} | ${m.apiRequests} | ${Math.round(m.transferSize / 1024)} KB |\n`;
+  });
+  markdown += '\nThe LCP of a soft navigation is timed from the start of the route change, n/a when Chrome did not detect one.\n';
+
+  results.steps.forEach((step, i) => {
+    markdown += `\n## Step ${i + 1}: ${step.name}\n\n`;
+    markdown += `* **Actions:** ${step.actions.map(describeAction).join(', ')}\n`;
+    if (step.error) {
+      markdown += `* **Failed:** ${step.error}\n`;
+      return;
+    }
+    if (step.rules.length === 0) {
+      markdown += '* **Failing rules:** none\n';
+      return;
+    }
+    markdown += '* **Failing rules:**\n';
+    step.rules.forEach((rule) => {
+      markdown += `    * ${rule.message}: ${rule.recommendation}\n`;
+    });
+  });
+  return markdown;
+}
+
+/**
+ * Builds the timeline of a step and applies the rules to it.
+ * The timeline of a route change starts with the step, so the rules time it as its own navigation.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} step - A step returned by `runJourney`.
+ * @param {Object} thresholds - The config thresholds, with the rule overrides.
+ * @returns {Object} The step, with its `metrics`, `timeline` and failing `rules`.
+ */
+function analyzeStep(pageUrl, deviceType, step, thresholds) {
+  if (step.error) {
+    return step;
+  }
+  const { fullHtml, ...rest } = step;
+  const timeline = getTimeline({}, step.perfEntries);
+  timeline.forEach((entry) => {
+    entry.start -= step.startTime;
+    if (typeof entry.end === 'number') {
+      entry.end -= step.startTime;
+    }
+  });
+  // Steps have no HAR, the rules reading it see an empty one
+  const rules = evaluateRules(pageUrl, deviceType, thresholds, {
+    har: { log: { entries: [] } }, perfEntries: step.perfEntries, fullHtml, jsApi: {}, report: { data: timeline },
+  });
+  return {
+    ...rest,
+    metrics: getStepMetrics(step),
+    timeline,
+    rules: rules.filter((r) => !r.passing),
+  };
+}
+
+/**
+ * Runs a user journey on the page and measures each of its steps.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The `journey` script, the `blockRequests`, the resolved `auth` session, the `consent` mode,
+ *   the config `thresholds`, the `outputSuffix` and the run `tracker`.
+ * @returns {Promise<Object>} The `steps`, each with its `metrics`, `perfEntries`, `timeline` and failing `rules`.
+ */
+export default async function journeyAction(pageUrl, deviceType, options) {
+  let steps = parseJourney(options.journey);
+  // Journeys not starting with a page load start on the analyzed page
+  if (steps[0].actions[0].type !== 'goto') {
+    steps = [{ name: 'Page load', actions: [{ type: 'goto', url: pageUrl }] }, ...steps];
+  }
+  const runs = await trackStage(options, 'journey', () => runJourney(pageUrl, deviceType, steps, options));
+  const results = {
+    url: pageUrl,
+    deviceType,
+    steps: runs.map((step) => {
+      const analyzed = analyzeStep(pageUrl, deviceType, step, options.thresholds);
+      return { ...analyzed, actions: redactActions(analyzed.actions) };
+    }),
+  };
+
+  const summary = summarizeJourney(results);
+  const path = cacheResults(pageUrl, deviceType, 'journey', results, options.outputSuffix);
+  const summaryPath = cacheResults(pageUrl, deviceType, 'journey', summary, options.outputSuffix);
+  const failed = results.steps.find((step) => step.error);
+  if (failed) {
+    logger.error(`❌ Journey stopped at step "${failed.name}": ${failed.error}`);
+  } else {
+    logger.info('✅ Journey complete');
+  }
+  logger.group('Journey:');
+  logger.info(summary);
+  logger.groupEnd();
+  logger.group('Journey saved to:');
+  logger.info(path);
+  logger.info(summaryPath);
+  logger.groupEnd();
+  return { ...results, summary, path, summaryPath };
+}
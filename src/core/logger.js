@@ -0,0 +1,147 @@
+import { Console } from 'console';
+import { format } from 'util';
+import { getContext } from './context.js';
+
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error', 'group', 'groupEnd'];
+
+// Minimum level of each method, groups are shown with the info messages they wrap
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 50,
+};
+
+export const LOG_FORMATS = ['text', 'json'];
+
+export const consoleLogger = {
+  debug: (...args) => console.debug(...args),
+  info: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+  group: (...args) => console.group(...args),
+  groupEnd: () => console.groupEnd(),
+};
+
+export const silentLogger = Object.fromEntries(LOGGER_METHODS.map((method) => [method, () => {}]));
+
+/**
+ * Adapts a logger to the methods used by the tools. Loggers that only implement some levels
+ * (e.g. pino or winston instances) get no-op groups and fall back to `info` for the missing levels.
+ * Loggers implementing `event(name, fields)` also receive the structured run events (stage start/finish).
+ * @param {Object} logger
+ * @returns {Object}
+ */
+export function createLogger(logger) {
+  if (!logger) {
+    return consoleLogger;
+  }
+  const fallback = logger.info ? logger.info.bind(logger) : () => {};
+  const adapted = Object.fromEntries(LOGGER_METHODS.map((method) => {
+    if (typeof logger[method] === 'function') {
+      return [method, logger[method].bind(logger)];
+    }
+    return [method, method.startsWith('group') ? () => {} : fallback];
+  }));
+  if (typeof logger.event === 'function') {
+    adapted.event = logger.event.bind(logger);
+  }
+  return adapted;
+}
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+}
+
+/**
+ * Creates the logger of the CLI.
+ * In `text` mode, messages are printed as is and run events only show up at the debug level.
+ * In `json` mode, every message and run event is written as one JSON object per line, with the URL and device
+ * being processed, so the output can be consumed by a supervisor.
+ * @param {Object} [options={}]
+ * @param {String} [options.level='info'] - The minimum level to output (debug, info, warn, error, silent).
+ * @param {String} [options.format='text'] - The output format (text or json).
+ * @param {stream.Writable} [options.stream] - Stream receiving all the output, stdout and stderr by default.
+ * @returns {Object}
+ */
+export function createCliLogger({ level = 'info', format: outputFormat = 'text', stream } = {}) {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}", use one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(outputFormat)) {
+    throw new Error(`Unknown log format "${outputFormat}", use one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  const enabled = (method) => LOG_LEVELS[method] >= LOG_LEVELS[level];
+
+  if (outputFormat === 'json') {
+    const out = stream || process.stdout;
+    const write = (record) => out.write(`${JSON.stringify({
+      time: new Date().toISOString(),
+      ...getContext().logFields,
+      ...record,
+    })}\n`);
+    const log = (method) => (...args) => enabled(method) && write({ level: method, msg: format(...args) });
+    return {
+      debug: log('debug'),
+      info: log('info'),
+      warn: log('warn'),
+      error: log('error'),
+      group: log('info'),
+      groupEnd: () => {},
+      event: (name, fields) => enabled('info') && write({ level: 'info', event: name, ...fields }),
+    };
+  }
+
+  const out = stream ? new Console(stream, stream) : console;
+  // Groups are only opened when shown, so they always get closed
+  const groups = [];
+  return {
+    debug: (...args) => enabled('debug') && out.debug(...args),
+    info: (...args) => enabled('info') && out.log(...args),
+    warn: (...args) => enabled('warn') && out.warn(...args),
+    error: (...args) => enabled('error') && out.error(...args),
+    group: (...args) => {
+      groups.push(enabled('info'));
+      if (enabled('info')) out.group(...args);
+    },
+    groupEnd: () => {
+      if (groups.pop()) out.groupEnd();
+    },
+    ...(enabled('debug') && {
+      event: (name, fields) => out.debug(`[${name}] ${formatFields({ ...getContext().logFields, ...fields })}`),
+    }),
+  };
+}
+
+let defaultLogger = consoleLogger;
+
+/**
+ * Sets the logger used outside of an execution context providing one, e.g. by the CLI.
+ * @param {Object} logger
+ */
+export function setDefaultLogger(logger) {
+  defaultLogger = createLogger(logger);
+}
+
+/**
+ * @returns {Object} The logger of the current execution context, the default logger otherwise.
+ */
+export function getLogger() {
+  return getContext().logger || defaultLogger;
+}
+
+/**
+ * Logger delegating to the logger of the current execution context, so modules can import it once.
+ * Run events are dropped when that logger does not handle them.
+ */
+export const logger = {
+  ...Object.fromEntries(LOGGER_METHODS.map((method) => [
+    method,
+    (...args) => getLogger()[method](...args),
+  ])),
+  event: (name, fields) => getLogger().event?.(name, fields),
+};
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Scheduled monitoring of a set of pages.
+ * On each tick, fresh data is collected and the rules are applied for every page and device. The metrics are
+ * appended to a history store in `.cache/history`, and compared to the previous run to detect regressions,
+ * which are sent to the configured notifiers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import collectArtifacts from './collect.js';
+import merge from '../tools/merge.js';
+import { applyRules } from '../tools/rules.js';
+import { getMetrics } from './assert.js';
+import { runBatch, formatProgress } from './batch-runner.js';
+import { notifyAll } from './notifiers.js';
+import { trackStage } from './run-manifest.js';
+import { runWithContext } from './context.js';
+import { resolveAuth } from './auth.js';
+import { logger } from './logger.js';
+import {
+  estimateTokenSize, getFilePrefix, getNormalizedUrl, normalizePath,
+} from '../utils.js';
+
+const HISTORY_DIR = normalizePath(path.join('.cache', 'history'));
+
+// Default tolerance, in percent of the previous value
+export const DEFAULT_TOLERANCE = 10;
+
+// Smallest change considered a regression for each metric, to ignore the noise on small values
+const MIN_DELTAS = {
+  lcp: 100,
+  fcp: 100,
+  ttfb: 100,
+  si: 100,
+  tti: 100,
+  tbt: 50,
+  inp: 20,
+  cls: 0.01,
+  score: 2,
+  rules: 1,
+};
+
+// Metrics where a lower value is a regression
+const HIGHER_IS_BETTER = ['psi.score'];
+
+// setTimeout does not support delays over ~24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function getHistoryPath(pageUrl, deviceType) {
+  return path.join(HISTORY_DIR, `${path.basename(getFilePrefix(pageUrl, deviceType, 'history'))}.jsonl`);
+}
+
+/**
+ * Reads the monitoring history of a page on a device.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @returns {Object[]} The snapshots, oldest first.
+ */
+export function readHistory(pageUrl, deviceType) {
+  const filePath = getHistoryPath(pageUrl, deviceType);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+function appendHistory(snapshot) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  fs.appendFileSync(getHistoryPath(snapshot.url, snapshot.device), `${JSON.stringify(snapshot)}\n`);
+}
+
+/**
+ * Compares the metrics of two snapshots.
+ * A metric regresses when it gets worse by more than the tolerance and by at least its minimum delta.
+ * @param {Object} previous - The previous metrics.
+ * @param {Object} current - The current metrics.
+ * @param {Number} [tolerance=DEFAULT_TOLERANCE] - The tolerance, in percent of the previous value.
+ * @returns {Object[]} The regressions ({ metric, previous, current, change }).
+ */
+export function compareMetrics(previous, current, tolerance = DEFAULT_TOLERANCE) {
+  return Object.entries(current)
+    .filter(([metric, value]) => typeof value === 'number' && typeof previous[metric] === 'number')
+    .map(([metric, value]) => {
+      const delta = HIGHER_IS_BETTER.includes(metric) ? previous[metric] - value : value - previous[metric];
+      const minDelta = MIN_DELTAS[metric.split('.').pop()] ?? MIN_DELTAS[metric.split('.')[0]] ?? 0;
+      const regressed = delta > 0 && delta >= minDelta && delta > Math.abs(previous[metric]) * (tolerance / 100);
+      return regressed && {
+        metric,
+        previous: previous[metric],
+        current: value,
+        change: previous[metric] ? Math.round(((value - previous[metric]) / previous[metric]) * 100) : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function formatRegression({
+  metric, previous, current, change,
+}) {
+  const format = (value) => (Number.isInteger(value) ? value : Number(value.toFixed(3)));
+  return `${metric} ${format(previous)} → ${format(current)}${change !== null ? ` (${change > 0 ? '+' : ''}${change}%)` : ''}`;
+}
+
+/**
+ * Collects fresh data for a page, records its metrics and compares them to the previous run.
+ * @param {Object} entry - The URL entry.
+ * @param {String} deviceType
+ * @param {Object} options - The monitoring options.
+ * @returns {Promise<Object>} The snapshot and the regressions.
+ */
+async function monitorPage(entry, deviceType, options) {
+  const auth = await resolveAuth(entry.auth, entry.url, deviceType);
+  const normalizedUrl = await getNormalizedUrl(entry.url, deviceType, auth);
+  if (!normalizedUrl?.url) {
+    throw new Error(`Failed to access: ${entry.url}`);
+  }
+  const pageUrl = normalizedUrl.url;
+  const actionOptions = {
+    ...options,
+    skipCache: true,
+    skipTlsCheck: normalizedUrl.skipTlsCheck,
+    blockRequests: entry.blockRequests ?? options.blockRequests,
+    outputSuffix: entry.outputSuffix ?? options.outputSuffix,
+    consent: entry.consent ?? options.consent,
+    auth,
+  };
+
+  const data = await collectArtifacts(pageUrl, deviceType, actionOptions);
+  const report = merge(pageUrl, deviceType);
+  const { full: rules } = await trackStage(
+    actionOptions,
+    'rules',
+    () => applyRules(pageUrl, deviceType, actionOptions, { ...data, report }),
+    { getTokens: (r) => estimateTokenSize(r.summary, options.model) },
+  );
+
+  const history = readHistory(entry.url, deviceType);
+  const previous = history[history.length - 1];
+  const snapshot = {
+    timestamp: new Date().toISOString(),
+    url: entry.url,
+    pageUrl,
+    device: deviceType,
+    labels: entry.labels,
+    metrics: getMetrics({
+      psi: data.psi, crux: data.crux, perfEntries: data.perfEntries, rules,
+    }),
+  };
+  appendHistory(snapshot);
+
+  const regressions = previous ? compareMetrics(previous.metrics, snapshot.metrics, options.tolerance) : [];
+  return { snapshot, previous, regressions };
+}
+
+/**
+ * Runs one monitoring tick over all the pages.
+ * @param {Object[]} entries - The URL entries.
+ * @param {Object} options - The monitoring options.
+ * @returns {Promise<Object>} The counts of monitored pages, regressions and errors.
+ */
+export async function runMonitorTick(entries, options) {
+  const { devices, concurrency, notifiers = [] } = options;
+  const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+  const summary = { pages: 0, regressions: 0, errors: 0 };
+  logger.info(`🔎 Monitoring ${entries.length} URL(s) on ${devices.join(', ')}...`);
+
+  await runBatch(entries, async (entry) => {
+    const errors = [];
+    for (const device of entry.devices || devices) {
+      await runWithContext({ logFields: { url: entry.url, device } }, async () => {
+        try {
+          const { snapshot, previous, regressions } = await monitorPage(entry, device, { ...options, tolerance });
+          summary.pages++;
+          if (regressions.length === 0) {
+            logger.info(`✅ No regression on ${entry.url} (${device})`);
+            return;
+          }
+          summary.regressions += regressions.length;
+          logger.warn(`⚠️  ${regressions.length} regression(s) on ${entry.url} (${device}): ${regressions.map(formatRegression).join(', ')}`);
+          const event = {
+            type: 'regression',
+            timestamp: snapshot.timestamp,
+            url: entry.url,
+            device,
+            labels: entry.labels,
+            tolerance,
+            previousRun: previous.timestamp,
+            regressions,
+          };
+          logger.event('monitor:regression', { previousRun: previous.timestamp, regressions });
+          await notifyAll(notifiers, event);
+        } catch (error) {
+          summary.errors++;
+          errors.push(`${device}: ${error.message}`);
+          logger.error(`❌ Failed to monitor ${entry.url} (${device}):`, error.message);
+        }
+      });
+    }
+    return errors.length > 0 ? { error: errors.join('; ') } : {};
+  }, {
+    concurrency,
+    onProgress: (stats) => {
+      if (entries.length > 1) {
+        logger.info(formatProgress(stats));
+      }
+    },
+  });
+
+  logger.info(`📈 Monitoring run done: ${summary.pages} page(s) checked, ${summary.regressions} regression(s), ${summary.errors} error(s)`);
+  logger.event('monitor:tick', summary);
+  return summary;
+}
+
+async function sleepUntil(date) {
+  while (Date.now() < date.getTime()) {
+    await new Promise((resolve) => {
+      setTimeout(resolve, Math.min(date.getTime() - Date.now(), MAX_TIMEOUT));
+    });
+  }
+}
+
+/**
+ * Monitors pages on a schedule, until the process is stopped.
+ * Interval schedules run right away, cron schedules wait for their first match.
+ * Ticks never overlap: a tick that takes longer than the interval is followed by the next one right away.
+ * @param {Object[]} entries - The URL entries.
+ * @param {Object} options
+ * @param {Object} [options.schedule] - The parsed schedule, required unless `once` is set.
+ * @param {Boolean} [options.once] - Run a single tick, e.g. when scheduled by an external cron.
+ * @param {String[]} options.devices - The default devices.
+ * @param {Number} [options.concurrency=1] - Number of URLs monitored in parallel.
+ * @param {Number} [options.tolerance] - The regression tolerance, in percent.
+ * @param {Object[]} [options.notifiers] - The notifiers receiving the regressions.
+ * @returns {Promise<Object>} The summary of the tick, when running once.
+ */
+export async function runMonitor(entries, { schedule, once, ...options }) {
+  if (once) {
+    return runMonitorTick(entries, options);
+  }
+  let next = schedule.immediately ? new Date() : schedule.next(new Date());
+  logger.info(`⏰ Monitoring ${entries.length} URL(s) on schedule "${schedule.spec}"`);
+  for (;;) {
+    if (next.getTime() > Date.now()) {
+      logger.info(`⏰ Next monitoring run at ${next.toISOString()}`);
+      await sleepUntil(next);
+    }
+    const startedAt = new Date();
+    await runMonitorTick(entries, options);
+    next = schedule.next(schedule.immediately ? startedAt : new Date());
+  }
+}
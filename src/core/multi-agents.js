@@ -16,12 +16,16 @@ import {
     perfObserverAgentPrompt, psiAgentPrompt, rulesAgentPrompt,
     initializeSystemAgents,
 } from '../prompts/index.js';
-import { getCrux, getPsi, getLabData, getCode } from './collect.js';
+import { getCrux, getPsi, getLabData, getCode, getCollectors } from './collect.js';
 import { detectAEMVersion } from '../tools/aem.js';
 import merge from '../tools/merge.js';
 import { applyRules } from '../tools/rules.js';
 import { LLMFactory } from '../models/llm-factory.js';
 import { getTokenLimits } from '../models/config.js';
+import { throttle } from './rate-limiter.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
+import { getDeviceType } from './profiles.js';
 
 const DEFAULT_THRESHOLDS = {
     mobile: {
@@ -38,6 +42,23 @@ const DEFAULT_THRESHOLDS = {
     }
 };
 
+/**
+ * Device-aware gating thresholds, with the `agent` thresholds of the config profile applied on top,
+ * for the device type and then for the device profile
+ * @param {String} deviceType - The device type or profile
+ * @param {Object} [thresholds] - The config thresholds
+ * @return {Object}
+ */
+function getGatingThresholds(deviceType, thresholds) {
+    const profile = deviceType || 'mobile';
+    const device = getDeviceType(profile);
+    return {
+        ...(DEFAULT_THRESHOLDS[device] || DEFAULT_THRESHOLDS.mobile),
+        ...thresholds?.agent?.[device],
+        ...(profile !== device && thresholds?.agent?.[profile]),
+    };
+}
+
 /** Tool Wrapper */
 export class Tool {
     constructor({name, description, func}) {
@@ -80,7 +101,7 @@ export class Agent {
             processedInput += `\n\nTool Result: ${toolResult}`;
         }
 
-        const result = await this.chain.invoke({ input: processedInput });
+        const result = await throttle('llm', () => this.chain.invoke({ input: processedInput }));
         return result;
     }
 
@@ -96,16 +117,16 @@ Should I use a tool? Respond as:
 `;
 
         try {
-            const response = await this.llm.invoke([
+            const response = await throttle('llm', () => this.llm.invoke([
                 new SystemMessage('You are a tool selector. Return a compact JSON with keys: use, tool, query.'),
                 { role: "user", content: toolPrompt }
-            ]);
+            ]));
             const raw = response.content.replace(/```json|```/gi, "").trim();
             const parsed = JSON.parse(raw);
             const selectedTool = this.tools.find(t => t.name === parsed.tool);
             return {...parsed, toolObj: selectedTool};
         } catch (error) {
-            console.warn("Tool decision parsing failed:", error.message);
+            logger.warn("Tool decision parsing failed:", error.message);
             return {use: false};
         }
     }
@@ -149,12 +170,12 @@ export class MultiAgentSystem {
             const output = await agent.invoke(input);
                 const dt = ((Date.now() - t0) / 1000).toFixed(1);
                 completed++;
-                console.log(`✅ ${agentName} (${Math.round(completed/total*100)}%, ${Number(dt)}s)`);
+                logger.info(`✅ ${agentName} (${Math.round(completed/total*100)}%, ${Number(dt)}s)`);
             return {agent: agentName, output};
             } catch (err) {
                 const dt = ((Date.now() - t0) / 1000).toFixed(1);
                 completed++;
-                console.log(`❌ ${agentName} (${Math.round(completed/total*100)}%, ${Number(dt)}s):`, err.message);
+                logger.info(`❌ ${agentName} (${Math.round(completed/total*100)}%, ${Number(dt)}s):`, err.message);
                 return {agent: agentName, output: `Error: ${err.message}`};
             }
         }));
@@ -205,7 +226,7 @@ function extractStructuredSuggestions(content, pageUrl, deviceType) {
             suggestions: Array.isArray(suggestions) ? suggestions : [],
         };
     } catch (e) {
-        console.warn('Multi-agent: failed to parse structured JSON:', e.message);
+        logger.warn('Multi-agent: failed to parse structured JSON:', e.message);
         return {};
     }
 }
@@ -320,8 +341,7 @@ function generateConditionalAgentConfig(pageData, cms) {
     const harStats = computeHarStats(har);
 
     // Device-aware thresholds
-    const device = (pageData.deviceType || 'mobile').toLowerCase();
-    const TH = DEFAULT_THRESHOLDS[device] || DEFAULT_THRESHOLDS.mobile;
+    const TH = getGatingThresholds(pageData.deviceType, pageData.thresholds);
 
     // Multi-signal gating (include perf pre-LCP signals when available)
     const perfSig = computePerfSignals(perfEntries);
@@ -380,8 +400,8 @@ function generateConditionalAgentConfig(pageData, cms) {
 
     // Debug/log the gating outcome so users can see why agent count == N
     const selectedNames = steps.map(s => s.name);
-    console.log(`- with → har: ${shouldRunHar}, coverage: ${shouldRunCoverage}, code: ${shouldRunCode}`);
-    console.log(`- using ${selectedNames.length} agent(s): ${selectedNames.map((n) => n.replace(' Agent', '')).join(', ')}`);
+    logger.info(`- with → har: ${shouldRunHar}, coverage: ${shouldRunCoverage}, code: ${shouldRunCode}`);
+    logger.info(`- using ${selectedNames.length} agent(s): ${selectedNames.map((n) => n.replace(' Agent', '')).join(', ')}`);
 
     return steps.map(({ name, sys, hum }) => ({
         name,
@@ -400,9 +420,9 @@ function generateConditionalAgentConfig(pageData, cms) {
  * @return {Promise<String|null>}
  */
 export async function runMultiAgents(pageData, tokenLimits, llm, model) {
-    console.group('Starting multi-agent flow...');
+    logger.group('Starting multi-agent flow...');
     if (!pageData || !tokenLimits || !llm) {
-        console.warn('runMultiAgents: invalid arguments');
+        logger.warn('runMultiAgents: invalid arguments');
         return null;
     }
 
@@ -441,11 +461,11 @@ export async function runMultiAgents(pageData, tokenLimits, llm, model) {
         new StringOutputParser()
     ]);
 
-    console.log('- running final analysis...');
-    const finalOutput = await finalChain.invoke({ input: context });
+    logger.info('- running final analysis...');
+    const finalOutput = await throttle('llm', () => finalChain.invoke({ input: context }));
 
 
-    console.groupEnd();
+    logger.groupEnd();
 
     return result + "\n\n## Final Suggestions:\n" + finalOutput;
 }
@@ -474,7 +494,7 @@ async function reduceAgentOutputs(responses, pageData, llm) {
             actions: Array.isArray(parsed.actions) ? parsed.actions : [],
         };
     } catch (e) {
-        console.warn('Reducer: failed to aggregate structured outputs:', e.message);
+        logger.warn('Reducer: failed to aggregate structured outputs:', e.message);
         return null;
     }
 }
@@ -496,8 +516,7 @@ export async function runAgentFlow(pageUrl, deviceType, options = {}) {
 
     // Derive gates using PSI only (single lab run later)
     const signals = extractPsiSignals(psi);
-    const device = (deviceType || 'mobile').toLowerCase();
-    const TH = DEFAULT_THRESHOLDS[device] || DEFAULT_THRESHOLDS.mobile;
+    const TH = getGatingThresholds(deviceType, options.thresholds);
     const coverageSignals = [
         signals.reduceUnusedJS === true,
         (signals.tbt ?? 0) > TH.TBT_MS,
@@ -507,7 +526,7 @@ export async function runAgentFlow(pageUrl, deviceType, options = {}) {
     const shouldRunHar = [signals.redirects, signals.serverResponseSlow, signals.renderBlocking].filter(Boolean).length >= 2;
 
     // Phase 2: single lab run, conditionally collecting HAR/Coverage as needed
-    const { har: harHeavy, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary } = await getLabData(pageUrl, deviceType, {
+    const { har: harHeavy, harSummary, perfEntries, perfEntriesSummary, fullHtml, jsApi, coverageData, coverageDataSummary, trace, consent, repeatView, bfcache } = await getLabData(pageUrl, deviceType, {
         ...options,
         collectHar: shouldRunHar,
         collectCoverage: shouldRunCoverage,
@@ -515,7 +534,8 @@ export async function runAgentFlow(pageUrl, deviceType, options = {}) {
 
     // Phase 3: conditionally collect code after coverage/har gates
     let resources = undefined;
-    const shouldRunCode = (signals.reduceUnusedJS === true && (signals.tbt ?? 0) > TH.TBT_MS) || shouldRunCoverage;
+    const shouldRunCode = getCollectors(options).code
+        && ((signals.reduceUnusedJS === true && (signals.tbt ?? 0) > TH.TBT_MS) || shouldRunCoverage);
     if (shouldRunCode) {
         let codeRequests = [];
         if (Array.isArray(harHeavy?.log?.entries)) {
@@ -532,20 +552,20 @@ export async function runAgentFlow(pageUrl, deviceType, options = {}) {
 
     // Apply rules (cached when available)
     const report = merge(pageUrl, deviceType);
-    const { summary: rulesSummary, fromCache } = await applyRules(
+    const { summary: rulesSummary, fromCache } = await trackStage(options, 'rules', () => applyRules(
         pageUrl,
         deviceType,
         options,
-        { crux, psi, har: (harHeavy && harHeavy.log ? harHeavy : { log: { entries: [] } }), perfEntries, resources, fullHtml, jsApi, report }
-    );
+        { crux, psi, har: (harHeavy && harHeavy.log ? harHeavy : { log: { entries: [] } }), perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report }
+    ), { getTokens: (r) => estimateTokenSize(r.summary, options.model) });
     if (fromCache) {
-        console.log('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
+        logger.info('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
     } else {
-        console.log('✅ Processed rules. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
+        logger.info('✅ Processed rules. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
     }
 
     const cms = detectAEMVersion(harHeavy?.log?.entries?.[0]?.headers, fullHtml || resources[pageUrl]);
-    console.log('AEM Version:', cms);
+    logger.info('AEM Version:', cms);
 
     // Create LLM instance and compute token limits
     const llm = LLMFactory.createLLM(options.model, options.llmOptions || {});
@@ -569,23 +589,29 @@ export async function runAgentFlow(pageUrl, deviceType, options = {}) {
         harSummary,
         coverageDataSummary,
         fullHtml,
+        thresholds: options.thresholds,
     };
 
     // Execute flow (force conditional multi-agent mode)
-    const result = await runMultiAgents(pageData, tokenLimits, llm, options.model);
+    const result = await trackStage(
+        options,
+        'llm',
+        () => runMultiAgents(pageData, tokenLimits, llm, options.model),
+        { getTokens: (r) => estimateTokenSize(r, options.model) },
+    );
 
     // Persist a copy labeled under agent action
     cacheResults(pageUrl, deviceType, 'report', result, '', options.model);
 
     const markdownData = extractMarkdownSuggestions(result);
     const path = cacheResults(pageUrl, deviceType, 'report', markdownData, '', options.model);
-    console.log('✅ CWV report generated at:', path);
+    logger.info('✅ CWV report generated at:', path);
     
     // Extract and save structured JSON if present
     const structuredData = extractStructuredSuggestions(result, pageUrl, deviceType);
     if (structuredData) {
       const suggestionPath = cacheResults(pageUrl, deviceType, 'suggestions', structuredData, '', options.model);
-      console.log('✅ Structured suggestions saved at:', suggestionPath);
+      logger.info('✅ Structured suggestions saved at:', suggestionPath);
     }
     return result;
 }
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import { CWVSuggestionManager } from './suggestion-manager.js';
+import { cacheResults, getCachedResults, getCachePath } from '../utils.js';
+import { getLabMetrics } from '../tools/lab/performance-collector.js';
+import { describeProfile } from './profiles.js';
+import { logger } from './logger.js';
+
+const CATEGORY_NAMES = {
+  LCP: 'Largest Contentful Paint',
+  CLS: 'Cumulative Layout Shift',
+  INP: 'Interaction to Next Paint',
+  TTFB: 'Time to First Byte',
+};
+
+/**
+ * Builds a stable key for a failing rule so the same finding matches across devices,
+ * ignoring measured values (timings, sizes) that naturally differ between devices.
+ * @param {Object} rule
+ * @returns {String}
+ */
+function ruleKey(rule) {
+  const message = (rule.message || '').replace(/[\d.]+/g, '#');
+  return [rule.category, message, rule.url || rule.name || ''].join('|');
+}
+
+/**
+ * Groups the failing rules of each device into shared and device-specific findings.
+ * @param {Object} rulesByDevice - Map of device type to rule results.
+ * @returns {Object[]} The findings, each with the rule and the devices it fails on.
+ */
+export function mergeRulesByDevice(rulesByDevice) {
+  const findings = new Map();
+  Object.entries(rulesByDevice).forEach(([device, rules]) => {
+    (rules || []).filter((r) => r && !r.passing).forEach((rule) => {
+      const key = ruleKey(rule);
+      if (!findings.has(key)) {
+        findings.set(key, { rule, devices: [] });
+      }
+      const finding = findings.get(key);
+      if (!finding.devices.includes(device)) {
+        finding.devices.push(device);
+      }
+    });
+  });
+  return [...findings.values()];
+}
+
+function deviceLabel(devices, allDevices) {
+  return devices.length === allDevices.length ? 'All devices' : `${devices.join(', ')} only`;
+}
+
+function formatRulesSection(findings, devices) {
+  if (findings.length === 0) {
+    return 'No failing rules on any device.\n';
+  }
+  let markdown = '';
+  const shared = findings.filter((f) => f.devices.length === devices.length);
+  if (shared.length > 0) {
+    markdown += `### Shared (${devices.join(' + ')})\n\n`;
+    shared.forEach(({ rule }) => {
+      markdown += `- ${rule.message} — ${rule.recommendation}\n`;
+    });
+    markdown += '\n';
+  }
+  devices.forEach((device) => {
+    const specific = findings.filter((f) => f.devices.length < devices.length && f.devices.includes(device));
+    if (specific.length > 0) {
+      markdown += `### ${device.charAt(0).toUpperCase()}${device.slice(1)}-specific\n\n`;
+      specific.forEach(({ rule, devices: ruleDevices }) => {
+        markdown += `- ${rule.message} — ${rule.recommendation}${ruleDevices.length > 1 ? ` (${ruleDevices.join(', ')})` : ''}\n`;
+      });
+      markdown += '\n';
+    }
+  });
+  return markdown;
+}
+
+// Lab metrics compared across devices, with their unit
+const LAB_METRICS = [
+  ['lcp', 'LCP', 'ms'],
+  ['fcp', 'FCP', 'ms'],
+  ['ttfb', 'TTFB', 'ms'],
+  ['tbt', 'TBT', 'ms'],
+  ['cls', 'CLS', ''],
+  ['inp', 'INP', 'ms'],
+  ['si', 'Speed Index', 'ms'],
+];
+
+function formatLabSection(labByDevice) {
+  const devices = Object.keys(labByDevice);
+  const format = (value, unit) => {
+    if (typeof value !== 'number') return 'n/a';
+    return unit ? `${Math.round(value)}${unit}` : value.toFixed(3);
+  };
+  let markdown = `| Device | ${LAB_METRICS.map(([, label]) => label).join(' | ')} |\n`;
+  markdown += `|--------|${LAB_METRICS.map(() => '-----').join('|')}|\n`;
+  devices.forEach((device) => {
+    const metrics = { ...getLabMetrics(labByDevice[device].perfEntries), si: labByDevice[device].filmstrip?.speedIndex };
+    markdown += `| ${device} | ${LAB_METRICS.map(([key, , unit]) => format(metrics[key], unit)).join(' | ')} |\n`;
+  });
+  const profiles = devices.map((device) => labByDevice[device].profile).filter(Boolean);
+  if (profiles.length > 0) {
+    markdown += `\n${profiles.map((profile) => `- ${describeProfile(profile)}`).join('\n')}\n`;
+  }
+  const screenshots = devices.filter((device) => labByDevice[device].filmstrip?.screenshots?.lcp);
+  if (screenshots.length > 0) {
+    markdown += '\nScreenshots at LCP:\n';
+    screenshots.forEach((device) => {
+      markdown += `- ${device}: ${labByDevice[device].filmstrip.screenshots.lcp.file}\n`;
+    });
+  }
+  return markdown;
+}
+
+function formatSuggestionsSection(mergedSuggestions, devices) {
+  let markdown = '';
+  Object.entries(mergedSuggestions).forEach(([category, suggestions]) => {
+    if (suggestions.length === 0) return;
+    markdown += `### ${CATEGORY_NAMES[category] || category} (${category})\n\n`;
+    suggestions.forEach((s) => {
+      markdown += `- **${s.title}** [${s.priority || 'Medium'}] — ${deviceLabel(s.devices, devices)}\n`;
+      if (s.description) {
+        markdown += `  ${s.description.replace(/\n+/g, ' ')}\n`;
+      }
+    });
+    markdown += '\n';
+  });
+  return markdown || 'No structured suggestions available.\n';
+}
+
+/**
+ * Writes a single report comparing the results of a URL across devices or device profiles.
+ * The lab metrics are compared side by side, failing rules and LLM suggestions are split into findings
+ * shared by all devices and device-specific ones.
+ * Suggestions are merged with the same logic the MCP reviewer uses, so this only covers mobile + desktop runs.
+ * @param {Object} pageUrls - Map of device type to the (normalized) URL analyzed on that device.
+ * @param {Object} [options={}]
+ * @param {String} [options.outputSuffix] - Suffix used for the rules files.
+ * @param {String} [options.model] - Model used for the suggestions files, if any.
+ * @returns {String|null} The path of the combined report, or null if nothing could be combined.
+ */
+export function writeCombinedReport(pageUrls, { outputSuffix = '', model = '' } = {}) {
+  const devices = Object.keys(pageUrls);
+  const pageUrl = pageUrls[devices[0]];
+
+  const rulesByDevice = Object.fromEntries(devices.map((device) => [
+    device,
+    getCachedResults(pageUrls[device], device, 'rules', outputSuffix)?.data,
+  ]));
+  const hasRules = Object.values(rulesByDevice).every(Boolean);
+
+  // Lab metrics show how the page degrades across devices and device profiles
+  const labByDevice = Object.fromEntries(devices.map((device) => [device, {
+    perfEntries: getCachedResults(pageUrls[device], device, 'perf'),
+    profile: getCachedResults(pageUrls[device], device, 'profile'),
+    filmstrip: getCachedResults(pageUrls[device], device, 'filmstrip'),
+  }]));
+  const hasLab = Object.values(labByDevice).every((lab) => Array.isArray(lab.perfEntries));
+
+  let mergedSuggestions = null;
+  const suggestionFiles = devices.map((device) => getCachePath(pageUrls[device], device, 'suggestions', '', false, model));
+  if (model && devices.length === 2 && devices.includes('mobile') && suggestionFiles.every((f) => fs.existsSync(f))) {
+    const manager = new CWVSuggestionManager();
+    try {
+      const mobileIndex = devices.indexOf('mobile');
+      const result = manager.loadMultiDeviceSuggestions(suggestionFiles[mobileIndex], suggestionFiles[1 - mobileIndex]);
+      ({ mergedSuggestions } = result);
+    } catch (error) {
+      logger.warn('Could not merge suggestions across devices:', error.message);
+    } finally {
+      manager.cleanup();
+    }
+  }
+
+  if (!hasRules && !mergedSuggestions && !hasLab) {
+    logger.warn('No lab data, rules or suggestions available for all devices, skipping the cross-device report.');
+    return null;
+  }
+
+  let markdown = `# Cross-Device Report\n\n**URL:** ${pageUrl}\n**Devices:** ${devices.join(', ')}\n\n`;
+  if (hasLab) {
+    markdown += `## Lab Metrics\n\n${formatLabSection(labByDevice)}\n`;
+  }
+  if (mergedSuggestions) {
+    markdown += `## Suggestions\n\n${formatSuggestionsSection(mergedSuggestions, devices)}\n`;
+  }
+  if (hasRules) {
+    markdown += `## Failing Rules\n\n${formatRulesSection(mergeRulesByDevice(rulesByDevice), devices)}`;
+  }
+
+  const path = cacheResults(pageUrl, devices.join('-'), 'report', markdown, outputSuffix, model);
+  logger.info('✅ Cross-device report generated at:', path);
+  return path;
+}
@@ -26,6 +26,9 @@ import { applyRules } from '../tools/rules.js';
 import { estimateTokenSize, cacheResults, getCachedResults, getCachePath } from '../utils.js';
 import { LLMFactory } from '../models/llm-factory.js';
 import { getTokenLimits } from '../models/config.js';
+import { throttle } from './rate-limiter.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
 
 function extractMarkdownSuggestions(content) {
   if (!content || typeof content !== 'string') return '';
@@ -53,8 +56,8 @@ function extractStructuredSuggestions(content, pageUrl, deviceType) {
                      content.match(/(\{[\s\S]*"suggestions"[\s\S]*?\})/);
     
     if (!jsonMatch) {
-      console.log('⚠️  No structured JSON found in AI response');
-      console.log('⚠️  Looking for: ## STRUCTURED DATA FOR AUTOMATION section or ```json blocks');
+      logger.info('⚠️  No structured JSON found in AI response');
+      logger.info('⚠️  Looking for: ## STRUCTURED DATA FOR AUTOMATION section or ```json blocks');
       return null;
     }
 
@@ -64,7 +67,7 @@ function extractStructuredSuggestions(content, pageUrl, deviceType) {
     try {
       parsedData = JSON.parse(jsonStr);
     } catch (parseError) {
-      console.log('⚠️  Failed to parse JSON from AI response:', parseError.message);
+      logger.info('⚠️  Failed to parse JSON from AI response:', parseError.message);
       return null;
     }
 
@@ -80,7 +83,7 @@ function extractStructuredSuggestions(content, pageUrl, deviceType) {
 
     // Validate the structure after normalization
     if (!Array.isArray(suggestions)) {
-      console.log('⚠️  Invalid JSON structure: missing or invalid suggestions array');
+      logger.info('⚠️  Invalid JSON structure: missing or invalid suggestions array');
       return null;
     }
 
@@ -105,11 +108,11 @@ function extractStructuredSuggestions(content, pageUrl, deviceType) {
       }))
     };
 
-    console.log(`✅ Extracted ${processedData.suggestions.length} structured suggestions`);
+    logger.info(`✅ Extracted ${processedData.suggestions.length} structured suggestions`);
     return processedData;
 
   } catch (error) {
-    console.log('⚠️  Error extracting structured data:', error.message);
+    logger.info('⚠️  Error extracting structured data:', error.message);
     return null;
   }
 }
@@ -209,7 +212,7 @@ async function invokeLLM(llm, pageData, model, useSummarized = false) {
   const tokensLength = messages.map((m) => enc.encode(m.content).length).reduce((a, b) => a + b, 0);
   const modeLabel = useSummarized === 'ultra-aggressive' ? ' (more aggressive)' : 
                     useSummarized ? ' (simplified)' : '';
-  console.log(`Prompt Tokens${modeLabel}:`, tokensLength);
+  logger.info(`Prompt Tokens${modeLabel}:`, tokensLength);
   
 
   // Check token limit threshold - Use 80% to be more conservative
@@ -217,50 +220,50 @@ async function invokeLLM(llm, pageData, model, useSummarized = false) {
 
   // Check if we need to switch to summarized version
   if (!useSummarized && tokensLength > threshold) {
-    console.log('Context window limit hit. Trying with summarized prompt...');
+    logger.info('Context window limit hit. Trying with summarized prompt...');
     return invokeLLM(llm, pageData, model, true);
   }
 
   // Check if even the summarized version exceeds the hard limit
   if (tokensLength > tokenLimits.input) {
     if (useSummarized === 'ultra-aggressive') {
-      console.log('Token count exceeds hard limit even with more aggressive summarization. Cannot proceed.');
+      logger.info('Token count exceeds hard limit even with more aggressive summarization. Cannot proceed.');
       throw new Error(`Token count (${tokensLength}) exceeds maximum allowed (${tokenLimits.input}) even with more aggressive summarization`);
     }
-    console.log('Token count exceeds hard limit even with summarized prompt. Trying more aggressive summarization...');
+    logger.info('Token count exceeds hard limit even with summarized prompt. Trying more aggressive summarization...');
     return invokeLLM(llm, pageData, model, 'ultra-aggressive');
   }
 
   try {
     // Direct invocation
-    const result = await llm.invoke(messages);
+    const result = await throttle('llm', () => llm.invoke(messages));
     const markdown = extractMarkdownSuggestions(result.content);
     cacheResults(pageUrl, deviceType, 'report', result, '', model);
     const path = cacheResults(pageUrl, deviceType, 'report', markdown, '', model);
-    console.log('✅ CWV report generated at:', path);
+    logger.info('✅ CWV report generated at:', path);
     
     // Extract and save structured JSON if present
     const structuredData = extractStructuredSuggestions(result.content, pageUrl, deviceType);
     if (structuredData) {
       const suggestionPath = cacheResults(pageUrl, deviceType, 'suggestions', structuredData, '', model);
-      console.log('✅ Structured suggestions saved at:', suggestionPath);
+      logger.info('✅ Structured suggestions saved at:', suggestionPath);
     }
     
     return result;
   } catch (error) {
-    console.error('❌ Failed to generate report for', pageData.pageUrl);
+    logger.error('❌ Failed to generate report for', pageData.pageUrl);
 
     if (error.code === 400 && !useSummarized) { // Token limit reached, retry with summarized if we haven't yet
-      console.log('Context window limit hit. Retrying with summarized prompt...');
+      logger.info('Context window limit hit. Retrying with summarized prompt...');
       return invokeLLM(llm, pageData, model, true);
     } else if (error.code === 400) {
-      console.log('Context window limit hit, even with summarized prompt.', error);
+      logger.info('Context window limit hit, even with summarized prompt.', error);
     } else if (error.code === 403) {
-      console.log('Invalid API key.', error.message);
+      logger.info('Invalid API key.', error.message);
     } else if (error.status === 429) {
-      console.log('Rate limit hit. Try again in 5 mins...', error);
+      logger.info('Rate limit hit. Try again in 5 mins...', error);
     } else {
-      console.error(error);
+      logger.error(error);
     }
     return error;
   }
@@ -273,7 +276,7 @@ export default async function runPrompt(pageUrl, deviceType, options = {}) {
     result = getCachedResults(pageUrl, deviceType, 'report', '', options.model);
     if (result) {
       const path = getCachePath(pageUrl, deviceType, 'report', '', true, options.model);
-      console.log('Report already exists at', path);
+      logger.info('Report already exists at', path);
       return result;
     }
   }
@@ -293,18 +296,27 @@ export default async function runPrompt(pageUrl, deviceType, options = {}) {
     jsApi,
     coverageData,
     coverageDataSummary,
+    trace,
+    consent,
+    repeatView,
+    bfcache,
   } = await collectArtifacts(pageUrl, deviceType, options);
 
   const report = merge(pageUrl, deviceType);
-  const { summary: rulesSummary, fromCache } = await applyRules(pageUrl, deviceType, options, { crux, psi, har, perfEntries, resources, fullHtml, jsApi, report });
+  const { summary: rulesSummary, fromCache } = await trackStage(
+    options,
+    'rules',
+    () => applyRules(pageUrl, deviceType, options, { crux, psi, har, perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report }),
+    { getTokens: (r) => estimateTokenSize(r.summary, options.model) },
+  );
   if (fromCache) {
-    console.log('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
+    logger.info('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
   } else {
-    console.log('✅ Processed rules. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
+    logger.info('✅ Processed rules. Estimated token size: ~', estimateTokenSize(rulesSummary, options.model));
   }
 
   const cms = detectAEMVersion(har?.log?.entries?.[0]?.headers, fullHtml || resources[pageUrl]);
-  console.log('AEM Version:', cms);
+  logger.info('AEM Version:', cms);
 
   // Create LLM instance using the factory
   const llm = LLMFactory.createLLM(options.model, options.llmOptions || {});
@@ -322,6 +334,14 @@ export default async function runPrompt(pageUrl, deviceType, options = {}) {
     coverageDataSummary: coverageDataSummary || null,
   };
 
-  // Invoke LLM and handle retries automatically
-  return invokeLLM(llm, pageData, options.model, false);
+  // Invoke LLM and handle retries automatically, failures are returned rather than thrown
+  return trackStage(
+    options,
+    'llm',
+    () => invokeLLM(llm, pageData, options.model, false),
+    {
+      getError: (r) => (r instanceof Error ? r.message : null),
+      getTokens: (r) => estimateTokenSize(r.content, options.model),
+    },
+  );
 }
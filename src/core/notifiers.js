@@ -0,0 +1,69 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Creates a notifier appending each event as a JSON line to a file.
+ * @param {String} filePath
+ * @returns {Object} The notifier.
+ */
+export function createFileNotifier(filePath) {
+  const target = path.resolve(filePath);
+  return {
+    name: `file:${target}`,
+    notify: async (event) => {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.appendFileSync(target, `${JSON.stringify(event)}\n`);
+    },
+  };
+}
+
+/**
+ * Creates a notifier posting each event as JSON to a webhook.
+ * @param {String} url
+ * @returns {Object} The notifier.
+ */
+export function createWebhookNotifier(url) {
+  return {
+    name: `webhook:${url}`,
+    notify: async (event) => {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+      });
+      if (!resp.ok) {
+        throw new Error(`Webhook responded with ${resp.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * Creates a notifier from its CLI spec: a webhook URL (http or https) or a file path, optionally prefixed with `file:`.
+ * @param {String} spec
+ * @returns {Object} The notifier, with a `name` and an async `notify(event)` function.
+ */
+export function createNotifier(spec) {
+  const value = String(spec).trim();
+  if (/^https?:\/\//i.test(value)) {
+    return createWebhookNotifier(value);
+  }
+  return createFileNotifier(value.replace(/^file:/, ''));
+}
+
+/**
+ * Sends an event to all notifiers. Failing notifiers are reported but do not stop the others.
+ * @param {Object[]} notifiers
+ * @param {Object} event
+ * @returns {Promise<void>}
+ */
+export async function notifyAll(notifiers, event) {
+  await Promise.all(notifiers.map(async (notifier) => {
+    try {
+      await notifier.notify(event);
+    } catch (error) {
+      logger.error(`❌ Failed to notify ${notifier.name || 'notifier'}:`, error.message);
+    }
+  }));
+}
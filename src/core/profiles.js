@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Device profiles emulated by the lab runs.
+ * A profile sets the viewport, pixel ratio, touch support, user agent, CPU slowdown and network conditions,
+ * and is based on a device type (`mobile` or `desktop`) used for PSI, CrUX and the thresholds.
+ * Profiles are selected by name, optionally with a network preset, e.g. `tablet` or `mobile@fast-3g`.
+ */
+
+import { getContext } from './context.js';
+
+// Network presets, download and upload in bytes per second, latency in milliseconds.
+// The 3G and 4G presets match the Lighthouse and Chrome DevTools throttling, cable matches WebPageTest
+export const NETWORK_PRESETS = {
+  'slow-3g': {
+    download: ((400 * 1000) / 8) * 0.8,
+    upload: ((400 * 1000) / 8) * 0.8,
+    latency: 400 * 5,
+  },
+  'fast-3g': {
+    download: ((700 * 1000) / 8) * 0.9,
+    upload: ((700 * 1000) / 8) * 0.9,
+    latency: 300 * 3.75,
+  },
+  'slow-4g': {
+    download: ((1.6 * 1000 * 1000) / 8) * 0.9,
+    upload: ((750 * 1000) / 8) * 0.9,
+    latency: 150 * 3.75,
+  },
+  'fast-4g': {
+    download: ((9 * 1000 * 1000) / 8) * 0.9,
+    upload: ((1.5 * 1000 * 1000) / 8) * 0.9,
+    latency: 60 * 2.75,
+  },
+  cable: {
+    download: (5 * 1000 * 1000) / 8,
+    upload: (1000 * 1000) / 8,
+    latency: 28,
+  },
+  broadband: {
+    download: 10240 * 1024,
+    upload: 10240 * 1024,
+    latency: 40,
+  },
+  // No network throttling
+  none: null,
+};
+
+// Built-in profiles, the user agent defaults to the one of the device type
+export const DEVICE_PROFILES = {
+  mobile: {
+    device: 'mobile',
+    cpuThrottling: 4,
+    network: 'slow-4g',
+    viewport: {
+      width: 412,
+      height: 823,
+      deviceScaleFactor: 1.75,
+      isMobile: true,
+      hasTouch: false,
+      isLandscape: false,
+    },
+  },
+  desktop: {
+    device: 'desktop',
+    cpuThrottling: 1,
+    network: 'broadband',
+    viewport: {
+      width: 1350,
+      height: 940,
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      isLandscape: true,
+    },
+  },
+  tablet: {
+    device: 'mobile',
+    cpuThrottling: 2,
+    network: 'fast-4g',
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Spacecat/1.0',
+    viewport: {
+      width: 800,
+      height: 1280,
+      deviceScaleFactor: 2,
+      isMobile: true,
+      hasTouch: true,
+      isLandscape: false,
+    },
+  },
+};
+
+const DEVICE_TYPES = ['mobile', 'desktop'];
+
+let customProfiles = {};
+
+/**
+ * Sets the custom profiles used when none are set in the execution context, e.g. the `deviceProfiles` of the config file.
+ * @param {Object} [profiles] - Map of profile name to its settings.
+ */
+export function setDeviceProfiles(profiles) {
+  customProfiles = profiles || {};
+}
+
+function getProfiles() {
+  return { ...DEVICE_PROFILES, ...customProfiles, ...getContext().deviceProfiles };
+}
+
+function getNetwork(network, name) {
+  if (network === null || typeof network === 'object') {
+    return network;
+  }
+  if (!(network in NETWORK_PRESETS)) {
+    throw new Error(`Unknown network "${network}" in profile "${name}", expected ${Object.keys(NETWORK_PRESETS).join(', ')}`);
+  }
+  return NETWORK_PRESETS[network];
+}
+
+function resolveNamedProfile(name, profiles, chain) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown device profile "${name}", expected ${Object.keys(profiles).join(', ')}`);
+  }
+  if (chain.includes(name)) {
+    throw new Error(`Device profile "${name}" extends itself`);
+  }
+  if (profile === DEVICE_PROFILES[name]) {
+    return profile;
+  }
+  // Custom profiles extend another profile: the built-in one they override, or the one of their device type by default
+  const parentName = profile.extends ?? (DEVICE_PROFILES[name] ? name : profile.device || 'mobile');
+  const parent = parentName === name
+    ? DEVICE_PROFILES[name]
+    : resolveNamedProfile(parentName, profiles, [...chain, name]);
+  return {
+    ...parent,
+    ...profile,
+    viewport: { ...parent.viewport, ...profile.viewport },
+  };
+}
+
+/**
+ * Resolves a device profile by name. Names can add a network preset to a profile, e.g. `mobile@fast-3g`.
+ * @param {String} name
+ * @returns {Object} The profile: its `name`, `device` type, `viewport`, `userAgent` (if any),
+ *   `cpuThrottling` multiplier and `network` conditions (null when not throttled).
+ */
+export function resolveProfile(name) {
+  const [profileName, networkName] = String(name).trim().split('@');
+  const { extends: _, ...profile } = resolveNamedProfile(profileName, getProfiles(), []);
+  if (!DEVICE_TYPES.includes(profile.device)) {
+    throw new Error(`Invalid device "${profile.device}" in profile "${profileName}", expected ${DEVICE_TYPES.join(', ')}`);
+  }
+  return {
+    ...profile,
+    name: String(name).trim(),
+    network: getNetwork(networkName ?? profile.network, profileName),
+  };
+}
+
+/**
+ * Returns the device type of a profile, used where only mobile and desktop are supported (PSI, CrUX, thresholds).
+ * @param {String} name - The profile name, or a device type.
+ * @returns {String} `mobile` or `desktop`.
+ */
+export function getDeviceType(name) {
+  if (DEVICE_TYPES.includes(name)) {
+    return name;
+  }
+  return resolveProfile(name).device;
+}
+
+/**
+ * Parses a profile selection, a comma-separated list or an array of profile names.
+ * @param {String|String[]} value - e.g. "mobile,tablet,mobile@fast-3g"
+ * @returns {String[]} The unique profile names, in the order they were requested.
+ */
+export function parseProfiles(value) {
+  const names = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  names.forEach(resolveProfile);
+  return [...new Set(names)];
+}
+
+/**
+ * Describes a profile in a line, for the reports.
+ * @param {Object} profile - The resolved profile.
+ * @returns {String}
+ */
+export function describeProfile({
+  name, device, viewport, cpuThrottling, network,
+}) {
+  const networkLabel = network
+    ? `${Math.round((network.download * 8) / 1000)}/${Math.round((network.upload * 8) / 1000)} kbps, ${Math.round(network.latency)}ms latency`
+    : 'unthrottled network';
+  return `${name} (${device}): ${viewport.width}x${viewport.height} @${viewport.deviceScaleFactor}x${viewport.hasTouch ? ', touch' : ''}, `
+    + `${cpuThrottling}x CPU slowdown, ${networkLabel}`;
+}
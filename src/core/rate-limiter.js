@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Per-dependency rate limiting for batch runs.
+ * Each external dependency (PSI, CrUX, LLM provider, local Chrome) gets its own limiter
+ * so that a batch can run several URLs in parallel without exceeding any single quota.
+ * Cached steps never go through a limiter, so fully cached URLs are not slowed down.
+ */
+
+// Default limits per dependency
+// - concurrency: max number of in-flight calls (0 = unlimited)
+// - perMinute: max number of calls started in any 60s window (0 = unlimited)
+// LLM calls are only limited when requested (`--rate-limit llm:...`), so the parallel agents of a run are not serialized
+export const DEFAULT_RATE_LIMITS = {
+  psi: { concurrency: 2, perMinute: 60 },
+  crux: { concurrency: 4, perMinute: 150 },
+  llm: { concurrency: 0, perMinute: 0 },
+  chrome: { concurrency: 1, perMinute: 0 },
+};
+
+const WINDOW_MS = 60_000;
+
+export class RateLimiter {
+  constructor({ concurrency = Infinity, perMinute = 0 } = {}) {
+    this.concurrency = concurrency > 0 ? concurrency : Infinity;
+    this.perMinute = perMinute > 0 ? perMinute : 0;
+    this.active = 0;
+    this.queue = [];
+    this.startedAt = [];
+    this.timer = null;
+  }
+
+  /**
+   * Runs the given async function once a slot is available.
+   * @param {Function} fn - The async function to execute.
+   * @returns {Promise<any>} The result of the function.
+   */
+  async schedule(fn) {
+    await new Promise((resolve) => {
+      this.queue.push(resolve);
+      this.next();
+    });
+    try {
+      return await fn();
+    } finally {
+      this.active--;
+      this.next();
+    }
+  }
+
+  /**
+   * Number of calls waiting for a slot.
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  next() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const waitMs = this.getWaitTime();
+      if (waitMs > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+          }, waitMs);
+        }
+        return;
+      }
+      this.active++;
+      if (this.perMinute) {
+        this.startedAt.push(Date.now());
+      }
+      this.queue.shift()();
+    }
+  }
+
+  getWaitTime() {
+    if (!this.perMinute) return 0;
+    const now = Date.now();
+    this.startedAt = this.startedAt.filter((t) => now - t < WINDOW_MS);
+    if (this.startedAt.length < this.perMinute) return 0;
+    return WINDOW_MS - (now - this.startedAt[0]);
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Overrides the default limits for one or more dependencies.
+ * Existing limiters are replaced, so this should be called before a batch starts.
+ * @param {Object} overrides - Map of dependency name to { concurrency, perMinute }.
+ */
+export function configureRateLimits(overrides = {}) {
+  Object.entries(overrides).forEach(([name, limits]) => {
+    limiters.set(name, new RateLimiter({ ...DEFAULT_RATE_LIMITS[name], ...limits }));
+  });
+}
+
+/**
+ * Gets (or lazily creates) the limiter for a dependency.
+ * @param {string} name - The dependency name (psi, crux, llm, chrome).
+ * @returns {RateLimiter}
+ */
+export function getRateLimiter(name) {
+  if (!limiters.has(name)) {
+    limiters.set(name, new RateLimiter(DEFAULT_RATE_LIMITS[name]));
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Runs the function through the limiter of the given dependency.
+ * @param {string} name - The dependency name (psi, crux, llm, chrome).
+ * @param {Function} fn - The async function to execute.
+ * @returns {Promise<any>} The result of the function.
+ */
+export function throttle(name, fn) {
+  return getRateLimiter(name).schedule(fn);
+}
+
+/**
+ * Parses a CLI rate limit spec of the form `<name>:<concurrency>[:<perMinute>]`.
+ * @param {string} spec - e.g. "llm:1:5" or "chrome:2"
+ * @returns {Object} Map of dependency name to limits.
+ */
+export function parseRateLimit(spec) {
+  const [name, concurrency, perMinute] = spec.split(':').map((s) => s.trim());
+  if (!name || !DEFAULT_RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limit dependency in "${spec}". Expected one of: ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')}`);
+  }
+  const limits = {};
+  if (concurrency) limits.concurrency = Number(concurrency);
+  if (perMinute) limits.perMinute = Number(perMinute);
+  if (Object.values(limits).some((v) => Number.isNaN(v))) {
+    throw new Error(`Invalid rate limit "${spec}". Expected <name>:<concurrency>[:<perMinute>]`);
+  }
+  return { [name]: limits };
+}
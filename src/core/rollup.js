@@ -0,0 +1,289 @@
+import { cacheResults, getCachedResults, getNormalizedUrl } from '../utils.js';
+import { logger } from './logger.js';
+import { resolveAuth } from './auth.js';
+
+// Max number of example pages listed per issue or group
+const MAX_EXAMPLES = 5;
+
+const CRUX_METRICS = {
+  LCP: { key: 'largest_contentful_paint', good: 2500, poor: 4000 },
+  INP: { key: 'interaction_to_next_paint', good: 200, poor: 500 },
+  CLS: { key: 'cumulative_layout_shift', good: 0.1, poor: 0.25 },
+  TTFB: { key: 'experimental_time_to_first_byte', good: 800, poor: 1800 },
+};
+
+/**
+ * Normalizes a finding so the same issue matches across pages,
+ * ignoring page-specific values (timings, sizes) and resource URLs.
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeText(text) {
+  return (text || '').replace(/https?:\/\/\S+/g, 'url').toLowerCase().replace(/[\d.]+/g, '#').replace(/[^\w#\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function ruleKey(rule) {
+  return `rule:${rule.category}:${normalizeText(rule.message)}`;
+}
+
+function suggestionKey(suggestion) {
+  return `suggestion:${suggestion.metric}:${normalizeText(suggestion.title)}`;
+}
+
+function getCruxP75(crux) {
+  const metrics = crux?.record?.metrics;
+  if (!metrics) return null;
+  return Object.fromEntries(Object.entries(CRUX_METRICS).map(([name, { key }]) => {
+    const p75 = metrics[key]?.percentiles?.p75;
+    return [name, p75 !== undefined ? Number(p75) : null];
+  }));
+}
+
+/**
+ * Loads the cached results of a page. Falls back to the normalized URL when the
+ * page was cached under a redirected URL.
+ * @param {Object} entry - The URL entry.
+ * @param {String} deviceType
+ * @param {Object} options
+ * @returns {Promise<Object>} The cached page data.
+ */
+async function loadPage(entry, deviceType, { outputSuffix, model }) {
+  const load = (url) => ({
+    url,
+    labels: entry.labels || {},
+    rules: getCachedResults(url, deviceType, 'rules', outputSuffix)?.data || null,
+    suggestions: getCachedResults(url, deviceType, 'suggestions', '', model)?.suggestions || null,
+    crux: getCruxP75(getCachedResults(url, deviceType, 'crux')),
+    psiScore: getCachedResults(url, deviceType, 'psi')?.data?.lighthouseResult?.categories?.performance?.score ?? null,
+  });
+
+  let page = load(entry.url);
+  if (!page.rules && !page.suggestions) {
+    try {
+      const normalized = await getNormalizedUrl(entry.url, deviceType, await resolveAuth(entry.auth, entry.url, deviceType));
+      if (normalized?.url && normalized.url !== entry.url) {
+        page = load(normalized.url);
+      }
+    } catch (error) {
+      // Keep the page without cached data, it is reported as missing
+    }
+  }
+  return page;
+}
+
+function getPageviews(page) {
+  const pageviews = Number(page.labels.pageviews);
+  return Number.isFinite(pageviews) && pageviews > 0 ? pageviews : 0;
+}
+
+/**
+ * Whether the issues are weighted by the `pageviews` label, as soon as one page of the batch has it.
+ * Otherwise the weight is the number of pages with CrUX field data (CrUX only reports pages with enough real-user
+ * traffic), which only tells apart issues affecting the same number of pages.
+ * @param {Object[]} pages
+ * @returns {Boolean}
+ */
+function hasPageviews(pages) {
+  return pages.some((page) => getPageviews(page) > 0);
+}
+
+function getTrafficWeight(page, byPageviews) {
+  if (byPageviews) {
+    return getPageviews(page);
+  }
+  return page.crux ? 1 : 0;
+}
+
+/**
+ * Aggregates the failing rules and suggestions of all pages into site-wide issues.
+ * @param {Object[]} pages
+ * @returns {Object[]} The issues, ranked by affected pages then traffic (their `pageviews`, or their pages with field
+ *   data when no page has the label).
+ */
+export function rankIssues(pages) {
+  const issues = new Map();
+  const byPageviews = hasPageviews(pages);
+  const addIssue = (key, type, title, detail, page) => {
+    if (!issues.has(key)) {
+      issues.set(key, {
+        key, type, title, detail, pages: [], traffic: 0,
+      });
+    }
+    const issue = issues.get(key);
+    if (!issue.pages.includes(page.url)) {
+      issue.pages.push(page.url);
+      issue.traffic += getTrafficWeight(page, byPageviews);
+    }
+  };
+
+  pages.forEach((page) => {
+    (page.rules || []).filter((r) => r && !r.passing).forEach((rule) => {
+      addIssue(ruleKey(rule), 'rule', rule.message, rule.category, page);
+    });
+    (page.suggestions || []).forEach((suggestion) => {
+      addIssue(suggestionKey(suggestion), 'suggestion', suggestion.title, suggestion.metric, page);
+    });
+  });
+
+  return [...issues.values()].sort((a, b) => b.pages.length - a.pages.length || b.traffic - a.traffic);
+}
+
+/**
+ * Groups pages that share the exact same set of failing rules and suggestions,
+ * which usually means they are built from the same template.
+ * @param {Object[]} pages
+ * @returns {Object[]} The groups, largest first.
+ */
+export function groupPages(pages) {
+  const groups = new Map();
+  pages.forEach((page) => {
+    const keys = [
+      ...(page.rules || []).filter((r) => r && !r.passing).map(ruleKey),
+      ...(page.suggestions || []).map(suggestionKey),
+    ];
+    const signature = [...new Set(keys)].sort().join('\n');
+    if (!groups.has(signature)) {
+      groups.set(signature, { keys: [...new Set(keys)].sort(), pages: [] });
+    }
+    groups.get(signature).pages.push(page);
+  });
+  return [...groups.values()].sort((a, b) => b.pages.length - a.pages.length);
+}
+
+function median(values) {
+  const sorted = values.filter((v) => v !== null && v !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function formatCruxOverview(pages) {
+  const withCrux = pages.filter((p) => p.crux);
+  if (withCrux.length === 0) {
+    return 'No CrUX field data available for the analyzed pages.\n';
+  }
+  let markdown = '| Metric | Median p75 | Good | Needs Improvement | Poor |\n|---|---|---|---|---|\n';
+  Object.entries(CRUX_METRICS).forEach(([name, { good, poor }]) => {
+    const values = withCrux.map((p) => p.crux[name]).filter((v) => v !== null);
+    const counts = {
+      good: values.filter((v) => v <= good).length,
+      ni: values.filter((v) => v > good && v <= poor).length,
+      poor: values.filter((v) => v > poor).length,
+    };
+    markdown += `| ${name} | ${median(values) ?? 'n/a'} | ${counts.good} | ${counts.ni} | ${counts.poor} |\n`;
+  });
+  return markdown;
+}
+
+function formatLabels(pages) {
+  const templates = {};
+  pages.forEach((p) => {
+    const template = p.labels.template;
+    if (template) templates[template] = (templates[template] || 0) + 1;
+  });
+  const entries = Object.entries(templates).sort((a, b) => b[1] - a[1]);
+  return entries.length > 0 ? entries.map(([t, c]) => `${t} (${c})`).join(', ') : '';
+}
+
+/**
+ * Builds the markdown site report.
+ * @param {String} origin
+ * @param {String} deviceType
+ * @param {Object[]} pages
+ * @param {Object[]} issues
+ * @param {Object[]} groups
+ * @returns {String}
+ */
+export function formatRollupReport(origin, deviceType, pages, issues, groups) {
+  const analyzed = pages.filter((p) => p.rules || p.suggestions);
+  let markdown = `# Site Rollup Report\n\n`;
+  markdown += `**Site:** ${origin}\n**Device:** ${deviceType}\n`;
+  markdown += `**Pages:** ${pages.length} (${pages.filter((p) => p.rules).length} with rules, `
+    + `${pages.filter((p) => p.suggestions).length} with suggestions, ${pages.filter((p) => p.crux).length} with CrUX data)\n\n`;
+
+  const missing = pages.filter((p) => !p.rules && !p.suggestions);
+  if (missing.length > 0) {
+    markdown += `> ${missing.length} page(s) have no cached rules or suggestions yet. Run the \`rules\`, \`prompt\` or \`agent\` action on the batch first.\n\n`;
+  }
+
+  markdown += `## Field Data Overview (CrUX)\n\n${formatCruxOverview(pages)}\n`;
+
+  markdown += `## Site-wide Issues\n\n`;
+  if (issues.length === 0) {
+    markdown += 'No failing rules or suggestions found.\n\n';
+  } else {
+    const byPageviews = hasPageviews(pages);
+    markdown += `| # | Issue | Type | Category | Pages | ${byPageviews ? 'Pageviews' : 'Pages with field data'} | Example pages |\n|---|---|---|---|---|---|---|\n`;
+    issues.forEach((issue, i) => {
+      const share = analyzed.length ? ` (${Math.round((issue.pages.length / analyzed.length) * 100)}%)` : '';
+      const examples = issue.pages.slice(0, MAX_EXAMPLES).map((u) => new URL(u).pathname).join(', ');
+      markdown += `| ${i + 1} | ${issue.title.replace(/\|/g, '\\|')} | ${issue.type} | ${issue.detail || ''} | ${issue.pages.length}${share} | ${issue.traffic} | ${examples} |\n`;
+    });
+    markdown += byPageviews
+      ? '\nIssues affecting the same number of pages are ranked by the `pageviews` label of their pages.\n\n'
+      : '\nIssues affecting the same number of pages are ranked by their pages with CrUX field data. '
+        + 'Add a `pageviews` label to the manifest entries to rank them by traffic.\n\n';
+  }
+
+  markdown += `## Page Groups\n\nPages sharing the exact same failing rules and suggestions, likely built from the same template.\n\n`;
+  groups.filter((g) => g.keys.length > 0).forEach((group, i) => {
+    const templates = formatLabels(group.pages);
+    markdown += `### Group ${i + 1}: ${group.pages.length} page(s)${templates ? ` — templates: ${templates}` : ''}\n\n`;
+    const titles = group.keys.map((key) => issues.find((issue) => issue.key === key)?.title).filter(Boolean);
+    markdown += `**Findings:**\n${titles.map((t) => `- ${t}`).join('\n')}\n\n`;
+    markdown += `**Pages:**\n${group.pages.slice(0, MAX_EXAMPLES * 2).map((p) => `- ${p.url}`).join('\n')}`;
+    markdown += group.pages.length > MAX_EXAMPLES * 2 ? `\n- … and ${group.pages.length - MAX_EXAMPLES * 2} more` : '';
+    markdown += '\n\n';
+  });
+
+  return markdown;
+}
+
+/**
+ * Aggregates the cached results of a batch into a single site report per device.
+ * @param {Object[]} entries - The URL entries of the batch.
+ * @param {String[]} devices - The device types to report on.
+ * @param {Object} [options={}]
+ * @param {String} [options.outputSuffix] - Suffix used for the rules files.
+ * @param {String} [options.model] - Model used for the suggestions files.
+ * @returns {Promise<Object>} The rollup results keyed by device.
+ */
+export default async function rollupAction(entries, devices, options = {}) {
+  const origin = new URL(entries[0].url).origin;
+  const results = {};
+
+  for (const deviceType of devices) {
+    logger.group(`Rollup for ${origin} on ${deviceType}`);
+    const pages = [];
+    for (const entry of entries) {
+      pages.push(await loadPage(entry, deviceType, options));
+    }
+    const issues = rankIssues(pages);
+    const groups = groupPages(pages.filter((p) => p.rules || p.suggestions));
+    const markdown = formatRollupReport(origin, deviceType, pages, issues, groups);
+
+    const full = {
+      origin,
+      deviceType,
+      generatedAt: new Date().toISOString(),
+      pages: pages.map(({ url, labels, crux, psiScore, rules, suggestions }) => ({
+        url,
+        labels,
+        crux,
+        psiScore,
+        failingRules: rules ? rules.filter((r) => r && !r.passing).length : null,
+        suggestions: suggestions ? suggestions.length : null,
+      })),
+      // The `traffic` of the issues is their pageviews, or their pages with field data
+      trafficWeight: hasPageviews(pages) ? 'pageviews' : 'pages-with-field-data',
+      issues: issues.map(({ key, ...issue }) => issue),
+      groups: groups.map((g) => ({ findings: g.keys, pages: g.pages.map((p) => p.url) })),
+    };
+    const path = cacheResults(origin, deviceType, 'rollup', full, options.outputSuffix);
+    const summaryPath = cacheResults(origin, deviceType, 'rollup', markdown, options.outputSuffix);
+    logger.info(`✅ Site report for ${pages.length} page(s) generated at:`, summaryPath);
+    logger.groupEnd();
+    results[deviceType] = { full, summary: markdown, path, summaryPath };
+  }
+  return results;
+}
@@ -2,30 +2,37 @@ import { getLabData } from './collect.js';
 import merge from '../tools/merge.js';
 import { readCache, estimateTokenSize } from '../utils.js';
 import { applyRules } from '../tools/rules.js';
+import { trackStage } from './run-manifest.js';
+import { logger } from './logger.js';
 
 export default async function rulesAction(pageUrl, deviceType, options) {
-  let har, perfEntries, fullHtml, jsApi;
+  let har, perfEntries, fullHtml, jsApi, trace, consent, repeatView, bfcache;
   let report = await readCache(pageUrl, deviceType, 'merge');
   if (!report || options.skipCache) {
-    ({ har, perfEntries, fullHtml, jsApi } = await getLabData(pageUrl, deviceType, { ...options, skipCache: true }));
+    ({ har, perfEntries, fullHtml, jsApi, trace, consent, repeatView, bfcache } = await getLabData(pageUrl, deviceType, { ...options, skipCache: true }));
     merge(pageUrl, deviceType);
     report = await readCache(pageUrl, deviceType, 'merge');
   } else {
-    ({ har, perfEntries, fullHtml, jsApi } = await getLabData(pageUrl, deviceType, { ...options, skipCache: false }));
+    ({ har, perfEntries, fullHtml, jsApi, trace, consent, repeatView, bfcache } = await getLabData(pageUrl, deviceType, { ...options, skipCache: false }));
   }
 
-  const result = await applyRules(pageUrl, deviceType, options, { har, perfEntries, fullHtml, jsApi, report });
+  const result = await trackStage(
+    options,
+    'rules',
+    () => applyRules(pageUrl, deviceType, options, { har, perfEntries, fullHtml, jsApi, trace, consent, repeatView, bfcache, report }),
+    { getTokens: (r) => estimateTokenSize(r.summary, options.model) },
+  );
   if (result.fromCache) {
-    console.log('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(result.summary, options.model));
+    logger.info('✓ Loaded rules from cache. Estimated token size: ~', estimateTokenSize(result.summary, options.model));
   } else {
-    console.log('✅ Processed rules. Estimated token size: ~', estimateTokenSize(result.summary, options.model));
+    logger.info('✅ Processed rules. Estimated token size: ~', estimateTokenSize(result.summary, options.model));
   }
-  console.group('Failed rules:');
-  console.log(result.summary);
-  console.groupEnd();
-  console.group('Rules saved to:');
-  console.log(result.path);
-  console.log(result.summaryPath);
-  console.groupEnd();
+  logger.group('Failed rules:');
+  logger.info(result.summary);
+  logger.groupEnd();
+  logger.group('Rules saved to:');
+  logger.info(result.path);
+  logger.info(result.summaryPath);
+  logger.groupEnd();
   return result;
 }
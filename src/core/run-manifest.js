@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Persistent run manifest for batch runs.
+ * Every batch records the status of each URL and device, and of each stage
+ * (crux, psi, lab, code, rules, llm) with errors and timings, so that an interrupted
+ * run can be resumed with `--resume <runId>` and only the unfinished work is redone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { normalizePath } from '../utils.js';
+import { getLogger } from './logger.js';
+import { redactEntry } from './auth.js';
+
+export const RUN_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+};
+
+export const STAGES = ['crux', 'psi', 'lab', 'code', 'rules', 'llm'];
+
+const RUNS_DIR = normalizePath(path.join('.cache', 'runs'));
+
+function generateRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${timestamp}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Runs a stage through the tracker passed in the options, if any, and emits its start and finish events.
+ * @param {Object} options - The action options, possibly holding a `tracker`.
+ * @param {String} stage - The stage name (crux, psi, lab, code, rules, llm).
+ * @param {Function} fn - The async function executing the stage.
+ * @param {Object} [hooks={}]
+ * @param {Function} [hooks.getError] - Returns an error message for results that signal a failure without throwing.
+ * @param {Function} [hooks.getTokens] - Returns the estimated token size of the result, only called when events are logged.
+ * @returns {Promise<any>} The result of the stage.
+ */
+export async function trackStage(options, stage, fn, { getError = () => null, getTokens } = {}) {
+  const run = () => (options?.tracker ? options.tracker.track(stage, fn, getError) : fn());
+  const logger = getLogger();
+  if (!logger.event) {
+    return run();
+  }
+  logger.event('stage:start', { stage });
+  const t0 = Date.now();
+  try {
+    const value = await run();
+    const error = getError(value);
+    logger.event('stage:finish', {
+      stage,
+      status: error ? RUN_STATUS.FAILED : RUN_STATUS.COMPLETE,
+      duration: Date.now() - t0,
+      tokens: getTokens ? getTokens(value) : undefined,
+      fromCache: !!value?.fromCache,
+      error: error || undefined,
+    });
+    return value;
+  } catch (error) {
+    logger.event('stage:finish', {
+      stage, status: RUN_STATUS.FAILED, duration: Date.now() - t0, error: error.message,
+    });
+    throw error;
+  }
+}
+
+export class RunManifest {
+  constructor(data) {
+    this.data = data;
+    this.filePath = path.join(RUNS_DIR, `${data.runId}.json`);
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  /**
+   * Creates and persists the manifest for a new batch run.
+   * The literal credentials of the entries are redacted, so only the ones referencing environment variables can be resumed.
+   * @param {Object[]} entries - The URL entries of the batch.
+   * @param {String} action - The action performed on each URL.
+   * @param {Object} settings - The batch settings needed to resume (devices, outputSuffix, blockRequests, model...).
+   * @returns {RunManifest}
+   */
+  static create(entries, action, settings) {
+    const manifest = new RunManifest({
+      runId: generateRunId(),
+      action,
+      settings,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      entries: entries.map(redactEntry),
+      results: {},
+    });
+    manifest.save();
+    return manifest;
+  }
+
+  /**
+   * Loads the manifest of a previous run.
+   * @param {String} runId - The run ID, or a path to the manifest file.
+   * @returns {RunManifest}
+   */
+  static load(runId) {
+    const filePath = runId.endsWith('.json') ? path.resolve(runId) : path.join(RUNS_DIR, `${runId}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Run manifest not found: ${filePath}`);
+    }
+    return new RunManifest(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Lists the run manifests available on disk, most recent first.
+   * @returns {Object[]} Summary of each run.
+   */
+  static list() {
+    if (!fs.existsSync(RUNS_DIR)) {
+      return [];
+    }
+    return fs.readdirSync(RUNS_DIR)
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => new RunManifest(JSON.parse(fs.readFileSync(path.join(RUNS_DIR, f), 'utf8'))).getSummary())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  save() {
+    if (!fs.existsSync(RUNS_DIR)) {
+      fs.mkdirSync(RUNS_DIR, { recursive: true });
+    }
+    this.data.updatedAt = new Date().toISOString();
+    // Write to a temp file first so a crash never leaves a truncated manifest behind
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  getResult(url, deviceType) {
+    if (!this.data.results[url]) {
+      this.data.results[url] = {};
+    }
+    if (!this.data.results[url][deviceType]) {
+      this.data.results[url][deviceType] = { status: RUN_STATUS.PENDING, attempts: 0, stages: {} };
+    }
+    return this.data.results[url][deviceType];
+  }
+
+  isComplete(url, deviceType) {
+    return this.data.results[url]?.[deviceType]?.status === RUN_STATUS.COMPLETE;
+  }
+
+  start(url, deviceType) {
+    const result = this.getResult(url, deviceType);
+    result.status = RUN_STATUS.RUNNING;
+    result.attempts++;
+    result.startedAt = new Date().toISOString();
+    // Stages are recorded again on each attempt, the ones that completed before are read from the cache
+    result.stages = {};
+    delete result.error;
+    this.save();
+  }
+
+  finish(url, deviceType, error = null) {
+    const result = this.getResult(url, deviceType);
+    const failedStages = Object.entries(result.stages)
+      .filter(([, stage]) => stage.status === RUN_STATUS.FAILED)
+      .map(([name]) => name);
+    const message = error || (failedStages.length > 0 ? `Failed stage(s): ${failedStages.join(', ')}` : null);
+    result.status = message ? RUN_STATUS.FAILED : RUN_STATUS.COMPLETE;
+    result.finishedAt = new Date().toISOString();
+    if (message) {
+      result.error = message;
+    }
+    this.save();
+  }
+
+  /**
+   * Returns a tracker recording the stages of one URL and device in this manifest.
+   * @param {String} url
+   * @param {String} deviceType
+   * @returns {{track: Function}}
+   */
+  getTracker(url, deviceType) {
+    return {
+      track: async (stage, fn, getError = () => null) => {
+        const result = this.getResult(url, deviceType);
+        const record = { status: RUN_STATUS.RUNNING, startedAt: new Date().toISOString() };
+        result.stages[stage] = record;
+        this.save();
+        const t0 = Date.now();
+        try {
+          const value = await fn();
+          const error = getError(value);
+          record.status = error ? RUN_STATUS.FAILED : RUN_STATUS.COMPLETE;
+          record.fromCache = !!value?.fromCache;
+          if (error) record.error = error;
+          return value;
+        } catch (error) {
+          record.status = RUN_STATUS.FAILED;
+          record.error = error.message;
+          throw error;
+        } finally {
+          record.duration = Date.now() - t0;
+          this.save();
+        }
+      },
+    };
+  }
+
+  /**
+   * Lists the entries that still have unfinished devices.
+   * Completed devices are skipped when the entry is processed again.
+   * @returns {Object[]} The entries to process.
+   */
+  getPendingEntries() {
+    return this.data.entries
+      .filter((entry) => (entry.devices || this.data.settings.devices).some((d) => !this.isComplete(entry.url, d)));
+  }
+
+  getSummary() {
+    const counts = { complete: 0, failed: 0, pending: 0 };
+    this.data.entries.forEach((entry) => {
+      (entry.devices || this.data.settings.devices).forEach((device) => {
+        const status = this.data.results[entry.url]?.[device]?.status;
+        if (status === RUN_STATUS.COMPLETE) counts.complete++;
+        else if (status === RUN_STATUS.FAILED) counts.failed++;
+        else counts.pending++;
+      });
+    });
+    return {
+      runId: this.runId,
+      action: this.data.action,
+      createdAt: this.data.createdAt,
+      updatedAt: this.data.updatedAt,
+      urls: this.data.entries.length,
+      ...counts,
+    };
+  }
+}
@@ -0,0 +1,103 @@
+// Interval units, in milliseconds
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Days like February 29 only come every 4 years, expressions without a match in 8 years never match
+const MAX_CRON_LOOKAHEAD = 8 * 366 * INTERVAL_UNITS.d;
+
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+  value.split(',').forEach((part) => {
+    const [range, rawStep] = part.split('/');
+    const step = rawStep === undefined ? 1 : Number(rawStep);
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) {
+      // "5/15" runs from 5 to the end of the range
+      end = rawStep === undefined ? start : max;
+    }
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} "${part}" in cron expression`);
+    }
+    for (let i = start; i <= end; i += step) {
+      // Sunday can be written as 0 or 7
+      values.add(name === 'day of week' && i === 7 ? 0 : i);
+    }
+  });
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}", expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  // As in cron, when both days are restricted, matching either of them is enough
+  const restrictedDays = fields[2] !== '*';
+  const restrictedWeekdays = fields[4] !== '*';
+  const matchesDay = (date) => {
+    const day = days.has(date.getDate());
+    const weekday = weekdays.has(date.getDay());
+    if (restrictedDays && restrictedWeekdays) return day || weekday;
+    return day && weekday;
+  };
+
+  return (from) => {
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    while (date.getTime() - from.getTime() <= MAX_CRON_LOOKAHEAD) {
+      if (!months.has(date.getMonth() + 1) || !matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0);
+      } else if (!hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0);
+      } else if (!minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1);
+      } else {
+        return date;
+      }
+    }
+    throw new Error(`Cron expression "${expression}" never matches`);
+  };
+}
+
+/**
+ * Parses a schedule, either an interval (e.g. `30m`, `6h`, `1d`, `1w`) or a cron expression
+ * (e.g. `0 6 * * 1` for every Monday at 6:00, or `@daily`).
+ * @param {String} spec
+ * @returns {Object} The schedule: its `spec`, whether it runs `immediately` (intervals),
+ *   and `next(from)` returning the date of the next run after the given date.
+ */
+export function parseSchedule(spec) {
+  const value = String(spec).trim();
+  const interval = value.match(/^(\d+)\s*([mhdw])$/i);
+  if (interval) {
+    const ms = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (ms === 0) {
+      throw new Error(`Invalid schedule "${spec}", the interval must be positive`);
+    }
+    return { spec: value, immediately: true, next: (from) => new Date(from.getTime() + ms) };
+  }
+  const expression = CRON_MACROS[value.toLowerCase()] || value;
+  return { spec: value, immediately: false, next: parseCron(expression) };
+}
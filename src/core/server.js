@@ -0,0 +1,297 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { processEntry } from './actions.js';
+import { TaskQueue, TASK_STATUS } from './task-manager.js';
+import { RunManifest } from './run-manifest.js';
+import { normalizeEntry } from '../cli/urlManifest.js';
+import { getFilePrefix, getNormalizedUrl, normalizePath } from '../utils.js';
+import { resolveAuth, getEnvReferences, redactEntry } from './auth.js';
+import { logger } from './logger.js';
+
+// Actions that can be submitted as jobs
+export const JOB_ACTIONS = ['collect', 'rules', 'prompt', 'agent', 'assert'];
+
+const CACHE_DIR = normalizePath('.cache');
+const JOBS_STORE = path.join(CACHE_DIR, 'jobs', 'jobs.json');
+// Max size of a request body
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.md': 'text/markdown; charset=utf-8',
+  '.har': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+async function readJsonBody(req) {
+  // Browsers can send cross-origin text/plain forms without a preflight, only JSON requests are accepted
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw new HttpError(415, 'The request body must be sent as application/json');
+  }
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) {
+      throw new HttpError(413, 'Request body too large');
+    }
+  }
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the cached artifacts of a page on a device.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @returns {String[]} The artifact file names.
+ */
+export function listArtifacts(pageUrl, deviceType) {
+  if (!fs.existsSync(CACHE_DIR)) {
+    return [];
+  }
+  const prefix = path.basename(getFilePrefix(pageUrl, deviceType, ''));
+  return fs.readdirSync(CACHE_DIR).filter((f) => f.startsWith(prefix)).sort();
+}
+
+/**
+ * Checks the auth settings of a job. Callers of the API must not run code or read secrets on the server:
+ * login scripts are rejected, and only the allowed environment variables can be referenced.
+ * @param {Object} [auth] - The auth settings of the job.
+ * @param {String[]} authEnv - The environment variables jobs can reference.
+ */
+function checkJobAuth(auth, authEnv) {
+  if (auth?.login) {
+    throw new HttpError(400, 'Login scripts cannot be submitted through the API, pass the session cookies or headers instead');
+  }
+  const forbidden = getEnvReferences(auth).filter((name) => !authEnv.includes(name));
+  if (forbidden.length > 0) {
+    throw new HttpError(400, `Environment variables not allowed in the auth settings: ${forbidden.join(', ')}`);
+  }
+}
+
+/**
+ * Validates a job submission and converts it to a task for the queue.
+ * @param {Object} body - The request body: action, url and optional devices, skipCache, model,
+ *   blockRequests, outputSuffix, auth, labels and assert.
+ * @param {Object} [options={}]
+ * @param {String[]} [options.authEnv=[]] - The environment variables the auth settings can reference as `${NAME}`.
+ * @returns {Object} The job parameters.
+ */
+export function parseJob(body, { authEnv = [] } = {}) {
+  const {
+    action, skipCache = false, assert = [], ...entry
+  } = body || {};
+  if (!JOB_ACTIONS.includes(action)) {
+    throw new HttpError(400, `"action" must be one of: ${JOB_ACTIONS.join(', ')}`);
+  }
+  if (action === 'assert' && (!Array.isArray(assert) || assert.length === 0)) {
+    throw new HttpError(400, 'The assert action requires an "assert" array of budgets');
+  }
+  checkJobAuth(entry.auth, authEnv);
+  // The typed text of a journey is sent to the page, it can only reference the same variables as the auth settings
+  const journeyEnv = Array.isArray(entry.journey) ? getEnvReferences(entry.journey.map((item) => item?.text)) : [];
+  const forbidden = journeyEnv.filter((name) => !authEnv.includes(name));
+  if (forbidden.length > 0) {
+    throw new HttpError(400, `Environment variables not allowed in the journey: ${forbidden.join(', ')}`);
+  }
+  try {
+    return {
+      action, skipCache: !!skipCache, assert, entry: normalizeEntry(entry),
+    };
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+// Jobs are persisted and listed without the literal credentials of their auth settings
+function redactParams(params) {
+  return { ...params, entry: redactEntry(params.entry) };
+}
+
+function redactJob({ params, ...task }) {
+  return { ...task, params: params && redactParams(params) };
+}
+
+/**
+ * Runs a job through the same pipeline as the CLI batches.
+ * @param {Object} job - The job parameters.
+ * @param {Object} defaults - The server defaults (devices, model, runs, collectors, thresholds...).
+ * @returns {Promise<Object>} A serializable summary of the job, with the artifacts of each device.
+ */
+async function runJob({ action, skipCache, assert, entry }, defaults) {
+  const result = await processEntry(entry, action, {
+    ...defaults,
+    skipCache,
+    assertions: assert,
+  });
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  const devices = entry.devices || defaults.devices;
+  const artifacts = {};
+  for (const device of devices) {
+    const normalized = await getNormalizedUrl(entry.url, device, await resolveAuth(entry.auth, entry.url, device));
+    artifacts[device] = listArtifacts(normalized?.url || entry.url, device);
+  }
+  return {
+    url: entry.url,
+    labels: entry.labels,
+    artifacts,
+    ...(result.budgets && { budgets: result.budgets }),
+    ...(result.combinedReport && { combinedReport: path.basename(result.combinedReport) }),
+  };
+}
+
+function serveArtifact(res, name) {
+  // Only files at the root of the cache can be served
+  const fileName = path.basename(decodeURIComponent(name));
+  const filePath = path.join(CACHE_DIR, fileName);
+  if (!fileName || fileName.startsWith('.') || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new HttpError(404, `Artifact not found: ${fileName}`);
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(fileName)] || 'text/plain; charset=utf-8' });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Creates the request handler of the API.
+ * @param {TaskQueue} queue - The job queue.
+ * @param {Object} [options={}]
+ * @param {String} [options.token] - Bearer token required on every request, if set.
+ * @param {String[]} [options.authEnv=[]] - The environment variables the auth settings of the jobs can reference.
+ * @returns {Function} The request handler.
+ */
+export function createHandler(queue, { token, authEnv = [] } = {}) {
+  const routes = [
+    ['GET', /^\/health$/, () => ({
+      status: 'ok',
+      queue: {
+        running: queue.list({ status: TASK_STATUS.RUNNING }).length,
+        pending: queue.list({ status: TASK_STATUS.PENDING }).length,
+        concurrency: queue.concurrency,
+      },
+    })],
+    ['POST', /^\/jobs$/, async (req) => {
+      const task = queue.enqueue('job', parseJob(await readJsonBody(req), { authEnv }));
+      logger.info(`Job ${task.id} queued: ${task.params.action} ${task.params.entry.url}`);
+      return [202, redactJob(task)];
+    }],
+    ['GET', /^\/jobs$/, (req, url) => queue.list({ status: url.searchParams.get('status') || undefined })
+      .map(({ result, ...task }) => redactJob(task))],
+    ['GET', /^\/jobs\/([\w-]+)$/, (req, url, [id]) => {
+      const task = queue.get(id);
+      if (!task) throw new HttpError(404, `Job not found: ${id}`);
+      return redactJob(task);
+    }],
+    ['DELETE', /^\/jobs\/([\w-]+)$/, (req, url, [id]) => {
+      if (!queue.remove(id)) throw new HttpError(409, `Job ${id} does not exist or is still running`);
+      return { id, deleted: true };
+    }],
+    ['GET', /^\/artifacts$/, (req, url) => {
+      const pageUrl = url.searchParams.get('url');
+      if (!pageUrl) throw new HttpError(400, 'The "url" query parameter is required');
+      return listArtifacts(pageUrl, url.searchParams.get('device') || 'mobile');
+    }],
+    ['GET', /^\/artifacts\/(.+)$/, (req, url, [name], res) => serveArtifact(res, name)],
+    ['GET', /^\/runs$/, () => RunManifest.list()],
+    ['GET', /^\/runs\/([\w-]+)$/, (req, url, [id]) => {
+      try {
+        const { data } = RunManifest.load(id);
+        // Manifests saved before the entries were redacted may still hold credentials
+        return { ...data, entries: data.entries.map(redactEntry) };
+      } catch (error) {
+        throw new HttpError(404, error.message);
+      }
+    }],
+  ];
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      // The API is not meant to be called from web pages, which could otherwise reach a server on localhost
+      if (req.headers.origin) {
+        throw new HttpError(403, 'Cross-origin requests are not allowed');
+      }
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+      const matches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (matches.length === 0) {
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+      }
+      const route = matches.find(([method]) => method === req.method);
+      if (!route) {
+        throw new HttpError(405, `Method not allowed: ${req.method}`);
+      }
+      const [, pattern, handle] = route;
+      const params = url.pathname.match(pattern).slice(1);
+      const result = await handle(req, url, params, res);
+      if (result === undefined) {
+        // The handler streamed the response itself
+        return;
+      }
+      const [status, body] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+      sendJson(res, status, body);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        logger.error(`❌ ${req.method} ${url.pathname} failed:`, error);
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  };
+}
+
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Starts the HTTP API. Jobs are persisted, so queued and interrupted jobs are resumed after a restart.
+ * @param {Object} options
+ * @param {Number} options.port - The port to listen on.
+ * @param {String} options.host - The interface to bind to.
+ * @param {Number} options.concurrency - Max number of jobs running at once.
+ * @param {Object} options.defaults - The defaults of the jobs (devices, model, outputSuffix, blockRequests, runs, collectors, thresholds).
+ * @returns {Promise<http.Server>}
+ */
+export async function startServer({
+  port, host, concurrency, defaults,
+}) {
+  // Require a token on every request when one is configured, it is mandatory when the server is reachable from other machines
+  const token = process.env.CWV_API_TOKEN;
+  if (!token && !isLoopback(host)) {
+    throw new Error(`CWV_API_TOKEN must be set to bind the API server to ${host}, only loopback interfaces can go without a token`);
+  }
+  const queue = new TaskQueue({
+    concurrency,
+    storePath: JOBS_STORE,
+    handlers: { job: (params) => runJob(params, defaults) },
+    persistParams: redactParams,
+  });
+  // The auth settings of the jobs can only reference the environment variables listed here
+  const authEnv = (process.env.CWV_API_AUTH_ENV || '').split(',').map((name) => name.trim()).filter(Boolean);
+  const server = http.createServer(createHandler(queue, { token, authEnv }));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  logger.info(`✅ API server listening on http://${host}:${port} (${concurrency} concurrent job(s)${token ? ', token required' : ''})`);
+  return server;
+}
@@ -4,6 +4,7 @@ import fs from 'fs';
 import { randomUUID } from 'crypto';
 import { SpaceCatClient } from './spacecat-client.js';
 import { normalizePath } from '../utils.js';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -52,7 +53,7 @@ export class CWVSuggestionManager {
       // Use pathname which normalizes root to "/" in both cases
       return `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}${urlObj.search}${urlObj.hash}`;
     } catch (error) {
-      console.warn('normalizeUrlForComparison: Invalid URL format, returning original', url);
+      logger.warn('normalizeUrlForComparison: Invalid URL format, returning original', url);
       return url;
     }
   }
@@ -509,9 +510,9 @@ export class CWVSuggestionManager {
         : null;
 
       if (existingMetrics) {
-        console.log(`  📊 Preserving existing metrics from ${existingSuggestionsForUrl.length} suggestion(s)`);
+        logger.info(`  📊 Preserving existing metrics from ${existingSuggestionsForUrl.length} suggestion(s)`);
       } else {
-        console.log(`  📊 No existing metrics found, using default zeros`);
+        logger.info(`  📊 No existing metrics found, using default zeros`);
       }
 
       // Create the new suggestion payload (always treat as new for bulk replacement)
@@ -537,8 +538,8 @@ export class CWVSuggestionManager {
   
       // TRUE REPLACEMENT APPROACH:
       
-      console.log(`True replacement for ${this.currentUrl}:`);
-      console.log(`  Deleting ${existingSuggestionsForUrl.length} existing suggestions for this URL`);
+      logger.info(`True replacement for ${this.currentUrl}:`);
+      logger.info(`  Deleting ${existingSuggestionsForUrl.length} existing suggestions for this URL`);
       
       // Delete each existing suggestion for this URL
       const deletePromises = existingSuggestionsForUrl.map(s => 
@@ -547,11 +548,11 @@ export class CWVSuggestionManager {
       
       if (deletePromises.length > 0) {
         await Promise.all(deletePromises);
-        console.log(`  ✅ Deleted ${deletePromises.length} existing suggestions`);
+        logger.info(`  ✅ Deleted ${deletePromises.length} existing suggestions`);
       }
       
       // 2. Add our new suggestion
-      console.log(`  Adding 1 new suggestion for this URL`);
+      logger.info(`  Adding 1 new suggestion for this URL`);
       const result = await this.spaceCatClient.updateSuggestions(site.id, opportunityId, [newSuggestionPayload]);
       
       return { 
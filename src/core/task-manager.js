@@ -1,8 +1,15 @@
 /**
- * @fileoverview A simple in-memory task manager for handling long-running, async operations.
- * This is used to work around short execution timeouts in the hosting environment.
+ * @fileoverview A task manager for handling long-running, async operations.
+ * Tasks run through a queue with a concurrency limit. Queues created with a store path persist their tasks
+ * on disk, so the status and results survive restarts and unfinished tasks are picked up again.
+ * This is used to work around short execution timeouts in the hosting environment, and by the HTTP server.
  */
 
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { logger } from './logger.js';
+
 export const TASK_STATUS = {
   PENDING: 'PENDING',
   RUNNING: 'RUNNING',
@@ -10,39 +17,182 @@ export const TASK_STATUS = {
   FAILED: 'FAILED',
 };
 
-const tasks = new Map();
+function generateTaskId() {
+  return `task_${randomBytes(8).toString('hex')}`;
+}
 
-/**
- * Creates a new task and kicks off the async worker function.
- * @param {Function} worker - The async function to execute.
- * @returns {string} The ID of the created task.
- */
-export function createTask(worker) {
-  const taskId = `task_${Math.random().toString(36).substring(2, 15)}`;
-  const task = {
-    id: taskId,
-    status: TASK_STATUS.PENDING,
-    result: null,
-    error: null,
-  };
-  tasks.set(taskId, task);
-
-  // Do not await the worker. Let it run in the background.
-  // The IFFE is immediately invoked.
-  (async () => {
+export class TaskQueue {
+  /**
+   * @param {Object} [options={}]
+   * @param {Number} [options.concurrency=Infinity] - Max number of tasks running at once.
+   * @param {String} [options.storePath] - JSON file persisting the tasks, in-memory only when not set.
+   * @param {Object} [options.handlers={}] - Map of task type to the async function `(params, task)` executing it.
+   * @param {Function} [options.persistParams] - Returns the params as persisted, e.g. without their secrets.
+   */
+  constructor({
+    concurrency = Infinity, storePath, handlers = {}, persistParams = (params) => params,
+  } = {}) {
+    this.concurrency = concurrency;
+    this.storePath = storePath;
+    this.handlers = handlers;
+    this.persistParams = persistParams;
+    this.tasks = new Map();
+    this.workers = new Map();
+    this.running = 0;
+    this.load();
+  }
+
+  /**
+   * Restores the persisted tasks. Tasks interrupted by a restart are queued again when their type
+   * has a handler, and marked as failed otherwise.
+   */
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) {
+      return;
+    }
+    const tasks = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    tasks.forEach((task) => {
+      if (task.status === TASK_STATUS.RUNNING || task.status === TASK_STATUS.PENDING) {
+        if (this.handlers[task.type]) {
+          task.status = TASK_STATUS.PENDING;
+        } else {
+          task.status = TASK_STATUS.FAILED;
+          task.error = 'Interrupted by a restart';
+        }
+      }
+      this.tasks.set(task.id, task);
+    });
+    this.next();
+  }
+
+  save() {
+    if (!this.storePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tmpPath = `${this.storePath}.tmp`;
+    const tasks = [...this.tasks.values()].map((task) => ({ ...task, params: task.params && this.persistParams(task.params) }));
+    fs.writeFileSync(tmpPath, JSON.stringify(tasks, null, 2));
+    fs.renameSync(tmpPath, this.storePath);
+  }
+
+  /**
+   * Queues a task of a registered type. Only these tasks can be resumed after a restart.
+   * @param {String} type - The task type, must have a handler.
+   * @param {Object} [params={}] - The parameters passed to the handler, must be serializable.
+   * @returns {Object} The created task.
+   */
+  enqueue(type, params = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown task type: ${type}`);
+    }
+    return this.add({ type, params });
+  }
+
+  /**
+   * Queues an ad-hoc worker function. These tasks are not resumed after a restart.
+   * @param {Function} worker - The async function to execute.
+   * @returns {Object} The created task.
+   */
+  run(worker) {
+    const task = this.add({ type: null, params: null });
+    this.workers.set(task.id, worker);
+    return task;
+  }
+
+  add({ type, params }) {
+    const task = {
+      id: generateTaskId(),
+      type,
+      params,
+      status: TASK_STATUS.PENDING,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+    this.tasks.set(task.id, task);
+    this.save();
+    this.next();
+    return task;
+  }
+
+  /**
+   * Starts pending tasks, oldest first, as long as the concurrency limit allows it.
+   */
+  next() {
+    const pending = [...this.tasks.values()].filter((t) => t.status === TASK_STATUS.PENDING);
+    while (this.running < this.concurrency && pending.length > 0) {
+      this.execute(pending.shift());
+    }
+  }
+
+  async execute(task) {
+    this.running++;
+    task.status = TASK_STATUS.RUNNING;
+    task.startedAt = new Date().toISOString();
+    this.save();
     try {
-      task.status = TASK_STATUS.RUNNING;
-      const result = await worker();
+      const worker = this.workers.get(task.id) || (() => this.handlers[task.type](task.params, task));
+      task.result = await worker();
       task.status = TASK_STATUS.COMPLETE;
-      task.result = result;
     } catch (e) {
-      console.error(`Task ${taskId} failed:`, e);
+      logger.error(`Task ${task.id} failed:`, e);
       task.status = TASK_STATUS.FAILED;
       task.error = e.message || 'Unknown error';
+    } finally {
+      task.finishedAt = new Date().toISOString();
+      this.workers.delete(task.id);
+      this.running--;
+      this.save();
+      this.next();
     }
-  })();
+  }
+
+  get(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * Lists the tasks, most recent first.
+   * @param {Object} [filter={}]
+   * @param {String} [filter.status] - Only list tasks with this status.
+   * @returns {Object[]}
+   */
+  list({ status } = {}) {
+    return [...this.tasks.values()]
+      .filter((t) => !status || t.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Removes a task that is not running.
+   * @param {String} taskId
+   * @returns {Boolean} True if the task was removed.
+   */
+  remove(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task || task.status === TASK_STATUS.RUNNING) {
+      return false;
+    }
+    this.tasks.delete(taskId);
+    this.workers.delete(taskId);
+    this.save();
+    return true;
+  }
+}
+
+// Default in-memory queue used by the MCP tools
+const defaultQueue = new TaskQueue();
 
-  return taskId;
+/**
+ * Creates a new task and kicks off the async worker function.
+ * @param {Function} worker - The async function to execute.
+ * @returns {string} The ID of the created task.
+ */
+export function createTask(worker) {
+  return defaultQueue.run(worker).id;
 }
 
 /**
@@ -51,10 +201,11 @@ export function createTask(worker) {
  * @returns {{status: string, error?: string}|null} An object with the task's current status.
  */
 export function getTaskStatus(taskId) {
-  if (!tasks.has(taskId)) {
+  const task = defaultQueue.get(taskId);
+  if (!task) {
     return { status: 'NOT_FOUND', error: 'No task with that ID was found.' };
   }
-  const { status, error } = tasks.get(taskId);
+  const { status, error } = task;
   return { status, error };
 }
 
@@ -64,16 +215,13 @@ export function getTaskStatus(taskId) {
  * @returns {any} The task result, or null if not ready or not found.
  */
 export function getTaskResult(taskId) {
-  if (!tasks.has(taskId)) {
-    return null;
-  }
-  const task = tasks.get(taskId);
-  if (task.status !== TASK_STATUS.COMPLETE) {
+  const task = defaultQueue.get(taskId);
+  if (!task || task.status !== TASK_STATUS.COMPLETE) {
     return null;
   }
 
   const result = task.result;
   // Clean up the task from memory to prevent leaks
-  tasks.delete(taskId);
+  defaultQueue.remove(taskId);
   return result;
-} 
\ No newline at end of file
+}
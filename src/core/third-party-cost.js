@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Third-party cost analysis.
+ * The third-party requests of the page's HAR are grouped by vendor (or origin), then the page is measured with each
+ * group blocked, and with all of them blocked together. The change of the metrics is the measured cost of each vendor.
+ */
+
+import { getLabData } from './collect.js';
+import { measureExperiments, MIN_EXPERIMENT_RUNS } from './experiment.js';
+import { groupThirdParties, getBlockingMutations } from '../tools/lab/third-parties.js';
+import { logger } from './logger.js';
+import { cacheResults } from '../utils.js';
+
+// Metrics reported as savings, the others are kept in the results
+const SAVINGS_METRICS = ['lcp', 'tbt', 'cls'];
+
+// Max number of groups measured one by one, the smallest ones are only part of the all-blocked run
+const MAX_GROUPS = 15;
+
+// Name of the run blocking all the third parties together
+const ALL_THIRD_PARTIES = 'All third parties';
+
+/**
+ * Gets the savings of blocking a group, the opposite of the metric deltas.
+ * @param {Object} deltas - The deltas of the experiment to the baseline.
+ * @returns {Object} The `{ value, change, significant }` saving of each metric, by metric.
+ */
+function getSavings(deltas) {
+  return Object.fromEntries(SAVINGS_METRICS
+    .filter((metric) => deltas[metric])
+    .map((metric) => [metric, {
+      value: -deltas[metric].delta,
+      change: -deltas[metric].change,
+      significant: deltas[metric].significant,
+    }]));
+}
+
+function formatSaving(metric, saving) {
+  if (!saving) {
+    return 'n/a';
+  }
+  const value = metric === 'cls' ? saving.value.toFixed(3) : `${Math.round(saving.value)}ms`;
+  return `${value} (${Math.round(saving.change)}%)${!saving.significant ? ' ~' : ''}`;
+}
+
+/**
+ * Summarizes the cost of the third parties, for the reports.
+ * @param {Object} results - The third-party cost results.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeThirdPartyCost(results) {
+  let markdown = `# Third-Party Cost (${results.runs} runs per measurement)\n\n`;
+  if (results.vendors.length === 0) {
+    return `${markdown}No third-party request found.\n`;
+  }
+  markdown += 'Savings measured by blocking each vendor, compared to the page with all its requests.\n\n';
+  markdown += '| Vendor | Requests | Transfer | LCP savings | TBT savings | CLS savings |\n';
+  markdown += '|--------|----------|----------|-------------|-------------|-------------|\n';
+  [...results.vendors, results.all].filter(Boolean).forEach((v) => {
+    const cells = SAVINGS_METRICS.map((metric) => formatSaving(metric, v.savings[metric]));
+    markdown += `| ${v.name} | ${v.requests} | ${Math.round(v.transferSize / 1024)} KB | ${cells.join(' | ')} |\n`;
+  });
+  markdown += '\n~ the saving is within the run-to-run variance, and may not be an actual improvement\n';
+  if (results.unmeasured.length > 0) {
+    markdown += `\nOnly blocked with all the third parties: ${results.unmeasured.map((v) => v.name).join(', ')}\n`;
+  }
+
+  markdown += '\n## Hosts\n\n';
+  results.vendors.forEach((v) => {
+    markdown += `* **${v.name}:** ${v.hosts.join(', ')}\n`;
+  });
+  return markdown;
+}
+
+/**
+ * Measures the cost of each third-party vendor of the page, by blocking its requests.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The action options, with the number of `runs` per measurement (at least 3).
+ * @returns {Promise<Object>} The `vendors` with their measured `savings`, the `all` third parties blocked together,
+ *   the `unmeasured` vendors, and the `baseline` medians.
+ */
+export default async function thirdPartyCostAction(pageUrl, deviceType, options) {
+  // The third parties are read from the HAR, collected even when the HAR collector is off
+  const { har } = await getLabData(pageUrl, deviceType, {
+    ...options,
+    collectors: { ...options.collectors, har: true },
+  });
+  const groups = groupThirdParties(har, pageUrl);
+  const measured = groups.slice(0, MAX_GROUPS);
+  // Savings are medians, compared to the run-to-run variance like the experiments
+  const runs = Math.max(options.runs || 1, MIN_EXPERIMENT_RUNS);
+  logger.info(`Found ${groups.length} third-party vendor(s), measuring ${measured.length} of them`);
+
+  let results = {
+    url: pageUrl, deviceType, runs, baseline: null, vendors: [], all: null, unmeasured: [],
+  };
+  if (groups.length > 0) {
+    const experiments = [
+      ...measured.map((group) => ({ name: group.name, mutations: getBlockingMutations([group]) })),
+      { name: ALL_THIRD_PARTIES, mutations: getBlockingMutations(groups) },
+    ];
+    const measurements = await measureExperiments(pageUrl, deviceType, experiments, { ...options, runs });
+    const toVendor = (group, experiment) => ({ ...group, deltas: experiment.deltas, savings: getSavings(experiment.deltas) });
+    results = {
+      ...results,
+      baseline: measurements.baseline,
+      vendors: measured
+        .map((group, i) => toVendor(group, measurements.experiments[i]))
+        .sort((a, b) => (b.savings.lcp?.value ?? 0) - (a.savings.lcp?.value ?? 0) || (b.savings.tbt?.value ?? 0) - (a.savings.tbt?.value ?? 0)),
+      all: toVendor({
+        name: ALL_THIRD_PARTIES,
+        vendor: false,
+        hosts: groups.flatMap((group) => group.hosts),
+        requests: groups.reduce((acc, group) => acc + group.requests, 0),
+        transferSize: groups.reduce((acc, group) => acc + group.transferSize, 0),
+      }, measurements.experiments[measured.length]),
+      unmeasured: groups.slice(MAX_GROUPS),
+    };
+  }
+
+  const summary = summarizeThirdPartyCost(results);
+  const path = cacheResults(pageUrl, deviceType, 'third-party-cost', results, options.outputSuffix);
+  const summaryPath = cacheResults(pageUrl, deviceType, 'third-party-cost', summary, options.outputSuffix);
+  logger.info('✅ Third-party cost analysis complete');
+  logger.group('Third-party cost:');
+  logger.info(summary);
+  logger.groupEnd();
+  logger.group('Third-party cost saved to:');
+  logger.info(path);
+  logger.info(summaryPath);
+  logger.groupEnd();
+  return { ...results, summary, path, summaryPath };
+}
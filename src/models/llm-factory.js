@@ -2,6 +2,7 @@ import { ChatVertexAI } from '@langchain/google-vertexai';
 import { AzureChatOpenAI } from '@langchain/openai';
 import { Bedrock } from '@langchain/community/llms/bedrock';
 import { getProviderForModel, getTokenLimits } from './config.js';
+import { getEnv } from '../core/context.js';
 
 /**
  * Factory for creating LLM instances
@@ -19,12 +20,13 @@ export class LLMFactory {
     switch (provider) {
       case 'gemini':
         // Check for Google Cloud credentials
-        if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        if (!getEnv('GOOGLE_APPLICATION_CREDENTIALS')) {
           throw new Error('Missing required environment variable: GOOGLE_APPLICATION_CREDENTIALS');
         }
         return new ChatVertexAI({
           model,
           maxOutputTokens: tokenLimits.output,
+          authOptions: { keyFilename: getEnv('GOOGLE_APPLICATION_CREDENTIALS') },
         });
       
       case 'openai':
@@ -36,18 +38,20 @@ export class LLMFactory {
           'AZURE_OPENAI_API_VERSION'
         ];
         
-        const missingAzureVars = requiredAzureVars.filter(varName => !process.env[varName]);
+        const missingAzureVars = requiredAzureVars.filter(varName => !getEnv(varName));
         if (missingAzureVars.length > 0) {
           throw new Error(`Missing required environment variables for Azure OpenAI: ${missingAzureVars.join(', ')}`);
         }
         
-        const basePath = `https://${process.env.AZURE_OPENAI_API_INSTANCE_NAME}.${model === 'gpt-5' ? 'cognitiveservices' : 'openai'}.azure.com`;
+        const basePath = `https://${getEnv('AZURE_OPENAI_API_INSTANCE_NAME')}.${model === 'gpt-5' ? 'cognitiveservices' : 'openai'}.azure.com`;
         return new AzureChatOpenAI({
           model,
           ...(model === 'gpt-5'
             ? { max_completion_tokens: tokenLimits.output }
             : {maxTokens: tokenLimits.output}),
-          openAIApiKey: process.env.AZURE_OPENAI_API_KEY,
+          openAIApiKey: getEnv('AZURE_OPENAI_API_KEY'),
+          azureOpenAIApiDeploymentName: getEnv('AZURE_OPENAI_API_DEPLOYMENT_NAME'),
+          azureOpenAIApiVersion: getEnv('AZURE_OPENAI_API_VERSION'),
           openAIBasePath: basePath,
           configuration: { basePath }
         });
@@ -59,7 +63,7 @@ export class LLMFactory {
           'AWS_SECRET_ACCESS_KEY',
           'AWS_REGION',
         ];
-        const missingAwsVars = requiredAwsVars.filter(varName => !process.env[varName]);
+        const missingAwsVars = requiredAwsVars.filter(varName => !getEnv(varName));
         if (missingAwsVars.length > 0) {
           throw new Error(`Missing required environment variables for AWS Bedrock: ${missingAwsVars.join(', ')}`);
         }
@@ -67,10 +71,10 @@ export class LLMFactory {
         return new Bedrock({
           model: `anthropic.${model}`,
           maxTokens: tokenLimits.output,
-          region: process.env.AWS_REGION || 'us-east-1',
+          region: getEnv('AWS_REGION') || 'us-east-1',
           credentials: {
-            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            accessKeyId: getEnv('AWS_ACCESS_KEY_ID'),
+            secretAccessKey: getEnv('AWS_SECRET_ACCESS_KEY'),
           },
         });
 
@@ -143,8 +143,9 @@ export const PHASE_FOCUS = {
 - Analyze layout-shift entries to pinpoint the exact timing, score, and source elements contributing to CLS
 - Identify longtask entries (duration, timing) that contribute to high TBT/INP, noting potential attribution if available
 - Review resource timing entries for critical resources, comparing with HAR data for discrepancies or finer details
-- Examine event and first-input entries (if available) for insights into input delay and event handling duration related to INP
-- Correlate paint timings (first-paint, first-contentful-paint) with resource loading and rendering events`,
+- Examine event and first-input entries (if available) for insights into input delay and event handling duration related to INP; event entries come from scripted interactions after load (nav toggles, accordions, tabs, buttons, inputs) and list the scripts of the overlapping long animation frames
+- Correlate paint timings (first-paint, first-contentful-paint) with resource loading and rendering events
+- When a main-thread attribution from a Chrome trace is available, use it to name the scripts and origins behind the main-thread time and the long tasks, before and after LCP`,
 
   HAR: (n) => `### Step ${n}: HAR File Analysis
 - Examine network waterfall for resource loading sequence and timing
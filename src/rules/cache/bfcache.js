@@ -0,0 +1,26 @@
+// Recommendations for the most common reasons pages are not restored from the back/forward cache
+const RECOMMENDATIONS = {
+  UnloadHandlerExistsInMainFrame: 'Remove the unload handlers, use pagehide or visibilitychange instead',
+  UnloadHandlerExistsInSubFrame: 'Remove the unload handlers of the iframes (often from third-party embeds), or load them on interaction',
+  MainResourceHasCacheControlNoStore: 'Avoid Cache-Control: no-store on the HTML, use no-cache or private with max-age=0 for personalized pages',
+  JsNetworkRequestReceivedCacheControlNoStoreResource: 'Avoid Cache-Control: no-store on the responses fetched by scripts',
+  WebSocket: 'Close the open WebSocket connections on pagehide',
+  BroadcastChannel: 'Close the BroadcastChannel on pagehide',
+};
+
+export default function evaluate(context) {
+  const { bfcache } = context;
+  if (!bfcache || bfcache.restored) {
+    return null;
+  }
+  const reasons = bfcache.reasons.map((r) => r.reason);
+  const recommendations = reasons.map((reason) => RECOMMENDATIONS[reason]).filter(Boolean);
+  return {
+    category: 'user-experience',
+    message: `Page is not restored from the back/forward cache${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}`,
+    recommendation: recommendations.length > 0
+      ? `${recommendations.join('. ')}, so back and forward navigations restore the page instantly`
+      : 'Remove what blocks the back/forward cache, so back and forward navigations restore the page instantly',
+    passing: false,
+  };
+}
@@ -0,0 +1,21 @@
+// Only static resources are expected to come from the HTTP cache on a repeat view, not API calls and beacons
+const STATIC_TYPES = ['script', 'link', 'css', 'img', 'image'];
+
+export default function evaluate(context) {
+  const { repeatView } = context;
+  if (!repeatView) {
+    return null;
+  }
+  const downloaded = repeatView.downloaded.filter((r) => STATIC_TYPES.includes(r.initiatorType));
+  if (downloaded.length === 0) {
+    return null;
+  }
+  const size = downloaded.reduce((acc, r) => acc + r.transferSize, 0);
+  return {
+    category: 'network',
+    message: `${downloaded.length} static resource(s) downloaded again on a repeat view (${Math.round(size / 1024)} KB)`,
+    recommendation: 'Serve static resources with a long Cache-Control max-age (and immutable for versioned URLs), so returning visitors load them from the HTTP cache',
+    passing: false,
+    urls: downloaded.map((r) => r.url),
+  };
+}
@@ -1,14 +1,18 @@
+import { getThresholds } from '../shared.js';
+
 const THRESHOLD = 0.01;
 
-export default function evaluate({ report }) {
+export default function evaluate(context) {
+  const { report } = context;
+  const threshold = getThresholds(context, 'cls', THRESHOLD);
   // use dataSortedByEnd to get the previous entries by end time
   const data = report.dataSortedByEnd;
 
-  const clss = data.filter(e => e.entryType === 'CLS' && e.value > THRESHOLD);
+  const clss = data.filter(e => e.entryType === 'CLS' && e.value > threshold);
   if (clss.length > 0) {
     const processed = new Set();
     return clss.map((e) => {
-      const { id, sources, value, start } = e;
+      const { id, sources, value, start, phase } = e;
       let mimeType, previous;
       let previousIndex = data.findIndex(e => e.id === id) - 1;
       do {
@@ -30,14 +34,19 @@ export default function evaluate({ report }) {
       if (previous.entryType === 'resource') {
         recommendation = `Fix width and height before element or impacting CSS is loaded - Root cause seems to be ${previous.url}`;
       }
+      // Shifts of the scroll phase come from content loaded lazily below the fold
+      if (phase === 'scroll') {
+        recommendation = `Reserve the space of the lazy-loaded content (min-height, aspect-ratio or width and height) before it loads - shift happened while scrolling`;
+      }
       return {
         category: 'user-experience',
-        message: `Element caused layout shift when moving from [${from}] to [${to}] (${value})`,
+        message: `Element caused layout shift when moving from [${from}] to [${to}] (${value})${phase === 'scroll' ? ' during scroll' : ''}`,
         recommendation,
         element: node,
         passing: false,
         time: start,
         initiator: previous?.url,
+        ...(phase && { phase }),
       };
     }).filter(Boolean);
   }
@@ -1,9 +1,13 @@
+import { getThresholds, getLcpOverlayNote } from '../shared.js';
+
 const THRESHOLDS = {
   mobile: 100,
   desktop: 200,
 };
 
-export default function evaluate({ summary, report }) {
+export default function evaluate(context) {
+  const { summary, report } = context;
+  const thresholds = getThresholds(context, 'kb100', THRESHOLDS);
   const data = report.dataSortedByEnd;
   const i = data.findLastIndex(r => r.entryType === 'LCP');
   if (i === -1) {
@@ -13,11 +17,11 @@ export default function evaluate({ summary, report }) {
   const { element, start } = lcpResource;
   const beforeLCP = data.slice(0, i);
   const totalSizeBeforeLCP = beforeLCP.reduce((acc, r) => acc + (r.size || 0), 0);
-  if (totalSizeBeforeLCP > THRESHOLDS[summary.type]) {
+  if (totalSizeBeforeLCP > thresholds[summary.type]) {
     return {
       category: 'critical-path',
-      message: `Critical path has >${THRESHOLDS[summary.type]}kb pre-lcp assets on ${summary.type} ()`,
-      recommendation: `A total of ${totalSizeBeforeLCP}kb is loaded before the LCP - defer resources loaded before the LCP to reduce the size of the critical path`,
+      message: `Critical path has >${thresholds[summary.type]}kb pre-lcp assets on ${summary.type} ()`,
+      recommendation: `A total of ${totalSizeBeforeLCP}kb is loaded before the LCP - defer resources loaded before the LCP to reduce the size of the critical path${getLcpOverlayNote(context)}`,
       element,
       passing: false,
       time: start,
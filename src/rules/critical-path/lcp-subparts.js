@@ -0,0 +1,36 @@
+import { getThresholds, getSequence, getLcpOverlayNote } from '../shared.js';
+import { LCP_SUB_PARTS, getDominantLcpSubPart } from '../../tools/lab/performance-collector.js';
+
+const THRESHOLDS = {
+  average: 2500,
+  bad: 4000,
+};
+
+const RECOMMENDATIONS = {
+  ttfb: 'The server response is the largest part of the LCP. Cache the HTML at the CDN edge and reduce the server processing time.',
+  loadDelay: 'The LCP resource is requested late. Make it discoverable in the initial HTML (no lazy-loading, no client-side rendering), preload it and set fetchpriority="high".',
+  loadDuration: 'The LCP resource takes too long to download. Reduce its size (modern formats, responsive images, compression) and serve it from the same origin or a fast CDN.',
+  renderDelay: 'The LCP element is rendered long after its resource is loaded. Reduce render-blocking CSS and scripts, long tasks before LCP, and avoid hiding the element until scripts run.',
+};
+
+export default function evaluate(context) {
+  const { report } = context;
+  const thresholds = getThresholds(context, 'lcp', THRESHOLDS);
+  const { lcp } = getSequence(report);
+  const subParts = lcp?.subParts;
+  if (!subParts || subParts.lcp <= thresholds.average) {
+    return null;
+  }
+  const dominant = getDominantLcpSubPart(subParts);
+  const breakdown = Object.entries(LCP_SUB_PARTS).map(([name, label]) => `${label} ${subParts[name]}ms`).join(', ');
+  return {
+    category: 'critical-path',
+    message: `${LCP_SUB_PARTS[dominant]} is the largest LCP sub-part (${subParts[dominant]}ms, ${Math.round((subParts[dominant] / subParts.lcp) * 100)}% of the ${subParts.lcp}ms LCP): ${breakdown}`,
+    recommendation: `${RECOMMENDATIONS[dominant]}${getLcpOverlayNote(context)}`,
+    passing: false,
+    time: lcp.start,
+    url: subParts.url,
+    element: lcp.element,
+    subPart: dominant,
+  };
+}
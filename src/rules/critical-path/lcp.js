@@ -1,10 +1,15 @@
+import { getThresholds, getLcpOverlayNote } from '../shared.js';
+
 const THRESHOLDS = {
   average: 2500,
   bad: 4000,
 };
 
-export default function evaluate({ report }) {
+export default function evaluate(context) {
+  const { report } = context;
+  const thresholds = getThresholds(context, 'lcp', THRESHOLDS);
   const data = report.dataSortedByEnd;
+  const note = getLcpOverlayNote(context);
   const lcps = data.filter(r => r.entryType === 'LCP');
   
   const results = [];
@@ -21,13 +26,13 @@ export default function evaluate({ report }) {
         elements: lcps.map(l => l.element).filter(e => !!e),
       });
     }
-    if (lcp.end > THRESHOLDS.average) {
+    if (lcp.end > thresholds.average) {
 
-      if (lcp.end > THRESHOLDS.bad) {
+      if (lcp.end > thresholds.bad) {
         results.push({
           category: 'critical-path',
           message: `LCP timing is bad`,
-          recommendation: `The LCP element is taking too long to load. Load it earlier during the critical path.`,
+          recommendation: `The LCP element is taking too long to load. Load it earlier during the critical path.${note}`,
           passing: false,
           time: start,
           url,
@@ -37,7 +42,7 @@ export default function evaluate({ report }) {
         results.push({
           category: 'critical-path',
           message: `LCP timing is average`,
-          recommendation: `The LCP element is taking too long to load. Load it earlier during the critical path.`,
+          recommendation: `The LCP element is taking too long to load. Load it earlier during the critical path.${note}`,
           passing: false,
           time: start,
           url,
@@ -1,4 +1,4 @@
-import { getSequence, getInitiator } from '../shared.js';
+import { getSequence, getInitiator, getThresholds } from '../shared.js';
 
 const THRESHOLDS = {
   'text/javascript': 20,
@@ -6,13 +6,15 @@ const THRESHOLDS = {
   'text/css': 10,
 };
 
-export default function evaluate({ report, har }) {
+export default function evaluate(context) {
+  const { report, har } = context;
+  const thresholds = getThresholds(context, 'size', THRESHOLDS);
   const { sequence } = getSequence(report);
 
   const results = [];
   sequence.forEach(r => {
     if (r.entryType === 'resource') {
-      if (r.size > THRESHOLDS[r.mimeType]) {
+      if (r.size > thresholds[r.mimeType]) {
         results.push({
           category: 'size',
           message: `Large resource of ${r.size}kb loaded in critical path (before LCP)`,
@@ -1,4 +1,5 @@
 import { getSequence, getInitiator } from '../shared.js';
+import { logger } from '../../core/logger.js';
 
 const THRESHOLD = 60;
 
@@ -24,7 +25,7 @@ export default function evaluate({ summary, report, har }) {
         }
       } catch (e) {
         // TODO understand why this happens
-        console.error('Error parsing URL', r.url, e);
+        logger.error('Error parsing URL', r.url, e);
       }
     }
   });
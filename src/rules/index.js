@@ -1,8 +1,11 @@
 import kb100 from './critical-path/kb100.js';
 import loaf from './main-thread/loaf.js';
 import tbt from './main-thread/tbt.js';
+import inp from './main-thread/inp.js';
+import scripts from './main-thread/scripts.js';
 import cls from './cls/cls.js';
 import lcp from './critical-path/lcp.js';
+import lcpSubparts from './critical-path/lcp-subparts.js';
 import loadingSequenceFonts from './critical-path/fonts.js';
 import loadingSequenceSize from './critical-path/size.js';
 import loadingSequence3rdparty from './critical-path/thirdparty.js';
@@ -16,13 +19,18 @@ import fonts from './fonts/fonts.js';
 import redirects from './critical-path/redirects.js';
 import ttfb from './ttfb/ttfb.js';
 import csp from './config/csp.js';
+import repeatView from './cache/repeat-view.js';
+import bfcache from './cache/bfcache.js';
 
 export default [
   kb100,
   loaf,
   tbt,
+  inp,
+  scripts,
   cls,
   lcp,
+  lcpSubparts,
   loadingSequenceFonts,
   loadingSequenceSize,
   loadingSequence3rdparty,
@@ -36,4 +44,6 @@ export default [
   redirects,
   ttfb,
   csp,
+  repeatView,
+  bfcache,
 ];
\ No newline at end of file
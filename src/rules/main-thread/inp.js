@@ -0,0 +1,24 @@
+import { getThresholds } from '../shared.js';
+
+const THRESHOLD = 200;
+
+export default function evaluate(context) {
+  const { report } = context;
+  const threshold = getThresholds(context, 'inp', THRESHOLD);
+  const inps = report.data.filter(e => e.entryType === 'INP' && e.duration > threshold);
+
+  if (inps.length > 0) {
+    return inps.map((e) => {
+      const { name, duration, start, issues, interaction, url, element } = e;
+      return {
+        category: 'main-thread',
+        message: `A ${name} interaction${interaction ? ` on ${interaction}` : ''} takes ${Math.round(duration)}ms to paint the next frame (${issues[0].replace('INP: ', '')})`,
+        ...(url ? { url } : { element }),
+        recommendation: 'Reduce the work done in the event handlers, and yield to the main thread before non-urgent updates to improve responsiveness',
+        passing: false,
+        time: start,
+      };
+    });
+  }
+  return null;
+}
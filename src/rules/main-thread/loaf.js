@@ -1,8 +1,12 @@
+import { getThresholds } from '../shared.js';
+
 const THRESHOLD = 90;
 
-export default function evaluate({ report }) {
+export default function evaluate(context) {
+  const { report } = context;
+  const threshold = getThresholds(context, 'loaf', THRESHOLD);
   const { data } = report;
-  const lafs = data.filter(e => e.entryType === 'long-animation-frame' && e.duration > THRESHOLD);
+  const lafs = data.filter(e => e.entryType === 'long-animation-frame' && e.duration > threshold);
 
   if (lafs.length > 0) {
     return lafs.map((e) => {
@@ -0,0 +1,27 @@
+import { getThresholds } from '../shared.js';
+
+// Main-thread time (ms) a script can take before the LCP
+const THRESHOLD = 150;
+
+export default function evaluate(context) {
+  const { trace, summary } = context;
+  if (!trace?.scripts) {
+    return null;
+  }
+  const threshold = getThresholds(context, 'scripts', THRESHOLD);
+  return trace.scripts
+    // The page's own HTML parsing is not a script
+    .filter((s) => s.beforeLcp > threshold && s.url !== summary.url)
+    .map((s) => {
+      const [[category, time]] = Object.entries(s.categories).sort((a, b) => b[1] - a[1]);
+      return {
+        category: 'main-thread',
+        message: `${s.thirdParty ? 'Third-party script' : 'Script'} takes ${s.beforeLcp}ms of main-thread time before the LCP (mostly ${category}, ${time}ms)`,
+        recommendation: s.thirdParty
+          ? 'Load the script after the LCP, or replace it with a lighter alternative'
+          : 'Defer the script after the LCP, or reduce and split the work it does at load',
+        passing: false,
+        url: s.url,
+      };
+    });
+}
@@ -1,6 +1,25 @@
 const THRESHOLD = 90;
 
-export default function evaluate({ report }) {
+// Attributes the long tasks to the script that spent the most time in them, from the Chrome trace
+function evaluateTrace(trace) {
+  return trace.longTasks.map((t) => ({
+    category: 'main-thread',
+    message: `A task is blocking the main thread for ${t.blockingTime}ms (${t.duration}ms task)`,
+    recommendation: t.url
+      ? 'Split the work of this script into smaller tasks, defer it after the LCP or remove it'
+      : 'Reduce the style, layout and paint work of this task, e.g. with a smaller DOM or simpler selectors',
+    passing: false,
+    time: t.start,
+    url: t.url,
+  }));
+}
+
+export default function evaluate({ report, trace }) {
+  if (trace?.longTasks) {
+    return evaluateTrace(trace);
+  }
+
+  // Without a trace, guess from the entries loaded just before
   // use dataSortedByEnd to get the previous entries by end time
   const { dataSortedByEnd: data } = report;
 
@@ -17,3 +17,31 @@ export function getInitiator(har, url) {
       ? entry._initiator
       : undefined;
 }
+
+/**
+ * Returns the thresholds of a rule, with the overrides from the config profile applied.
+ * @param {Object} context - The rule context, holding the config `thresholds`.
+ * @param {String} rule - The rule name, as used under `thresholds.rules` in the config.
+ * @param {Number|Object} defaults - The default threshold(s) of the rule.
+ * @returns {Number|Object}
+ */
+export function getThresholds({ thresholds }, rule, defaults) {
+  const overrides = thresholds?.rules?.[rule];
+  if (overrides === undefined || overrides === null) {
+    return defaults;
+  }
+  return typeof defaults === 'object' ? { ...defaults, ...overrides } : overrides;
+}
+
+/**
+ * Returns a note for the rules about the LCP, when the LCP element of the lab run is a consent banner or an interstitial.
+ * @param {Object} context - The rule context, holding the `consent` artifact of the lab run.
+ * @returns {String} The note, empty when the LCP element is the page content.
+ */
+export function getLcpOverlayNote({ consent }) {
+  const overlay = consent?.overlays?.find((o) => o.containsLcp);
+  if (!overlay) {
+    return '';
+  }
+  return ` Note: the LCP element is the ${overlay.name} ${overlay.type === 'consent' ? 'consent banner' : 'interstitial'} shown to first visits, measure with \`--consent accept\` for the LCP of the page content.`;
+}
@@ -1,7 +1,11 @@
+import { getThresholds } from '../shared.js';
+
 const THRESHOLD = 800;
-export default function evaluate({ report }) {
+export default function evaluate(context) {
+  const { report } = context;
+  const threshold = getThresholds(context, 'ttfb', THRESHOLD);
   const entry = report.data.find(d => d.entryType === 'navigation' && d.ttfb);
-  if (entry?.ttfb > THRESHOLD) {
+  if (entry?.ttfb > threshold) {
     return { 
       passing: false,
       category: 'network',
@@ -1,3 +1,5 @@
+import { logger } from '../core/logger.js';
+
 /**
  * Detects the AEM implementation type from HTML source code and optionally HAR data
  * @param {object|Array} headers - HTTP headers or HAR entries
@@ -8,7 +10,7 @@
  */
 export function detectAEMVersion(headers, htmlSource, options = {}) {
   if (!htmlSource || typeof htmlSource !== 'string') {
-    console.error('No HTML available. Cannot infer AEM version.');
+    logger.error('No HTML available. Cannot infer AEM version.');
     return null;
   }
 
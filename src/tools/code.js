@@ -1,5 +1,7 @@
 import { cacheResults, getCachedResults, getRequestHeaders } from '../utils.js';
 import { Agent } from 'undici';
+import { logger } from '../core/logger.js';
+import { getAuthHeaders } from '../core/auth.js';
 
 // Filter resources that match our criteria
 const DENYLIST_REGEX = /(granite|foundation|cq|core\.|wcm|jquery|lodash|moment|minified|bootstrap|react\.|angular|vue\.|rxjs|three\.|videojs|chart|codemirror|ace|monaco|gtag|googletag|optimizely|segment|tealium|adobe-dtm|launch-)/i;
@@ -85,7 +87,7 @@ async function fetchResource(url, deviceType, fetchOptions, skipCache) {
     }
 
     if (!response.ok) {
-      console.warn(`Failed to fetch resource: ${url}. Status: ${response.status} - ${response.statusText}`);
+      logger.warn(`Failed to fetch resource: ${url}. Status: ${response.status} - ${response.statusText}`);
       return { 
         content: null, 
         fromCache: false,
@@ -103,8 +105,8 @@ async function fetchResource(url, deviceType, fetchOptions, skipCache) {
       failed: false
     };
   } catch (error) {
-    console.error(`Failed to fetch ${url}:`, error.message);
-    console.error(error.stack);
+    logger.error(`Failed to fetch ${url}:`, error.message);
+    logger.error(error.stack);
     return { 
       content: null, 
       fromCache: false,
@@ -122,9 +124,10 @@ async function fetchResource(url, deviceType, fetchOptions, skipCache) {
  * @param {Object} options - Additional options
  * @param {boolean} options.skipCache - Whether to skip cache lookup
  * @param {boolean} options.skipTlsCheck - Whether to skip TLS certificate validation
+ * @param {Object} [options.auth] - Resolved auth session, for gated pages
  * @returns {Promise<Object>} - Object containing fetched resources and cache statistics
  */
-export async function collect(pageUrl, deviceType, resources, { skipCache, skipTlsCheck }) {
+export async function collect(pageUrl, deviceType, resources, { skipCache, skipTlsCheck, auth }) {
   // Add overall timeout for the entire code collection process
   const overallTimeout = new Promise((_, reject) => 
     setTimeout(() => reject(new Error('Code collection timeout (2 minutes)')), 120000)
@@ -142,7 +145,7 @@ export async function collect(pageUrl, deviceType, resources, { skipCache, skipT
         const requestUrl = new URL(url);
         return shouldIncludeResource(requestUrl, baseUrl);
       } catch (error) {
-        console.error(`Invalid URL: ${url}`, error);
+        logger.error(`Invalid URL: ${url}`, error);
         return false;
       }
     });
@@ -158,8 +161,11 @@ export async function collect(pageUrl, deviceType, resources, { skipCache, skipT
         setTimeout(() => reject(new Error('Resource fetch timeout')), 30000)
       );
       
+      const resourceFetchOptions = auth
+        ? { ...fetchOptions, headers: { ...fetchOptions.headers, ...getAuthHeaders(auth, url, pageUrl) } }
+        : fetchOptions;
       const result = await Promise.race([
-        fetchResource(url, deviceType, fetchOptions, skipCache),
+        fetchResource(url, deviceType, resourceFetchOptions, skipCache),
         timeoutPromise
       ]);
       
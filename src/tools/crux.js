@@ -1,4 +1,7 @@
 import { cacheResults, getCachedResults } from '../utils.js';
+import { throttle } from '../core/rate-limiter.js';
+import { getEnv } from '../core/context.js';
+import { getDeviceType } from '../core/profiles.js';
 
 // Helper function for consistent formatting and threshold checking
 function checkMetric(metricName, value, good, needsImprovement) {
@@ -64,7 +67,7 @@ export async function collect(pageUrl, deviceType, { skipCache }) {
     }
   }
 
-  const resp = await fetch(`https://chromeuxreport.googleapis.com/v1/records:queryRecord?key=${process.env.GOOGLE_CRUX_API_KEY}`, {
+  const resp = await throttle('crux', () => fetch(`https://chromeuxreport.googleapis.com/v1/records:queryRecord?key=${getEnv('GOOGLE_CRUX_API_KEY')}`, {
     method: 'POST',
     headers: {
       'Accept': 'application/json',
@@ -72,9 +75,9 @@ export async function collect(pageUrl, deviceType, { skipCache }) {
     },
     body: JSON.stringify({
       url: pageUrl,
-      formFactor: deviceType === 'mobile' ? 'PHONE' : 'DESKTOP',
+      formFactor: getDeviceType(deviceType) === 'mobile' ? 'PHONE' : 'DESKTOP',
     }),
-  });
+  }));
 
   const json = await resp.json();
   cacheResults(pageUrl, deviceType, 'crux', json);
@@ -1,78 +1,159 @@
 import puppeteer from 'puppeteer';
-import { PredefinedNetworkConditions } from 'puppeteer';
 import { USER_AGENTS } from '../../utils.js';
+import { resolveProfile } from '../../core/profiles.js';
+import { logger } from '../../core/logger.js';
+import { getAuthHeaders } from '../../core/auth.js';
+import { getContext } from '../../core/context.js';
+import { applyHtmlMutations, hasHtmlMutations, isBlockedByMutations } from './mutations.js';
 
-// Device configuration profiles
-export const simulationConfig = {
-  desktop: {
-    cpuThrottling: 1,
-    networkThrottling: {
-      download: 10240 * 1024,
-      upload: 10240 * 1024,
-      latency: 40,
-    },
-    viewport: {
-      width: 1350,
-      height: 940,
-      deviceScaleFactor: 1,
-      isMobile: false,
-      isLandscape: true,
-    },
-    psiUserAgent: USER_AGENTS.psi.desktop
-  },
-  mobile: {
-    cpuThrottling: 4,
-    networkThrottling: PredefinedNetworkConditions['Slow 4G'],
-    viewport: {
-      width: 412,
-      height: 823,
-      deviceScaleFactor: 1.75,
-      isMobile: true,
-      isLandscape: false,
-    },
-    psiUserAgent: USER_AGENTS.psi.mobile
+// Cookie fields accepted by the browser
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+function toBrowserCookie(cookie) {
+  return Object.fromEntries(COOKIE_FIELDS.filter((key) => cookie[key] !== undefined).map((key) => [key, cookie[key]]));
+}
+
+/**
+ * Applies the cookies of a resolved auth session to the page.
+ * The headers and basic credentials are added to the requests to the page's origin by the request interception.
+ * @param {Object} page - The puppeteer page.
+ * @param {Object} [auth] - The resolved auth session.
+ */
+async function setupAuth(page, auth) {
+  if (!auth) return;
+  if (auth.cookies.length > 0) {
+    await page.setCookie(...auth.cookies.map(toBrowserCookie));
   }
-};
+}
 
-export async function setupBrowser(deviceType, blockRequests) {
-  const browser = await puppeteer.launch({ headless: true });
-  const page = await browser.newPage();
+export async function setupBrowser(deviceType, blockRequests, auth, pageUrl, experiment, args = []) {
+  const browser = await puppeteer.launch({ headless: true, args });
+  try {
+    const page = await browser.newPage();
 
-  // Setup CDP session for Performance metrics and coverage
-  const client = await page.target().createCDPSession();
-  await client.send('Performance.enable');
+    // Setup CDP session for Performance metrics and coverage
+    const client = await page.target().createCDPSession();
+    await client.send('Performance.enable');
 
-  // Apply device configuration
-  await page.setViewport(simulationConfig[deviceType].viewport);
-  await page.emulateCPUThrottling(simulationConfig[deviceType].cpuThrottling);
-  await page.emulateNetworkConditions(simulationConfig[deviceType].networkThrottling);
-  await page.setUserAgent(simulationConfig[deviceType].psiUserAgent);
-  
-  // Setup request blocking if needed
-  await setupRequestBlocking(page, blockRequests);
+    // Apply the device profile
+    const profile = resolveProfile(deviceType);
+    await page.setViewport(profile.viewport);
+    await page.emulateCPUThrottling(profile.cpuThrottling);
+    await page.emulateNetworkConditions(profile.network);
+    await page.setUserAgent(profile.userAgent || USER_AGENTS.psi[profile.device]);
+
+    await setupAuth(page, auth);
+
+    // Setup request blocking, auth headers and experiment mutations if needed
+    await setupRequestBlocking(page, blockRequests, auth, pageUrl, experiment);
+
+    return { browser, page };
+  } catch (error) {
+    // The caller only gets the browser once it is set up, so it is closed here on failure
+    await browser.close();
+    throw error;
+  }
+}
+
+// Headers of the document response that no longer apply once its body is decoded and rewritten
+const REWRITTEN_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
 
-  return { browser, page };
+/**
+ * Pauses the HTML document of the page once its response is received, and fulfills it with the experiment mutations applied.
+ * The document is still requested by the browser, so it goes through the emulated network conditions and the auth session.
+ * Experiments without HTML mutations get the document unchanged, so all the measurements receive it the same way.
+ * Redirects, errors and non-HTML responses are left to the browser.
+ * @param {Object} page - The puppeteer page.
+ * @param {Object} experiment - The experiment (`mutations`, `lcpUrl`, `rewriteDocument`).
+ * @param {String} pageUrl
+ * @returns {Promise<void>}
+ */
+async function rewriteDocuments(page, experiment, pageUrl) {
+  const client = await page.target().createCDPSession();
+  const { frameTree } = await client.send('Page.getFrameTree');
+  client.on('Fetch.requestPaused', async ({
+    requestId, request, frameId, responseStatusCode, responseHeaders = [], responseErrorReason,
+  }) => {
+    try {
+      const contentType = responseHeaders.find(({ name }) => name.toLowerCase() === 'content-type')?.value || '';
+      if (frameId !== frameTree.frame.id || responseErrorReason || responseStatusCode >= 300 || !contentType.includes('text/html')) {
+        await client.send('Fetch.continueRequest', { requestId });
+        return;
+      }
+      const { body, base64Encoded } = await client.send('Fetch.getResponseBody', { requestId });
+      let html = Buffer.from(body, base64Encoded ? 'base64' : 'utf8').toString('utf8');
+      if (hasHtmlMutations(experiment.mutations)) {
+        html = applyHtmlMutations(html, experiment.mutations, { pageUrl, lcpUrl: experiment.lcpUrl });
+      }
+      await client.send('Fetch.fulfillRequest', {
+        requestId,
+        responseCode: responseStatusCode,
+        responseHeaders: responseHeaders.filter(({ name }) => !REWRITTEN_HEADERS.includes(name.toLowerCase())),
+        body: Buffer.from(html).toString('base64'),
+      });
+    } catch (err) {
+      logger.warn(`⚠️ Failed to apply the experiment mutations to ${request.url}: ${err.message}`);
+      await client.send('Fetch.continueRequest', { requestId }).catch(() => {});
+    }
+  });
+  await client.send('Fetch.enable', { patterns: [{ urlPattern: '*', resourceType: 'Document', requestStage: 'Response' }] });
 }
 
-export async function setupRequestBlocking(page, blockRequests) {
-  if (!blockRequests) return;
+export async function setupRequestBlocking(page, blockRequests, auth, pageUrl, experiment) {
+  // Cookies are handled by the browser. The custom headers and basic credentials need the interception, so they are
+  // only sent to the page's origin (the browser would answer the basic auth challenges of any origin or iframe)
+  const hasHeaders = auth && (Object.keys(auth.headers).length > 0 || !!auth.basic);
+  const mutations = experiment?.mutations || [];
+  if (experiment?.rewriteDocument) {
+    await rewriteDocuments(page, experiment, pageUrl);
+  }
+  // Interception adds a round trip per request and disables the HTTP cache, so it is on for all the experiment
+  // measurements, the baseline included, even when they block nothing
+  if (!blockRequests && !hasHeaders && !experiment) return;
   
-  const blockedUrls = blockRequests.split(',');
+  const blockedUrls = blockRequests ? blockRequests.split(',') : [];
   await page.setRequestInterception(true);
   
-  page.on('request', (request) => {
+  page.on('request', async (request) => {
     const url = request.url();
-    const filtered = blockedUrls.some(b => url.includes(b.trim()));
+    const filtered = blockedUrls.some(b => url.includes(b.trim())) || isBlockedByMutations(url, mutations);
     
     if (filtered) {
-      console.log('Blocking', url);
+      logger.info('Blocking', url);
       request.abort();
-    } else {
+      return;
+    }
+    if (!url.startsWith('http')) {
       request.continue();
+      return;
     }
+    const { Cookie, ...headers } = auth ? getAuthHeaders({ ...auth, cookies: [] }, url, pageUrl) : {};
+    request.continue(Object.keys(headers).length > 0 ? { headers: { ...request.headers(), ...headers } } : undefined);
   });
 }
 
+/**
+ * Runs a login script in a fresh browser with the device profile, and returns the cookies it leaves.
+ * @param {Function} login - The login function, called with the page, the page URL, the device type and the environment.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} auth - The auth session applied before the login (cookies, headers and basic credentials).
+ * @returns {Promise<Object[]>} The cookies of the logged-in session.
+ */
+export async function runLoginScript(login, pageUrl, deviceType, auth) {
+  const { browser, page } = await setupBrowser(deviceType, null, auth, pageUrl);
+  try {
+    logger.debug(`Running the login script for ${pageUrl}`);
+    await login({ page, url: pageUrl, deviceType, env: { ...process.env, ...getContext().env } });
+    const client = await page.target().createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+    logger.info(`✓ Logged in for ${pageUrl}, ${cookies.length} cookie(s) kept`);
+    return cookies.map(toBrowserCookie);
+  } finally {
+    await browser.close();
+  }
+}
+
 export async function waitForLCP(page) {
   return page.evaluate(() => {
     return new Promise((resolve) => {
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Consent handling of the lab run.
+ * Consent banners and interstitials often are the LCP element of a first visit, which is not what returning visitors
+ * see. The lab run either measures the page as a first visit sees it, banner included, or accepts the banners in a
+ * first load and measures a second load with the consent given.
+ */
+
+// Consent modes of the lab run
+export const CONSENT_MODES = ['first-visit', 'accept'];
+export const DEFAULT_CONSENT_MODE = 'first-visit';
+
+// Consent management platforms, with their banner and the button accepting all the cookies.
+// `pierce/` selectors reach into shadow roots
+const CONSENT_PLATFORMS = [
+  { name: 'OneTrust', banner: '#onetrust-banner-sdk', accept: '#onetrust-accept-btn-handler' },
+  { name: 'Cookiebot', banner: '#CybotCookiebotDialog', accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept' },
+  { name: 'TrustArc', banner: '#truste-consent-track, .truste_box_overlay', accept: '#truste-consent-button' },
+  { name: 'Usercentrics', banner: '#usercentrics-root, #usercentrics-cmp-ui', accept: 'pierce/[data-testid="uc-accept-all-button"]' },
+  { name: 'Didomi', banner: '#didomi-host .didomi-popup-container, #didomi-notice', accept: '#didomi-notice-agree-button' },
+  { name: 'Quantcast', banner: '.qc-cmp2-container', accept: '.qc-cmp2-summary-buttons button[mode="primary"]' },
+  { name: 'Osano', banner: '.osano-cm-dialog', accept: '.osano-cm-accept-all' },
+  { name: 'Sourcepoint', banner: 'iframe[id^="sp_message_iframe"]', accept: null },
+  { name: 'Cookie Consent', banner: '.cc-window, .cc-banner', accept: '.cc-allow, .cc-btn.cc-dismiss' },
+  { name: 'Complianz', banner: '#cmplz-cookiebanner-container .cmplz-cookiebanner', accept: '.cmplz-accept' },
+  { name: 'CookieYes', banner: '.cky-consent-container', accept: '.cky-btn-accept' },
+];
+
+// Interstitials covering the content, with the buttons closing them
+const INTERSTITIALS = [
+  { name: 'newsletter modal', banner: '[class*="newsletter" i][role="dialog"], [id*="newsletter" i][role="dialog"], [class*="newsletter" i].modal', close: '[aria-label*="close" i], [class*="close" i]' },
+  { name: 'geo picker', banner: '[class*="geo" i][role="dialog"], [class*="country-selector" i][role="dialog"], [class*="locale" i][role="dialog"], [id*="geo" i][role="dialog"]', close: '[aria-label*="close" i], [class*="close" i], [class*="stay" i]' },
+  { name: 'modal dialog', banner: '[role="dialog"][aria-modal="true"], dialog[open]', close: '[aria-label*="close" i], [class*="close" i]' },
+];
+
+// Time the banners have to show up after the load, as most of them are injected by a deferred script
+const BANNER_TIMEOUT = 5_000;
+
+/**
+ * Finds the consent banners and interstitials visible on the page, and whether the LCP element is part of one.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object[]>} The visible overlays ({ type, name, selector, coverage, containsLcp }).
+ */
+export async function detectOverlays(page) {
+  const candidates = [
+    ...CONSENT_PLATFORMS.map(({ name, banner }) => ({ type: 'consent', name, selector: banner })),
+    ...INTERSTITIALS.map(({ name, banner }) => ({ type: 'interstitial', name, selector: banner })),
+  ];
+  return page.evaluate(async (overlays) => {
+    const lcpElement = await new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(null), 1_000);
+      new PerformanceObserver((list) => {
+        clearTimeout(timeout);
+        resolve(list.getEntries().pop()?.element || null);
+      }).observe({ type: 'largest-contentful-paint', buffered: true });
+    });
+    const viewport = window.innerWidth * window.innerHeight;
+    const found = [];
+    const seen = new Set();
+    overlays.forEach(({ type, name, selector }) => {
+      const element = [...document.querySelectorAll(selector)].find((el) => {
+        const style = getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+      });
+      // Consent banners are dialogs as well, they are only reported once
+      if (!element || seen.has(element)) return;
+      seen.add(element);
+      const rect = element.getBoundingClientRect();
+      const visibleArea = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0))
+        * Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+      found.push({
+        type,
+        name,
+        selector,
+        coverage: Math.round((visibleArea / viewport) * 100),
+        containsLcp: !!lcpElement && element.contains(lcpElement),
+      });
+    });
+    return found;
+  }, candidates);
+}
+
+async function clickFirst(page, selector) {
+  try {
+    const button = await page.waitForSelector(selector, { visible: true, timeout: 1_000 });
+    await button.click();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getDismissSelector(overlay) {
+  if (overlay.type === 'consent') {
+    return CONSENT_PLATFORMS.find((p) => p.name === overlay.name).accept;
+  }
+  // The close buttons of interstitials are only looked for inside the interstitial
+  const { close } = INTERSTITIALS.find((i) => i.name === overlay.name);
+  return overlay.selector.split(',').map((banner) => `${banner.trim()} :is(${close})`).join(', ');
+}
+
+/**
+ * Accepts the consent banners and closes the interstitials of the page.
+ * @param {Object} page - The puppeteer page.
+ * @param {Object[]} overlays - The overlays returned by `detectOverlays`.
+ * @returns {Promise<String[]>} The names of the overlays that were dismissed.
+ */
+export async function dismissOverlays(page, overlays) {
+  const dismissed = [];
+  for (const overlay of overlays) {
+    const selector = getDismissSelector(overlay);
+    if (selector && await clickFirst(page, selector)) {
+      dismissed.push(overlay.name);
+    }
+  }
+  return dismissed;
+}
+
+/**
+ * Loads the page once to accept its consent banners and close its interstitials, so the measured load that follows
+ * gets the consent cookies and storage of a returning visitor. The browser cache is cleared afterwards,
+ * so only the consent carries over to the measured load.
+ * @param {Object} page - The puppeteer page.
+ * @param {String} pageUrl
+ * @returns {Promise<Object>} The overlays found and the ones `dismissed`.
+ */
+export async function acceptConsent(page, pageUrl) {
+  await page.goto(pageUrl, { timeout: 60_000, waitUntil: 'load' });
+  // Banners are injected late, wait for the first one to show up
+  const selectors = [...CONSENT_PLATFORMS, ...INTERSTITIALS].map((o) => o.banner).join(', ');
+  await page.waitForSelector(selectors, { visible: true, timeout: BANNER_TIMEOUT }).catch(() => {});
+  const overlays = await detectOverlays(page);
+  const dismissed = await dismissOverlays(page, overlays);
+  // Consent managers store the choice asynchronously
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: BANNER_TIMEOUT }).catch(() => {});
+
+  const client = await page.target().createCDPSession();
+  await client.send('Network.clearBrowserCache');
+  await client.detach();
+  await page.goto('about:blank');
+  return { overlays, dismissed };
+}
+
+/**
+ * Summarizes the consent handling of the lab run, for the reports and the LLM.
+ * @param {Object} consent - The consent artifact of the lab run.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeConsent(consent) {
+  let markdown = `## Consent Banners and Interstitials (${consent.mode === 'accept' ? 'accepted before the measured load' : 'measured as a first visit'})\n\n`;
+  if (consent.mode === 'accept') {
+    markdown += consent.dismissed.length > 0
+      ? `* **Accepted or closed before the measured load:** ${consent.dismissed.join(', ')}\n`
+      : '* **Nothing to accept or close before the measured load**\n';
+  }
+  if (consent.overlays.length === 0) {
+    return `${markdown}* **No consent banner or interstitial visible in the measured load**\n`;
+  }
+  consent.overlays.forEach((o) => {
+    markdown += `* **${o.type === 'consent' ? 'Consent banner' : 'Interstitial'} (${o.name}):** visible, covering ${o.coverage}% of the viewport${o.containsLcp ? ', contains the LCP element (the LCP measures the overlay, not the page content)' : ''}\n`;
+  });
+  return markdown;
+}
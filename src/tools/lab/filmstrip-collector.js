@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Filmstrip and visual progress.
+ * The page is recorded while it loads, so reviewers can see what it looked like at LCP and when it shifted.
+ */
+
+import path from 'path';
+import { cacheImage } from '../../utils.js';
+import { logger } from '../../core/logger.js';
+
+// Interval between the filmstrip frames, and max number of frames (the rest of the load is summarized by the last one)
+const FILMSTRIP_INTERVAL = 500;
+const MAX_FILMSTRIP_FRAMES = 40;
+
+// While recording, only the last frame of each interval is kept, and at most this many frames (the last one is replaced
+// past it, so the final rendering is always kept), so a long or animated load does not fill the memory
+const RECORDING_INTERVAL = 100;
+const MAX_RECORDED_FRAMES = 300;
+
+// Screencast frames are downscaled, the histograms do not need more and it keeps the cache small
+const SCREENCAST_OPTIONS = {
+  format: 'jpeg',
+  quality: 60,
+  maxWidth: 480,
+  maxHeight: 960,
+  everyNthFrame: 1,
+};
+const SCREENSHOT_QUALITY = 80;
+
+// Pixels this close to white are ignored by the histograms, as on WebPageTest, so the blank page is the starting point
+const WHITE_THRESHOLD = 250;
+
+/**
+ * Starts recording the page with the DevTools screencast, which emits a frame each time the rendering changes.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object>} The recorder, to pass to `stopFilmstripRecording`.
+ */
+export async function startFilmstripRecording(page) {
+  const client = await page.target().createCDPSession();
+  const frames = [];
+  client.on('Page.screencastFrame', ({ data, metadata, sessionId }) => {
+    const timestamp = metadata.timestamp * 1000;
+    const last = frames[frames.length - 1];
+    if (last && (Math.floor(last.timestamp / RECORDING_INTERVAL) === Math.floor(timestamp / RECORDING_INTERVAL)
+      || frames.length >= MAX_RECORDED_FRAMES)) {
+      frames[frames.length - 1] = { data, timestamp };
+    } else {
+      frames.push({ data, timestamp });
+    }
+    client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+  });
+  await client.send('Page.startScreencast', SCREENCAST_OPTIONS);
+  return { client, frames };
+}
+
+/**
+ * Takes a screenshot of the viewport, once the page is loaded.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object>} The screenshot, with its `time` since navigation start and its base64 `data`.
+ */
+export async function takeScreenshot(page) {
+  const time = await page.evaluate(() => performance.now());
+  const data = await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY, encoding: 'base64' });
+  return { time, data };
+}
+
+/**
+ * Finds the screencast frame showing the LCP, the first one rendered at or after it.
+ * A screenshot taken during the load would delay it, so the frames recorded anyway are used instead.
+ * @param {Object[]} frames - The recorded frames ({ time, data }), by time.
+ * @param {Number} lcpTime - The LCP time, since navigation start.
+ * @returns {Object|null} The frame, with its `time` and base64 `data`.
+ */
+function findLcpFrame(frames, lcpTime) {
+  if (typeof lcpTime !== 'number') return null;
+  const frame = frames.find((f) => f.time >= lcpTime) || frames[frames.length - 1];
+  return { time: frame.time, data: frame.data };
+}
+
+/**
+ * Computes the RGB histograms of the frames, decoding them in a blank page of the same browser.
+ * @param {Object} browser - The puppeteer browser.
+ * @param {String[]} images - The base64 JPEG frames.
+ * @returns {Promise<Number[][][]>} The histograms, 3 channels of 256 buckets per frame.
+ */
+async function computeHistograms(browser, images) {
+  const page = await browser.newPage();
+  try {
+    return await page.evaluate(async (frames, whiteThreshold) => {
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      const histograms = [];
+      for (const frame of frames) {
+        const image = new Image();
+        image.src = `data:image/jpeg;base64,${frame}`;
+        await image.decode();
+        canvas.width = image.width;
+        canvas.height = image.height;
+        context.drawImage(image, 0, 0);
+        const { data } = context.getImageData(0, 0, image.width, image.height);
+        const histogram = [new Array(256).fill(0), new Array(256).fill(0), new Array(256).fill(0)];
+        for (let i = 0; i < data.length; i += 4) {
+          if (data[i] < whiteThreshold || data[i + 1] < whiteThreshold || data[i + 2] < whiteThreshold) {
+            histogram[0][data[i]]++;
+            histogram[1][data[i + 1]]++;
+            histogram[2][data[i + 2]]++;
+          }
+        }
+        histograms.push(histogram);
+      }
+      return histograms;
+    }, images, WHITE_THRESHOLD);
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Computes how close a frame is to the final rendering, comparing their histograms to the blank page's.
+ * @param {Number[][]} histogram - The histogram of the frame.
+ * @param {Number[][]} target - The histogram of the last frame.
+ * @returns {Number} The visual progress, between 0 and 100.
+ */
+export function computeFrameProgress(histogram, target) {
+  let total = 0;
+  let matched = 0;
+  target.forEach((channel, c) => {
+    channel.forEach((count, i) => {
+      total += count;
+      matched += Math.min(histogram[c][i], count);
+    });
+  });
+  return total === 0 ? 100 : Math.floor((matched / total) * 100);
+}
+
+/**
+ * Computes the Speed Index, the area above the visual progress curve from navigation start.
+ * @param {Object[]} visualProgress - The progress of each frame ({ time, progress }), by time.
+ * @returns {Number} The Speed Index, in milliseconds.
+ */
+export function computeSpeedIndex(visualProgress) {
+  let speedIndex = 0;
+  let lastTime = 0;
+  let lastProgress = 0;
+  visualProgress.forEach(({ time, progress }) => {
+    speedIndex += (time - lastTime) * (1 - lastProgress / 100);
+    lastTime = time;
+    lastProgress = progress;
+  });
+  return Math.round(speedIndex);
+}
+
+/**
+ * Samples the frames at fixed intervals, each sample showing the last frame rendered by then.
+ * @param {Object[]} frames - The recorded frames ({ time, progress, data }), by time.
+ * @param {Number} end - The time of the last visual change.
+ * @returns {Object[]} The filmstrip frames ({ time, progress, data }).
+ */
+function sampleFrames(frames, end) {
+  const interval = Math.max(FILMSTRIP_INTERVAL, Math.ceil(end / (MAX_FILMSTRIP_FRAMES - 1) / FILMSTRIP_INTERVAL) * FILMSTRIP_INTERVAL);
+  const samples = [];
+  for (let time = 0; time < end + interval; time += interval) {
+    const frame = frames.findLast((f) => f.time <= time);
+    samples.push({ time, progress: frame?.progress ?? 0, data: frame?.data ?? null });
+  }
+  return samples;
+}
+
+/**
+ * Stops the recording and computes the visual progress of the load, its Speed Index and the filmstrip.
+ * @param {Object} page - The puppeteer page.
+ * @param {Object} recorder - The recorder returned by `startFilmstripRecording`.
+ * @returns {Promise<Object|null>} The filmstrip, with its images in base64 and the frame showing the LCP (`lcpFrame`),
+ *   or null if no frame was recorded.
+ */
+export async function stopFilmstripRecording(page, { client, frames }) {
+  await client.send('Page.stopScreencast');
+  await client.detach();
+  const { timeOrigin, lcpTime } = await page.evaluate(() => new Promise((resolve) => {
+    // The LCP entries are only exposed to observers, the buffered ones are delivered right away
+    new PerformanceObserver((entryList, observer) => {
+      observer.disconnect();
+      const entries = entryList.getEntries();
+      resolve({ timeOrigin: performance.timeOrigin, lcpTime: entries[entries.length - 1].startTime });
+    }).observe({ type: 'largest-contentful-paint', buffered: true });
+    setTimeout(() => resolve({ timeOrigin: performance.timeOrigin, lcpTime: null }), 100);
+  }));
+
+  // Frames of the previous page (about:blank) are dropped, the load starts from a blank page
+  const loadFrames = frames
+    .map((f) => ({ time: f.timestamp - timeOrigin, data: f.data }))
+    .filter((f) => f.time >= 0)
+    .sort((a, b) => a.time - b.time);
+  if (loadFrames.length === 0) {
+    logger.warn('No screencast frame recorded, skipping the filmstrip');
+    return null;
+  }
+
+  const histograms = await computeHistograms(page.browser(), loadFrames.map((f) => f.data));
+  const target = histograms[histograms.length - 1];
+  loadFrames.forEach((frame, i) => {
+    frame.progress = computeFrameProgress(histograms[i], target);
+  });
+  const visualProgress = loadFrames.map(({ time, progress }) => ({ time: Math.round(time), progress }));
+  // The screencast can emit identical frames, only frames that differ from the previous one are changes
+  const lastChange = loadFrames.findLastIndex((f, i) => i === 0 || f.data !== loadFrames[i - 1].data);
+  const lastIncomplete = visualProgress.findLastIndex((p) => p.progress < 100);
+  return {
+    speedIndex: computeSpeedIndex(visualProgress),
+    firstVisualChange: visualProgress.find((p) => p.progress > 0)?.time ?? null,
+    visuallyComplete: visualProgress[lastIncomplete + 1]?.time ?? visualProgress[lastChange].time,
+    lastVisualChange: visualProgress[lastChange].time,
+    visualProgress,
+    frames: sampleFrames(loadFrames, visualProgress[lastChange].time),
+    lcpFrame: findLcpFrame(loadFrames, lcpTime),
+  };
+}
+
+/**
+ * Stores the filmstrip frames and screenshots in the cache, next to the other artifacts.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} filmstrip - The filmstrip, with its images in base64.
+ * @param {Object} screenshots - The screenshots by moment (`lcp`, `load`), with their time and base64 data.
+ * @returns {Object} The filmstrip and screenshots, referencing the cached image files instead of their data.
+ */
+export function saveFilmstrip(pageUrl, deviceType, filmstrip, screenshots) {
+  // Frames are only stored once, as the page often does not change between two intervals
+  const saved = new Map();
+  const save = (name, data) => {
+    if (!data) return null;
+    if (!saved.has(data)) {
+      saved.set(data, path.basename(cacheImage(pageUrl, deviceType, name, data)));
+    }
+    return saved.get(data);
+  };
+  return {
+    ...(filmstrip && {
+      ...filmstrip,
+      interval: filmstrip.frames.length > 1 ? filmstrip.frames[1].time : FILMSTRIP_INTERVAL,
+      frames: filmstrip.frames.map(({ time, progress, data }) => ({
+        time,
+        progress,
+        file: save(`filmstrip-${String(time).padStart(5, '0')}ms`, data),
+      })),
+    }),
+    screenshots: Object.fromEntries(Object.entries(screenshots)
+      .filter(([, screenshot]) => screenshot)
+      .map(([moment, { time, data }]) => [moment, {
+        time: Math.round(time),
+        file: path.basename(cacheImage(pageUrl, deviceType, `screenshot-${moment}`, data)),
+      }])),
+  };
+}
+
+function formatEvents(perfEntries, from, to) {
+  const events = [];
+  const lcps = (perfEntries || []).filter((e) => e.entryType === 'largest-contentful-paint');
+  const lcp = lcps[lcps.length - 1];
+  if (lcp && lcp.startTime > from && lcp.startTime <= to) {
+    events.push('LCP');
+  }
+  const shift = (perfEntries || [])
+    .filter((e) => e.entryType === 'layout-shift' && !e.hadRecentInput && e.startTime > from && e.startTime <= to)
+    .reduce((acc, e) => acc + e.value, 0);
+  if (shift > 0) {
+    events.push(`layout shift ${shift.toFixed(3)}`);
+  }
+  return events.join(', ');
+}
+
+/**
+ * Summarizes the visual progress of the load, with the filmstrip frames and the layout shifts and LCP they show.
+ * @param {Object} filmstrip - The saved filmstrip.
+ * @param {Object[]} [perfEntries] - The performance entries of the same run.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeFilmstrip(filmstrip, perfEntries) {
+  let markdown = '## Visual Progress\n\n';
+  if (typeof filmstrip.speedIndex === 'number') {
+    markdown += `* **Speed Index:** ${filmstrip.speedIndex}ms\n`;
+    markdown += `* **First visual change:** ${filmstrip.firstVisualChange ?? 'n/a'}ms\n`;
+    markdown += `* **Visually complete:** ${filmstrip.visuallyComplete}ms\n`;
+    markdown += `* **Last visual change:** ${filmstrip.lastVisualChange}ms\n`;
+  }
+  const { lcp, load } = filmstrip.screenshots || {};
+  if (lcp) {
+    markdown += `* **Screenshot at LCP (${lcp.time}ms):** ${lcp.file}\n`;
+  }
+  if (load) {
+    markdown += `* **Screenshot at load end (${load.time}ms):** ${load.file}\n`;
+  }
+
+  if (filmstrip.frames?.length > 0) {
+    markdown += `\n### Filmstrip (every ${filmstrip.interval}ms)\n\n`;
+    markdown += '| Time | Visual progress | Events | Frame |\n';
+    markdown += '|------|-----------------|--------|-------|\n';
+    filmstrip.frames.forEach(({ time, progress, file }, i) => {
+      const events = formatEvents(perfEntries, i > 0 ? filmstrip.frames[i - 1].time : -Infinity, time);
+      markdown += `| ${time}ms | ${progress}% | ${events} | ${file || 'blank'} |\n`;
+    });
+  }
+  return markdown;
+}
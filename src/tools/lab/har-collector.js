@@ -1,4 +1,5 @@
 import PuppeteerHar from 'puppeteer-har';
+import { getDeviceType } from '../../core/profiles.js';
 
 // HAR Processing Functions
 export function cleanupHarData(har) {
@@ -99,7 +100,7 @@ function findLongBlockingTimes(entries) {
 
 function findLongTTFB(entries, deviceType) {
   // 3. Long Wait Times (> 500ms desktop / >1s mobile) - TTFB
-  const ttfbThreshold = deviceType === 'desktop' ? 500 : 1000;
+  const ttfbThreshold = getDeviceType(deviceType) === 'desktop' ? 500 : 1000;
   const longTTFB = entries
     .filter(entry => entry.timings && entry.timings.wait > ttfbThreshold)
     .sort((a, b) => b.timings.wait - a.timings.wait);
@@ -1,7 +1,8 @@
 import { cacheResults, getCachedResults } from '../../utils.js';
+import { throttle } from '../../core/rate-limiter.js';
 import { setupBrowser, waitForLCP } from './browser-utils.js';
 import { summarizeHAR, startHARRecording, stopHARRecording } from './har-collector.js';
-import { summarizePerformanceEntries, collectPerformanceEntries } from './performance-collector.js';
+import { summarizePerformanceEntries, collectPerformanceEntries, getLabMetrics } from './performance-collector.js';
 import { 
   summarizeCoverageData,
   setupCodeCoverage,
@@ -9,129 +10,427 @@ import {
   collectPageCoverage,
 } from './coverage-collector.js';
 import { collectJSApiData, setupCSPViolationTracking } from './js-api-collector.js';
+import { collectInteractionEntries } from './interaction-collector.js';
+import { collectScrollEntries, summarizeScroll, PRE_SCROLL } from './scroll-collector.js';
+import {
+  measureRepeatView,
+  testBfcache,
+  summarizeRepeatView,
+  summarizeBfcache,
+} from './revisit-collector.js';
+import {
+  startFilmstripRecording,
+  stopFilmstripRecording,
+  takeScreenshot,
+  saveFilmstrip,
+  summarizeFilmstrip,
+} from './filmstrip-collector.js';
+import { startTracing, stopTracing, analyzeTrace, summarizeTrace } from './trace-collector.js';
+import { analyzeRuns, summarizeVariance } from './variance.js';
+import {
+  acceptConsent,
+  detectOverlays,
+  summarizeConsent,
+  DEFAULT_CONSENT_MODE,
+} from './consent.js';
+import { resolveProfile, describeProfile } from '../../core/profiles.js';
+import { logger } from '../../core/logger.js';
+
+/**
+ * Runs one browser session on the page, collecting the requested artifacts.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The `blockRequests`, the resolved `auth` session, the `experiment` mutations to apply,
+ *   the `consent` mode, and which artifacts are needed
+ *   (needPerf, needHtml, needJsApi, needHar, needCoverage, needInteractions, needFilmstrip, needTrace, needScroll,
+ *   needRepeatView, needBfcache).
+ * @returns {Promise<Object>} The collected artifacts (harFile, perfEntries, fullHtml, jsApi, coverageData, filmstrip, screenshots,
+ *   trace, consent, repeatView, bfcache).
+ */
+async function runLabSession(pageUrl, deviceType, {
+  blockRequests, auth, experiment, consent = DEFAULT_CONSENT_MODE,
+  needPerf, needHtml, needJsApi, needHar, needCoverage, needInteractions, needFilmstrip, needTrace, needScroll,
+  needRepeatView, needBfcache,
+}) {
+  // Lab sessions are throttled so that batch runs do not spawn too many browsers at once
+  return throttle('chrome', async () => {
+    const result = {};
+
+    // Setup browser
+    const { browser, page } = await setupBrowser(deviceType, blockRequests, auth, pageUrl, experiment);
+
+    // The browser is closed even when a step throws, so failed sessions do not leak Chrome processes
+    try {
+      // Accept the consent banners in a first load, before anything is recorded
+      result.consent = { mode: consent, overlays: [], dismissed: [] };
+      if (consent === 'accept') {
+        try {
+          ({ dismissed: result.consent.dismissed } = await acceptConsent(page, pageUrl));
+        } catch (err) {
+          logger.error('Error accepting the consent banners:', err.message);
+        }
+      }
+
+      // Setup code coverage tracking only if requested
+      if (needCoverage) {
+        await setupCodeCoverage(page);
+      }
+
+      // Setup CSP violation tracking
+      await setupCSPViolationTracking(page);
+
+      // Start HAR recording only if requested
+      let har = null;
+      if (needHar) {
+        har = await startHARRecording(page);
+      }
+
+      // Start recording the rendering only if requested
+      let recorder = null;
+      if (needFilmstrip) {
+        recorder = await startFilmstripRecording(page);
+      }
+
+      // Start tracing only if requested
+      if (needTrace) {
+        await startTracing(page);
+      }
+
+      // Navigate to page
+      try {
+        await page.goto(pageUrl, {
+          timeout: 120_000,
+          waitUntil: 'domcontentloaded',
+        });
+      } catch (err) {
+        logger.error('Page did not idle after 120s. Force continuing.', err.message);
+      }
+
+      // Collect coverage data at LCP
+      try {
+        await waitForLCP(page);
+      } catch (err) {
+        logger.error('LCP not found after 30s. Force continuing.', err.message);
+      }
+
+      let lcpCoverageData = null;
+      if (needCoverage) {
+        try {
+          lcpCoverageData = await collectLcpCoverage(page, pageUrl, deviceType);
+        } catch (err) {
+          logger.error('Error collecting LCP coverage data:', err.message);
+          lcpCoverageData = {}
+        }
+      }
+
+      // Waiting for page to finish loading
+      try {
+        await page.waitForNetworkIdle({ concurrency: 0, idleTime: 1_000 });
+      } catch (err) {
+        // Do nothing
+      }
+
+      // Banners left in the measured load, and whether they are the LCP element
+      try {
+        result.consent.overlays = await detectOverlays(page);
+      } catch (err) {
+        logger.error('Error detecting the consent banners:', err.message);
+      }
+
+      // Stop recording the rendering once loaded, before the interactions change the page. The LCP screenshot is the
+      // recorded frame showing it, as a screenshot taken during the load would delay it
+      if (needFilmstrip) {
+        result.screenshots = {};
+        try {
+          result.screenshots.load = await takeScreenshot(page);
+          const filmstrip = await stopFilmstripRecording(page, recorder);
+          if (filmstrip) {
+            const { lcpFrame, ...rest } = filmstrip;
+            result.screenshots.lcp = lcpFrame;
+            result.filmstrip = rest;
+          }
+        } catch (err) {
+          logger.error('Error collecting the filmstrip:', err.message);
+        }
+      }
+
+      let traceEvents = null;
+      if (needTrace) {
+        try {
+          traceEvents = await stopTracing(page);
+        } catch (err) {
+          logger.error('Error collecting the trace:', err.message);
+        }
+      }
+
+      // Collect performance data
+      if (needPerf) {
+        result.perfEntries = await collectPerformanceEntries(page);
+      }
+
+      // The trace is analyzed right away, as the raw events are too large to be kept for each run
+      if (traceEvents) {
+        result.trace = analyzeTrace(traceEvents, pageUrl, getLabMetrics(result.perfEntries).lcp);
+        traceEvents = null;
+      }
+
+      // Collect HAR data
+      if (needHar) {
+        result.harFile = await stopHARRecording(har);
+      }
+
+      // Collect HTML content
+      if (needHtml) {
+        result.fullHtml = await page.evaluate(() => document.documentElement.outerHTML);
+      }
+
+      // Collect JavaScript API data
+      if (needJsApi) {
+        result.jsApi = await collectJSApiData(page);
+      }
+
+      // The coverage is collected before scrolling and interacting, so it only counts the code used by the load
+      if (needCoverage) {
+        try {
+          result.coverageData = await collectPageCoverage(page, pageUrl, deviceType, lcpCoverageData);
+        } catch (err) {
+          logger.error('Error collecting page coverage data:', err.message);
+          result.coverageData = {}
+        }
+      }
+
+      // Scroll through the page once the load data is captured, the entries of the load are tagged as pre-scroll
+      if (needScroll) {
+        result.perfEntries.forEach((e) => { e.phase = PRE_SCROLL; });
+        try {
+          result.perfEntries.push(...await collectScrollEntries(page, pageUrl, deviceType));
+        } catch (err) {
+          logger.error('Error collecting the scroll phase:', err.message);
+        }
+      }
+
+      // Interact with the page once the load data is captured, as interactions change the DOM
+      if (needInteractions) {
+        try {
+          result.perfEntries.push(...await collectInteractionEntries(page, pageUrl, deviceType));
+        } catch (err) {
+          logger.error('Error collecting interactions:', err.message);
+        }
+      }
+
+      // Revisit the page last, as both navigate away from the first view
+      if (needRepeatView) {
+        try {
+          result.repeatView = await measureRepeatView(page, pageUrl);
+        } catch (err) {
+          logger.error('Error measuring the repeat view:', err.message);
+        }
+      }
+      if (needBfcache) {
+        try {
+          result.bfcache = await testBfcache(page);
+        } catch (err) {
+          logger.error('Error testing the back/forward cache:', err.message);
+        }
+      }
+    } finally {
+      await browser.close();
+    }
+    return result;
+  });
+}
+
+/**
+ * Runs the page several times and keeps the median run, so a single noisy run does not drive the analysis.
+ * Runs are sequential, as parallel sessions on the same machine would skew each other's timings.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Number} runs - The number of runs.
+ * @param {Object} sessionOptions - The options of each session, all of them collect the same artifacts.
+ * @returns {Promise<Object>} The artifacts of the median run, and the `variance` across runs.
+ */
+async function runLabSessions(pageUrl, deviceType, runs, sessionOptions) {
+  const sessions = [];
+  for (let i = 0; i < runs; i++) {
+    logger.info(`🔁 Lab run ${i + 1}/${runs}`);
+    sessions.push(await runLabSession(pageUrl, deviceType, sessionOptions));
+  }
+  const variance = analyzeRuns(sessions.map((s) => s.perfEntries));
+  return { ...sessions[variance.medianRun], variance };
+}
+
+/**
+ * Measures the page load metrics over several runs, without caching anything.
+ * Used by the experiments, to compare the page with and without its mutations.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} options - The number of `runs`, the `blockRequests`, the resolved `auth` session, the `consent` mode
+ *   and the `experiment` mutations to apply (`mutations`, `lcpUrl`).
+ * @returns {Promise<Object>} The performance entries of the median run, and the `variance` across runs.
+ */
+export async function measure(pageUrl, deviceType, {
+  runs = 1, blockRequests, auth, experiment, consent,
+}) {
+  const { perfEntries, variance } = await runLabSessions(pageUrl, deviceType, runs, {
+    blockRequests, auth, experiment, consent, needPerf: true,
+  });
+  return { perfEntries, variance };
+}
 
 // Main Data Collection Function
-export async function collect(pageUrl, deviceType, { skipCache, blockRequests, collectHar = true, collectCoverage = true }) {
+export async function collect(pageUrl, deviceType, {
+  skipCache: skipCacheOption, blockRequests, auth, collectHar = true, collectCoverage = true, collectInteractions = false,
+  collectFilmstrip = false, collectTrace = false, collectScroll = false, collectRepeatView = false, collectBfcache = false,
+  runs = 1, consent: consentMode = DEFAULT_CONSENT_MODE,
+}) {
+  // Cached artifacts are stale when the device profile or the consent mode changed since they were collected
+  const profile = resolveProfile(deviceType);
+  const cachedProfile = getCachedResults(pageUrl, deviceType, 'profile');
+  let consent = getCachedResults(pageUrl, deviceType, 'consent');
+  const skipCache = skipCacheOption
+    || (cachedProfile && JSON.stringify(cachedProfile) !== JSON.stringify(profile))
+    || (consent && consent.mode !== consentMode);
+
   // Load cached artifacts
   let harFile = getCachedResults(pageUrl, deviceType, 'har');
   let perfEntries = getCachedResults(pageUrl, deviceType, 'perf');
   let fullHtml = getCachedResults(pageUrl, deviceType, 'html');
   let jsApi = getCachedResults(pageUrl, deviceType, 'jsapi');
   let coverageData = getCachedResults(pageUrl, deviceType, 'coverage');
+  let filmstrip = getCachedResults(pageUrl, deviceType, 'filmstrip');
+  let trace = getCachedResults(pageUrl, deviceType, 'trace');
+  let repeatView = getCachedResults(pageUrl, deviceType, 'repeat-view');
+  let bfcache = getCachedResults(pageUrl, deviceType, 'bfcache');
+  let variance = runs > 1 ? getCachedResults(pageUrl, deviceType, 'variance') : null;
 
   // Determine what we need to collect in this pass
-  const needPerf = !perfEntries || skipCache;
+  // Cached performance entries are stale when they were collected with the scroll phase on and it is now off, or the opposite,
+  // and when they hold interactions that are now off
+  const needPerf = !perfEntries || skipCache || collectScroll !== perfEntries.some((e) => e.phase === PRE_SCROLL)
+    || (!collectInteractions && perfEntries.some((e) => e.entryType === 'event' && 'interaction' in e));
   const needHtml = !fullHtml || skipCache;
   const needJsApi = !jsApi || skipCache;
   const needHar = collectHar && (!harFile || skipCache);
   const needCoverage = collectCoverage && (!coverageData || skipCache);
+  const needFilmstrip = collectFilmstrip && (!filmstrip || skipCache);
+  const needTrace = collectTrace && (!trace || skipCache);
+  const needRepeatView = collectRepeatView && (!repeatView || skipCache);
+  const needBfcache = collectBfcache && (!bfcache || skipCache);
+  // Cached artifacts only come from a median run if they were collected with at least as many runs
+  const needRuns = runs > 1 && (needPerf || !(variance?.runs >= runs));
+
+  const summarizePerf = () => summarizePerformanceEntries(perfEntries, deviceType, null, collectHar ? harFile : null)
+    + `\n**Device profile:** ${describeProfile(profile)}\n`
+    + (variance ? `\n${summarizeVariance(variance)}` : '')
+    + (collectFilmstrip && filmstrip ? `\n${summarizeFilmstrip(filmstrip, perfEntries)}` : '')
+    + (collectTrace && trace ? `\n${summarizeTrace(trace)}` : '')
+    + (collectScroll && summarizeScroll(perfEntries) ? `\n${summarizeScroll(perfEntries)}` : '')
+    + (consent ? `\n${summarizeConsent(consent)}` : '')
+    + (collectRepeatView && repeatView ? `\n${summarizeRepeatView(repeatView, getLabMetrics(perfEntries))}` : '')
+    + (collectBfcache && bfcache ? `\n${summarizeBfcache(bfcache)}` : '');
 
   // If nothing is needed, return from cache only what's relevant
-  if (!needPerf && !needHtml && !needJsApi && !needHar && !needCoverage) {
+  if (!needPerf && !needHtml && !needJsApi && !needHar && !needCoverage && !needFilmstrip && !needTrace
+    && !needRepeatView && !needBfcache && !needRuns) {
     return {
       har: collectHar ? harFile : null,
       harSummary: collectHar && harFile ? summarizeHAR(harFile, deviceType) : null,
       perfEntries,
-      perfEntriesSummary: summarizePerformanceEntries(perfEntries, deviceType),
+      perfEntriesSummary: summarizePerf(),
       fullHtml,
       jsApi,
       coverageData: collectCoverage ? coverageData : null,
       coverageDataSummary: collectCoverage && coverageData ? summarizeCoverageData(coverageData, deviceType) : null,
+      variance,
+      profile,
+      filmstrip: collectFilmstrip ? filmstrip : null,
+      trace: collectTrace ? trace : null,
+      consent,
+      repeatView: collectRepeatView ? repeatView : null,
+      bfcache: collectBfcache ? bfcache : null,
       fromCache: true,
     };
   }
 
-  // Setup browser
-  const { browser, page } = await setupBrowser(deviceType, blockRequests);
-
-  // Setup code coverage tracking only if requested
-  if (needCoverage) {
-    await setupCodeCoverage(page);
+  let session;
+  if (needRuns) {
+    session = await runLabSessions(pageUrl, deviceType, runs, {
+      blockRequests,
+      auth,
+      consent: consentMode,
+      needPerf: true,
+      needHtml: true,
+      needJsApi: true,
+      needHar: collectHar,
+      needCoverage: collectCoverage,
+      needInteractions: collectInteractions,
+      needFilmstrip: collectFilmstrip,
+      needTrace: collectTrace,
+      needScroll: collectScroll,
+      needRepeatView: collectRepeatView,
+      needBfcache: collectBfcache,
+    });
+    ({ variance } = session);
+    cacheResults(pageUrl, deviceType, 'variance', variance);
+    cacheResults(pageUrl, deviceType, 'variance', summarizeVariance(variance));
+  } else {
+    session = await runLabSession(pageUrl, deviceType, {
+      blockRequests, auth, consent: consentMode, needPerf, needHtml, needJsApi, needHar, needCoverage, needFilmstrip, needTrace,
+      needInteractions: needPerf && collectInteractions,
+      needScroll: needPerf && collectScroll,
+      needRepeatView,
+      needBfcache,
+    });
   }
-
-  // Setup CSP violation tracking
-  await setupCSPViolationTracking(page);
-
-  // Start HAR recording only if requested
-  let har = null;
-  if (needHar) {
-    har = await startHARRecording(page);
+  perfEntries = session.perfEntries ?? perfEntries;
+  harFile = session.harFile ?? harFile;
+  fullHtml = session.fullHtml ?? fullHtml;
+  jsApi = session.jsApi ?? jsApi;
+  coverageData = session.coverageData ?? coverageData;
+  if (session.screenshots) {
+    filmstrip = saveFilmstrip(pageUrl, deviceType, session.filmstrip, session.screenshots);
+    cacheResults(pageUrl, deviceType, 'filmstrip', filmstrip);
+    cacheResults(pageUrl, deviceType, 'filmstrip', summarizeFilmstrip(filmstrip, perfEntries));
   }
-
-  // Navigate to page
-  try {
-    await page.goto(pageUrl, {
-      timeout: 120_000,
-      waitUntil: 'domcontentloaded',
+  if (session.consent) {
+    ({ consent } = session);
+    cacheResults(pageUrl, deviceType, 'consent', consent);
+    cacheResults(pageUrl, deviceType, 'consent', summarizeConsent(consent));
+    consent.overlays.filter((o) => o.containsLcp).forEach((o) => {
+      logger.warn(`⚠️  The LCP element is the ${o.name} ${o.type === 'consent' ? 'consent banner' : 'interstitial'}, consider --consent accept`);
     });
-  } catch (err) {
-    console.error('Page did not idle after 120s. Force continuing.', err.message);
   }
-
-  // Collect coverage data at LCP
-  try {
-    await waitForLCP(page);
-  } catch (err) {
-    console.error('LCP not found after 30s. Force continuing.', err.message);
+  if (session.trace) {
+    ({ trace } = session);
+    cacheResults(pageUrl, deviceType, 'trace', trace);
+    cacheResults(pageUrl, deviceType, 'trace', summarizeTrace(trace));
   }
-
-  let lcpCoverageData = null;
-  if (needCoverage) {
-    try {
-      lcpCoverageData = await collectLcpCoverage(page, pageUrl, deviceType);
-    } catch (err) {
-      console.error('Error collecting LCP coverage data:', err.message);
-      lcpCoverageData = {}
-    }
+  if (session.repeatView) {
+    ({ repeatView } = session);
+    cacheResults(pageUrl, deviceType, 'repeat-view', repeatView);
+    cacheResults(pageUrl, deviceType, 'repeat-view', summarizeRepeatView(repeatView, getLabMetrics(perfEntries)));
   }
-
-  // Waiting for page to finish loading
-  try {
-    await page.waitForNetworkIdle({ concurrency: 0, idleTime: 1_000 });
-  } catch (err) {
-    // Do nothing
+  if (session.bfcache) {
+    ({ bfcache } = session);
+    cacheResults(pageUrl, deviceType, 'bfcache', bfcache);
+    cacheResults(pageUrl, deviceType, 'bfcache', summarizeBfcache(bfcache));
+    if (!bfcache.restored) {
+      logger.warn(`⚠️  The page is not restored from the back/forward cache: ${bfcache.reasons.map((r) => r.reason).join(', ') || 'unknown reason'}`);
+    }
   }
 
-  // Collect performance data
-  if (needPerf) {
-    perfEntries = await collectPerformanceEntries(page);
+  // Save results, with the profile they were collected with
+  cacheResults(pageUrl, deviceType, 'profile', profile);
+  if (session.perfEntries) {
     cacheResults(pageUrl, deviceType, 'perf', perfEntries);
   }
-
-  // Collect HAR data
-  if (needHar) {
-    harFile = await stopHARRecording(har);
-    const count = Array.isArray(harFile?.log?.entries) ? harFile.log.entries.length : 0;
-  }
-
-  // Collect HTML content
-  if (needHtml) {
-    fullHtml = await page.evaluate(() => document.documentElement.outerHTML);
-  }
   cacheResults(pageUrl, deviceType, 'html', fullHtml);
-
-  // Collect JavaScript API data
-  if (needJsApi) {
-    jsApi = await collectJSApiData(page);
-  }
   cacheResults(pageUrl, deviceType, 'jsapi', jsApi);
 
-  if (needCoverage) {
-    try {
-      coverageData = await collectPageCoverage(page, pageUrl, deviceType, lcpCoverageData);
-    } catch (err) {
-      console.error('Error collecting page coverage data:', err.message);
-      coverageData = {}
-    }
-  }
-
-  // Close browser and save results
-  await browser.close();
-
   // Generate performance summary
-  let perfEntriesSummary = summarizePerformanceEntries(perfEntries, deviceType);
+  const perfEntriesSummary = summarizePerf();
   cacheResults(pageUrl, deviceType, 'perf', perfEntriesSummary);
-  
+
   // Generate HAR summary (only if we recorded or had it available)
   const harSummary = (collectHar && harFile) ? summarizeHAR(harFile, deviceType) : null;
   if (collectHar && harFile) {
@@ -147,14 +446,21 @@ export async function collect(pageUrl, deviceType, { skipCache, blockRequests, c
   }
 
   // Return collected data
-  return { 
-    har: collectHar ? harFile : null, 
-    harSummary, 
-    perfEntries, 
-    perfEntriesSummary, 
-    fullHtml, 
+  return {
+    har: collectHar ? harFile : null,
+    harSummary,
+    perfEntries,
+    perfEntriesSummary,
+    fullHtml,
     jsApi,
     coverageData: collectCoverage ? coverageData : null,
-    coverageDataSummary
+    coverageDataSummary,
+    variance,
+    profile,
+    filmstrip: collectFilmstrip ? filmstrip : null,
+    trace: collectTrace ? trace : null,
+    consent,
+    repeatView: collectRepeatView ? repeatView : null,
+    bfcache: collectBfcache ? bfcache : null,
   };
 }
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Lab INP measurement.
+ * Scripted interactions run after load, so the lab run records Event Timing entries for INP.
+ */
+
+import { logger } from '../../core/logger.js';
+import { resolveProfile } from '../../core/profiles.js';
+
+// Likely interactive targets, by kind, in the order they are tried
+const TARGETS = [
+  ['nav toggle', 'header button, nav button, [aria-controls][aria-expanded], [class*="hamburger"], [class*="menu-toggle"], [class*="nav-toggle"]'],
+  ['accordion', 'summary, [class*="accordion"] button, [class*="accordion"] [role="button"]'],
+  ['tab', '[role="tab"]'],
+  ['button', 'button, [role="button"]'],
+  ['input', 'input[type="text"], input[type="search"], input[type="email"], input:not([type]), textarea'],
+];
+
+// Max number of targets per kind, and overall
+const MAX_PER_KIND = 3;
+const MAX_INTERACTIONS = 10;
+
+// Time given to each interaction to run its handlers and paint the next frame
+const INTERACTION_DELAY = 1_000;
+
+// Text typed in the inputs
+const TYPED_TEXT = 'cwv';
+
+// Max length of the target markup kept in the entries
+const MAX_TARGET_LENGTH = 300;
+
+/**
+ * Observes the Event Timing and Long Animation Frame entries, and keeps the page from navigating away
+ * when a link or a form is triggered.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<void>}
+ */
+async function observeInteractions(page) {
+  await page.evaluate((maxTargetLength) => {
+    const recorded = { events: [], frames: [] };
+    window.__cwvInteractions = recorded;
+
+    new PerformanceObserver((list) => {
+      list.getEntries().filter((e) => e.interactionId).forEach((e) => {
+        recorded.events.push({
+          entryType: e.entryType,
+          name: e.name,
+          startTime: e.startTime,
+          duration: e.duration,
+          processingStart: e.processingStart,
+          processingEnd: e.processingEnd,
+          interactionId: e.interactionId,
+          target: e.target?.outerHTML?.substring(0, maxTargetLength) || '',
+        });
+      });
+    }).observe({ type: 'event', durationThreshold: 16 });
+
+    try {
+      new PerformanceObserver((list) => {
+        list.getEntries().forEach((e) => {
+          recorded.frames.push({
+            startTime: e.startTime,
+            duration: e.duration,
+            blockingDuration: e.blockingDuration,
+            scripts: (e.scripts || []).map((s) => ({
+              invoker: s.invoker,
+              invokerType: s.invokerType,
+              sourceURL: s.sourceURL,
+              sourceFunctionName: s.sourceFunctionName,
+              duration: s.duration,
+              forcedStyleAndLayoutDuration: s.forcedStyleAndLayoutDuration,
+            })),
+          });
+        });
+      }).observe({ type: 'long-animation-frame' });
+    } catch (err) {
+      // Long Animation Frames are not supported, interactions are reported without attribution
+    }
+
+    // Following a link or submitting a form would unload the page and lose the entries
+    document.addEventListener('click', (e) => {
+      if (e.target.closest?.('a[href]')) e.preventDefault();
+    }, true);
+    document.addEventListener('submit', (e) => e.preventDefault(), true);
+  }, MAX_TARGET_LENGTH);
+}
+
+/**
+ * Finds the likely interactive targets of the page, visible and enabled, and tags them for the runner.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object[]>} The targets ({ id, kind, label }).
+ */
+async function findTargets(page) {
+  return page.evaluate((targets, maxPerKind, maxInteractions) => {
+    const seen = new Set();
+    const found = [];
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const style = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    targets.forEach(([kind, selector]) => {
+      let count = 0;
+      document.querySelectorAll(selector).forEach((el) => {
+        if (count >= maxPerKind || found.length >= maxInteractions || seen.has(el)
+          || el.disabled || el.closest('a[href]') || !isVisible(el)) {
+          return;
+        }
+        seen.add(el);
+        count++;
+        const id = String(found.length);
+        const text = (el.getAttribute('aria-label') || el.textContent || el.placeholder || '').trim().substring(0, 40);
+        el.setAttribute('data-cwv-interaction', id);
+        found.push({
+          id,
+          kind,
+          label: `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${text ? ` "${text}"` : ''}`,
+        });
+      });
+    });
+    return found;
+  }, TARGETS, MAX_PER_KIND, MAX_INTERACTIONS);
+}
+
+async function interact(page, deviceType, target) {
+  const handle = await page.$(`[data-cwv-interaction="${target.id}"]`);
+  if (!handle) return;
+  await handle.scrollIntoView();
+  if (target.kind === 'input') {
+    await handle.click();
+    await page.keyboard.type(TYPED_TEXT, { delay: 100 });
+  } else if (resolveProfile(deviceType).viewport.isMobile) {
+    await handle.tap();
+  } else {
+    await handle.click();
+  }
+  await handle.dispose();
+}
+
+/**
+ * Picks the slowest event of each interaction, and attributes it to the scripts of the overlapping long animation frames.
+ * @param {Object} recorded - The recorded events and frames.
+ * @param {Object[]} performed - The performed interactions, with their start time.
+ * @returns {Object[]} One `event` entry per interaction.
+ */
+function getInteractionEntries({ events, frames }, performed) {
+  const byInteraction = new Map();
+  events.forEach((e) => {
+    const current = byInteraction.get(e.interactionId);
+    if (!current || e.duration > current.duration) {
+      byInteraction.set(e.interactionId, e);
+    }
+  });
+  return [...byInteraction.values()].map((e) => {
+    const end = e.startTime + e.duration;
+    const target = performed.findLast((p) => p.startTime <= e.startTime);
+    const scripts = frames
+      .filter((f) => f.startTime < end && f.startTime + f.duration > e.startTime)
+      .flatMap((f) => f.scripts)
+      .sort((a, b) => b.duration - a.duration);
+    return {
+      ...e,
+      interaction: target ? { kind: target.kind, label: target.label } : null,
+      scripts,
+    };
+  }).sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Interacts with the page after load (nav toggles, accordions, tabs, buttons and inputs) under the device's CPU throttling,
+ * and records the Event Timing entries of each interaction with their Long Animation Frame attribution.
+ * @param {Object} page - The puppeteer page.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @returns {Promise<Object[]>} The `event` entries, one per interaction slower than 16ms.
+ */
+export async function collectInteractionEntries(page, pageUrl, deviceType) {
+  await observeInteractions(page);
+  const targets = await findTargets(page);
+  const loadedUrl = page.url().split('#')[0];
+  const performed = [];
+  for (const target of targets) {
+    // Stop if the page navigated anyway, e.g. through a script
+    if (page.url().split('#')[0] !== loadedUrl) break;
+    const startTime = await page.evaluate(() => performance.now());
+    try {
+      await interact(page, deviceType, target);
+      performed.push({ ...target, startTime });
+    } catch (err) {
+      // Targets can be covered or detached by a previous interaction, just skip them
+    }
+    await new Promise((resolve) => setTimeout(resolve, INTERACTION_DELAY));
+  }
+  if (performed.length === 0) {
+    return [];
+  }
+  const recorded = await page.evaluate(() => window.__cwvInteractions || { events: [], frames: [] });
+  const entries = getInteractionEntries(recorded, performed);
+  logger.debug(`Ran ${performed.length} interaction(s) on ${pageUrl}, ${entries.length} slower than 16ms`);
+  return entries;
+}
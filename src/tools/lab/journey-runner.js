@@ -0,0 +1,234 @@
+/**
+ * @fileoverview User journey runner.
+ * A journey runs the steps of a script in one browser session. Single-page applications (e.g. AEM SPA Editor or
+ * headless sites) change routes without loading a new document, so each step is measured from the entries recorded
+ * after it started: a new document for hard navigations, the soft navigation and its LCP for route changes.
+ */
+
+import { throttle } from '../../core/rate-limiter.js';
+import { resolveProfile } from '../../core/profiles.js';
+import { logger } from '../../core/logger.js';
+import { resolveEnvReferences } from '../../core/auth.js';
+import { setupBrowser } from './browser-utils.js';
+import { acceptConsent, DEFAULT_CONSENT_MODE } from './consent.js';
+
+// Chrome only reports soft navigations, and the LCP of each of them, with its soft navigation heuristics
+const SOFT_NAVIGATION_ARGS = ['--enable-features=SoftNavigationHeuristics'];
+
+// Time each action has to find its target or to be fulfilled
+const STEP_TIMEOUT = 30_000;
+
+// Time given to each step to render its content once the network is idle
+const STEP_SETTLE = 1_000;
+
+// Max length of the element markup kept in the entries
+const MAX_ELEMENT_LENGTH = 300;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Records the performance entries of every document loaded in the page, soft navigations included.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<void>}
+ */
+async function observeJourney(page) {
+  await page.evaluateOnNewDocument((maxElementLength) => {
+    const recorded = [];
+    window.__cwvJourney = recorded;
+    const clone = (obj) => JSON.parse(JSON.stringify(obj));
+    const observe = (type, map, options = {}) => {
+      try {
+        new PerformanceObserver((list) => {
+          list.getEntries().map(map).filter(Boolean).forEach((e) => recorded.push(e));
+        }).observe({ type, buffered: true, ...options });
+      } catch (err) {
+        // The entry type is not supported, the journey goes without it
+      }
+    };
+    observe('navigation', clone);
+    observe('paint', clone);
+    observe('resource', clone);
+    observe('soft-navigation', clone);
+    observe('largest-contentful-paint', (e) => ({
+      ...clone(e),
+      element: e.element?.outerHTML?.substring(0, maxElementLength),
+    }), { includeSoftNavigationObservations: true });
+    observe('layout-shift', (e) => ({
+      ...clone(e),
+      sources: e.sources?.map((s) => ({
+        ...clone(s),
+        node: s.node?.outerHTML?.substring(0, maxElementLength),
+      })) || [],
+    }), { includeSoftNavigationObservations: true });
+    observe('event', (e) => (e.interactionId ? {
+      ...clone(e),
+      target: e.target?.outerHTML?.substring(0, maxElementLength) || '',
+    } : null), { durationThreshold: 16, includeSoftNavigationObservations: true });
+    observe('long-animation-frame', (e) => ({
+      ...clone(e),
+      scripts: e.scripts?.map((s) => clone(s)) || [],
+    }));
+  }, MAX_ELEMENT_LENGTH);
+}
+
+async function findElement(page, selector) {
+  return page.waitForSelector(selector, { visible: true, timeout: STEP_TIMEOUT });
+}
+
+/**
+ * Runs one action of a step.
+ * @param {Object} page - The puppeteer page.
+ * @param {Object} action - The action ({ type, url, selector, text, pattern }).
+ * @param {String} pageUrl - The page the relative URLs are resolved against.
+ * @param {String} deviceType
+ * @returns {Promise<void>}
+ */
+async function runAction(page, action, pageUrl, deviceType) {
+  switch (action.type) {
+    case 'goto':
+      await page.goto(new URL(action.url, pageUrl).href, { timeout: 120_000, waitUntil: 'load' });
+      break;
+    case 'click': {
+      const element = await findElement(page, action.selector);
+      if (resolveProfile(deviceType).viewport.isMobile) {
+        await element.tap();
+      } else {
+        await element.click();
+      }
+      break;
+    }
+    case 'type': {
+      const element = await findElement(page, action.selector);
+      await element.type(resolveEnvReferences(action.text, 'journey steps'), { delay: 100 });
+      break;
+    }
+    case 'waitForUrl':
+      await page.waitForFunction((pattern) => window.location.href.includes(pattern), { timeout: STEP_TIMEOUT }, action.pattern);
+      break;
+    case 'waitForSelector':
+      await findElement(page, action.selector);
+      break;
+    default:
+      throw new Error(`Unknown journey action "${action.type}"`);
+  }
+}
+
+async function getDocumentState(page) {
+  return page.evaluate(() => ({ timeOrigin: performance.timeOrigin, now: performance.now() }));
+}
+
+/**
+ * Reads the entries recorded in the page, retrying once when a navigation is still replacing the document.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object>} The `timeOrigin`, `url`, `entries` and `html` of the current document.
+ */
+async function readDocument(page) {
+  const read = () => page.evaluate(() => ({
+    timeOrigin: performance.timeOrigin,
+    url: window.location.href,
+    entries: window.__cwvJourney || [],
+    html: document.documentElement.outerHTML,
+  }));
+  try {
+    return await read();
+  } catch (err) {
+    await page.waitForNetworkIdle({ concurrency: 0, idleTime: STEP_SETTLE, timeout: STEP_TIMEOUT }).catch(() => {});
+    return read();
+  }
+}
+
+/**
+ * Runs the steps of a journey in one browser session, and records the performance entries of each step.
+ * The journey stops at the first step that fails, as the next ones depend on it.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object[]} steps - The steps, each with a `name` and its `actions`.
+ * @param {Object} options - The `blockRequests`, the resolved `auth` session and the `consent` mode.
+ * @returns {Promise<Object[]>} The steps run, each with the `url` it ended on, whether it loaded a new document (`hard`),
+ *   its `startTime` in the document, its `perfEntries` and `fullHtml`, and the `error` that stopped the journey.
+ */
+export async function runJourney(pageUrl, deviceType, steps, { blockRequests, auth, consent = DEFAULT_CONSENT_MODE }) {
+  return throttle('chrome', async () => {
+    const { browser, page } = await setupBrowser(deviceType, blockRequests, auth, pageUrl, null, SOFT_NAVIGATION_ARGS);
+    const results = [];
+    try {
+      if (consent === 'accept') {
+        try {
+          await acceptConsent(page, pageUrl);
+        } catch (err) {
+          logger.error('Error accepting the consent banners:', err.message);
+        }
+      }
+      await observeJourney(page);
+
+      for (const step of steps) {
+        logger.info(`🧭 Journey step "${step.name}"`);
+        const before = await getDocumentState(page);
+        try {
+          for (const action of step.actions) {
+            await runAction(page, action, pageUrl, deviceType);
+          }
+        } catch (err) {
+          logger.error(`Journey step "${step.name}" failed:`, err.message);
+          results.push({ name: step.name, actions: step.actions, error: err.message });
+          break;
+        }
+        await page.waitForNetworkIdle({ concurrency: 0, idleTime: STEP_SETTLE, timeout: STEP_TIMEOUT }).catch(() => {});
+        await sleep(STEP_SETTLE);
+
+        const after = await readDocument(page);
+        // A new document restarts the timeline, a route change is measured from the start of the step
+        const hard = after.timeOrigin !== before.timeOrigin;
+        results.push({
+          name: step.name,
+          actions: step.actions,
+          url: after.url,
+          hard,
+          startTime: hard ? 0 : before.now,
+          perfEntries: hard ? after.entries : after.entries.filter((e) => e.startTime >= before.now),
+          fullHtml: after.html,
+        });
+      }
+    } finally {
+      await browser.close();
+    }
+    return results;
+  });
+}
+
+/**
+ * Computes the metrics of a journey step from its performance entries.
+ * The LCP of a soft navigation is timed from the start of the soft navigation, and only reported when Chrome detected it.
+ * @param {Object} step - A step returned by `runJourney`.
+ * @returns {Object} The `navigation` type (hard, soft or none), the ttfb, fcp and lcp of the navigation, the inp and cls
+ *   of the step, the blocking time of its long animation frames, and its network activity
+ *   (requests, apiRequests, transferSize).
+ */
+export function getStepMetrics({ perfEntries, hard }) {
+  const byType = (type) => perfEntries.filter((e) => e.entryType === type);
+  const softNavigation = byType('soft-navigation').pop();
+  const softNavigationIds = new Set(byType('soft-navigation').map((e) => e.navigationId));
+  const lcps = byType('largest-contentful-paint');
+  const resources = byType('resource');
+  const interactions = byType('event').filter((e) => e.interactionId);
+
+  let lcp;
+  if (hard) {
+    lcp = lcps.filter((e) => !softNavigationIds.has(e.navigationId)).pop()?.startTime;
+  } else if (softNavigation) {
+    const softLcp = lcps.filter((e) => e.navigationId === softNavigation.navigationId).pop();
+    lcp = softLcp ? softLcp.startTime - softNavigation.startTime : undefined;
+  }
+  return {
+    navigation: hard ? 'hard' : (softNavigation ? 'soft' : 'none'),
+    ttfb: hard ? byType('navigation')[0]?.responseStart : undefined,
+    fcp: hard ? byType('paint').find((e) => e.name === 'first-contentful-paint')?.startTime : undefined,
+    lcp,
+    inp: interactions.length ? Math.max(...interactions.map((e) => e.duration)) : undefined,
+    cls: byType('layout-shift').filter((e) => !e.hadRecentInput).reduce((acc, e) => acc + e.value, 0),
+    blockingTime: byType('long-animation-frame').reduce((acc, e) => acc + (e.blockingDuration || 0), 0),
+    requests: resources.length,
+    apiRequests: resources.filter((e) => e.initiatorType === 'fetch' || e.initiatorType === 'xmlhttprequest').length,
+    transferSize: resources.reduce((acc, e) => acc + (e.transferSize || 0), 0),
+  };
+}
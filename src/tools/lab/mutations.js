@@ -0,0 +1,136 @@
+import { parse } from 'node-html-parser';
+
+// Modifications applied to the page by the experiments, through request interception.
+// `block` aborts the matching requests, the other mutations rewrite the HTML document before the browser parses it
+export const MUTATION_TYPES = {
+  block: ['url'],
+  preload: ['href', 'as'],
+  fetchpriority: ['selector', 'value'],
+  loading: ['selector', 'value'],
+  css: ['css'],
+  defer: ['url'],
+};
+
+// Selector matching the LCP image of the baseline run
+const LCP_SELECTOR = 'lcp';
+
+/**
+ * Validates a list of mutations.
+ * @param {Object[]} mutations - The mutations, each with a `type` and its settings.
+ * @returns {Object[]} The mutations.
+ */
+export function validateMutations(mutations) {
+  if (!Array.isArray(mutations) || mutations.length === 0) {
+    throw new Error('Experiments need a list of "mutations"');
+  }
+  mutations.forEach((mutation) => {
+    const required = MUTATION_TYPES[mutation?.type];
+    if (!required) {
+      throw new Error(`Unknown mutation type "${mutation?.type}", expected ${Object.keys(MUTATION_TYPES).join(', ')}`);
+    }
+    const missing = required.filter((key) => !mutation[key]);
+    if (missing.length > 0) {
+      throw new Error(`The ${mutation.type} mutation needs ${missing.map((key) => `"${key}"`).join(', ')}`);
+    }
+  });
+  return mutations;
+}
+
+/**
+ * Describes a mutation in a few words, for the reports.
+ * @param {Object} mutation
+ * @returns {String}
+ */
+export function describeMutation(mutation) {
+  switch (mutation.type) {
+    case 'block': return `block ${mutation.url}`;
+    case 'preload': return `preload ${mutation.href} as ${mutation.as}${mutation.fetchpriority ? ` (fetchpriority=${mutation.fetchpriority})` : ''}`;
+    case 'fetchpriority': return `fetchpriority=${mutation.value} on ${mutation.selector === LCP_SELECTOR ? 'the LCP image' : mutation.selector}`;
+    case 'loading': return `loading=${mutation.value} on ${mutation.selector === LCP_SELECTOR ? 'the LCP image' : mutation.selector}`;
+    case 'css': return `inject CSS (${mutation.css.length} chars)`;
+    case 'defer': return `defer ${mutation.url}`;
+    default: return mutation.type;
+  }
+}
+
+/**
+ * Checks whether a request is blocked by the mutations.
+ * @param {String} url - The requested URL.
+ * @param {Object[]} [mutations]
+ * @returns {Boolean}
+ */
+export function isBlockedByMutations(url, mutations) {
+  return (mutations || []).some((m) => m.type === 'block' && url.includes(m.url));
+}
+
+/**
+ * Checks whether the mutations rewrite the HTML document.
+ * @param {Object[]} [mutations]
+ * @returns {Boolean}
+ */
+export function hasHtmlMutations(mutations) {
+  return (mutations || []).some((m) => m.type !== 'block');
+}
+
+function findElements(doc, selector, { pageUrl, lcpUrl }) {
+  if (selector !== LCP_SELECTOR) {
+    return doc.querySelectorAll(selector);
+  }
+  if (!lcpUrl) {
+    return [];
+  }
+  // Image sources can be relative, or one of the srcset candidates
+  const { pathname } = new URL(lcpUrl, pageUrl);
+  return doc.querySelectorAll('img').filter((img) => [img.getAttribute('src'), img.getAttribute('srcset')]
+    .some((value) => value && value.includes(pathname)));
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Applies the mutations to the HTML document of the page.
+ * @param {String} html - The HTML document.
+ * @param {Object[]} mutations
+ * @param {Object} context - The `pageUrl`, and the `lcpUrl` of the baseline run (for the `lcp` selector).
+ * @returns {String} The modified HTML document.
+ */
+export function applyHtmlMutations(html, mutations, context) {
+  const doc = parse(html, { comment: true });
+  const head = doc.querySelector('head') || doc;
+  mutations.forEach((mutation) => {
+    switch (mutation.type) {
+      case 'preload': {
+        const attributes = { rel: 'preload', href: mutation.href, as: mutation.as };
+        ['fetchpriority', 'crossorigin', 'type', 'media'].forEach((key) => {
+          if (mutation[key] !== undefined) attributes[key] = mutation[key];
+        });
+        const link = `<link ${Object.entries(attributes).map(([key, value]) => `${key}="${escapeAttribute(value)}"`).join(' ')}>`;
+        head.insertAdjacentHTML('afterbegin', link);
+        break;
+      }
+      case 'fetchpriority':
+      case 'loading':
+        findElements(doc, mutation.selector, context).forEach((el) => el.setAttribute(mutation.type, mutation.value));
+        break;
+      case 'css':
+        head.insertAdjacentHTML('beforeend', `<style>${mutation.css}</style>`);
+        break;
+      case 'defer':
+        doc.querySelectorAll('script[src]')
+          .filter((script) => script.getAttribute('src').includes(mutation.url))
+          .forEach((script) => {
+            script.removeAttribute('async');
+            script.setAttribute('defer', '');
+          });
+        break;
+      default:
+        break;
+    }
+  });
+  // The doctype must be kept, or the page would render in quirks mode
+  const doctype = html.match(/^\s*<!doctype[^>]*>/i)?.[0];
+  const output = doc.toString();
+  return doctype && !/^\s*<!doctype/i.test(output) ? `${doctype.trim()}\n${output}` : output;
+}
@@ -57,7 +57,7 @@ export async function collectPerformanceEntries(page) {
 }
 
 // Performance Entry Analysis Functions
-export function summarizePerformanceEntries(performanceEntries, deviceType, maxTokens = null) {
+export function summarizePerformanceEntries(performanceEntries, deviceType, maxTokens = null, har = null) {
   let markdownOutput = `# Performance Analysis (Focused)\n\n`;
 
   // Group entries by type
@@ -83,6 +83,10 @@ export function summarizePerformanceEntries(performanceEntries, deviceType, maxT
     entriesByType['largest-contentful-paint'].forEach(entry => {
       markdownOutput += formatLCPEntry(entry);
     });
+    const subParts = getLcpSubParts(performanceEntries, har);
+    if (subParts) {
+      markdownOutput += formatLcpSubParts(subParts);
+    }
   }
 
   // Process long tasks (if available)
@@ -107,6 +111,18 @@ export function summarizePerformanceEntries(performanceEntries, deviceType, maxT
       });
   }
 
+  // Process interactions (if available), the slowest one is the lab INP
+  const interactions = entriesByType.event?.filter(entry => entry.interactionId) || [];
+  if (interactions.length > 0) {
+    markdownOutput += `## Interactions (INP)\n\n`;
+    interactions
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, 5)
+      .forEach(entry => {
+        markdownOutput += formatInteractionEntry(entry);
+      });
+  }
+
   // Process layout shifts (if available)
   const significantLayoutShifts = entriesByType['layout-shift']?.filter(entry => entry.value > 0.1) || [];
   if (significantLayoutShifts.length > 0) {
@@ -170,6 +186,9 @@ function formatLongAnimationFrameEntry(entry) {
   let output = `### Frame at ${entry.startTime.toFixed(2)} ms\n`;
   output += `*   **Duration:** ${entry.duration} ms\n`; 
   output += `*   **Blocking Duration:** ${entry.blockingDuration} ms\n`; 
+  if (entry.phase) {
+    output += `*   **Phase:** ${entry.phase === 'scroll' ? 'during scroll' : 'before scrolling (page load)'}\n`;
+  }
   
   if (entry.scripts && entry.scripts.length > 0) {
     output += `*   **Suspect Scripts:**\n`;
@@ -183,6 +202,32 @@ function formatLongAnimationFrameEntry(entry) {
   return output;
 }
 
+function formatInteractionEntry(entry) {
+  const inputDelay = entry.processingStart - entry.startTime;
+  const processingTime = entry.processingEnd - entry.processingStart;
+  const presentationDelay = entry.startTime + entry.duration - entry.processingEnd;
+
+  let output = `### ${entry.name} on ${entry.interaction?.label || 'element'}${entry.interaction ? ` (${entry.interaction.kind})` : ''} at ${entry.startTime.toFixed(2)} ms\n`;
+  output += `*   **Duration:** ${entry.duration} ms\n`;
+  output += `*   **Input Delay:** ${inputDelay.toFixed(2)} ms\n`;
+  output += `*   **Processing Time:** ${processingTime.toFixed(2)} ms\n`;
+  output += `*   **Presentation Delay:** ${presentationDelay.toFixed(2)} ms\n`;
+  if (entry.target) {
+    output += `*   **Target:** ${entry.target.length < 200 ? entry.target : `${entry.target.substring(0, 197)}...`}\n`;
+  }
+
+  if (entry.scripts && entry.scripts.length > 0) {
+    output += `*   **Suspect Scripts:**\n`;
+    entry.scripts.slice(0, 3).forEach(script => {
+      output += `    *   Script: ${script.sourceURL || 'inline'}${script.sourceFunctionName ? ` (${script.sourceFunctionName})` : ''} (Duration: ${script.duration} ms)\n`;
+      output += `        *   Invoker: ${script.invoker}\n`;
+    });
+  }
+
+  output += `\n`;
+  return output;
+}
+
 function formatResourceIssueEntry(entry) {
   const resourceDurationThreshold = 1000; // 1 second threshold for "slow" resources
   const decodedBodySizeThreshold = 1000000; // 1MB threshold for large decoded body size
@@ -232,6 +277,9 @@ function formatLayoutShiftEntry(entry) {
   let output = `### Shift at ${entry.startTime.toFixed(2)} ms\n`;
   output += `*   **Value:** ${entry.value.toFixed(4)} (Significant Shift)\n`;
   output += `*   **Had Recent Input:** ${entry.hadRecentInput}\n`;
+  if (entry.phase) {
+    output += `*   **Phase:** ${entry.phase === 'scroll' ? 'during scroll (below the fold)' : 'before scrolling (page load)'}\n`;
+  }
   
   if (entry.sources && entry.sources.length > 0) {
     output += `*   **Affected Elements:**\n`;
@@ -295,4 +343,140 @@ function formatLCPEntry(entry) {
   
   output += `\n`;
   return output;
-} 
\ No newline at end of file
+} 
+
+// Sub-parts of the LCP, in the order they add up to it, with their labels
+export const LCP_SUB_PARTS = {
+  ttfb: 'TTFB',
+  loadDelay: 'Resource load delay',
+  loadDuration: 'Resource load duration',
+  renderDelay: 'Element render delay',
+};
+
+/**
+ * Gets the start time of a HAR entry relative to the navigation start of the page.
+ * @param {Object} har
+ * @param {Object} entry - The HAR entry.
+ * @returns {Number} The start time, in ms.
+ */
+function getHarStartTime(har, entry) {
+  const navigationStart = har.log.pages?.[0]?.startedDateTime || har.log.entries[0].startedDateTime;
+  return new Date(entry.startedDateTime).getTime() - new Date(navigationStart).getTime();
+}
+
+/**
+ * Breaks the final LCP of the lab run down into its sub-parts, as CrUX does for the field LCP:
+ * the TTFB, the resource load delay (from TTFB to the request of the LCP resource), the resource load duration,
+ * and the element render delay (from the end of the load to the LCP).
+ * The LCP resource is timed with its resource timing entry, or with its HAR entry when there is none.
+ * Text LCPs have no resource, all the time after TTFB is render delay.
+ * @param {Object[]} perfEntries
+ * @param {Object} [har] - The HAR of the lab run, to time the LCP resource without resource timing and get its priority.
+ * @returns {Object|null} The sub-parts (ttfb, loadDelay, loadDuration, renderDelay) in ms, with the `lcp`, its `url`,
+ *   the `source` of the resource timings (resource-timing, har or null) and the request `priority`.
+ *   Null without an LCP or a navigation entry.
+ */
+export function getLcpSubParts(perfEntries, har = null) {
+  if (!Array.isArray(perfEntries)) {
+    return null;
+  }
+  const lcp = perfEntries.filter((e) => e.entryType === 'largest-contentful-paint').pop();
+  const navigation = perfEntries.find((e) => e.entryType === 'navigation');
+  if (!lcp || !navigation) {
+    return null;
+  }
+  // Prerendered pages are timed from their activation
+  const activationStart = navigation.activationStart || 0;
+  const lcpTime = Math.max(0, lcp.startTime - activationStart);
+  const ttfb = Math.min(Math.max(0, navigation.responseStart - activationStart), lcpTime);
+
+  let loadStart = ttfb;
+  let loadEnd = ttfb;
+  let source = null;
+  let priority = null;
+  if (lcp.url && !lcp.url.startsWith('data:')) {
+    const resource = perfEntries.find((e) => e.entryType === 'resource' && e.name === lcp.url);
+    const harEntry = har?.log?.entries?.find((e) => e.request?.url === lcp.url);
+    priority = harEntry?._priority || null;
+    if (resource) {
+      // requestStart is 0 for cross-origin resources without Timing-Allow-Origin
+      loadStart = (resource.requestStart || resource.startTime) - activationStart;
+      loadEnd = resource.responseEnd - activationStart;
+      source = 'resource-timing';
+    } else if (harEntry) {
+      loadStart = getHarStartTime(har, harEntry) - activationStart;
+      loadEnd = loadStart + harEntry.time;
+      source = 'har';
+    }
+  }
+  // The sub-parts add up to the LCP, a resource loaded before the TTFB (e.g. from the cache) has no load delay
+  loadStart = Math.min(Math.max(loadStart, ttfb), lcpTime);
+  loadEnd = Math.min(Math.max(loadEnd, loadStart), lcpTime);
+
+  return {
+    lcp: lcpTime,
+    url: lcp.url || null,
+    source,
+    priority,
+    ttfb,
+    loadDelay: loadStart - ttfb,
+    loadDuration: loadEnd - loadStart,
+    renderDelay: lcpTime - loadEnd,
+  };
+}
+
+/**
+ * Gets the sub-part taking the largest share of the LCP.
+ * @param {Object} subParts - The sub-parts returned by `getLcpSubParts`.
+ * @returns {String} The sub-part name (ttfb, loadDelay, loadDuration or renderDelay).
+ */
+export function getDominantLcpSubPart(subParts) {
+  return Object.keys(LCP_SUB_PARTS).reduce((max, name) => (subParts[name] > subParts[max] ? name : max));
+}
+
+function formatLcpSubParts(subParts) {
+  let output = `### LCP Sub-parts\n`;
+  Object.entries(LCP_SUB_PARTS).forEach(([name, label]) => {
+    const share = subParts.lcp ? Math.round((subParts[name] / subParts.lcp) * 100) : 0;
+    output += `*   **${label}:** ${Math.round(subParts[name])} ms (${share}%)\n`;
+  });
+  output += `*   **Dominant Sub-part:** ${LCP_SUB_PARTS[getDominantLcpSubPart(subParts)]}\n`;
+  if (!subParts.url) {
+    output += `*   **Note:** Text LCP, there is no resource to load\n`;
+  } else if (!subParts.source) {
+    output += `*   **Note:** No timing found for the LCP resource\n`;
+  }
+  if (subParts.priority) {
+    output += `*   **Request Priority:** ${subParts.priority}\n`;
+  }
+  output += `\n`;
+  return output;
+}
+
+/**
+ * Computes the lab metrics from the performance entries of the lab run.
+ * @param {Object[]} perfEntries
+ * @returns {Object} The lab metrics (lcp, cls, tbt, fcp, ttfb, inp), missing ones are undefined.
+ *   INP is only available when interactions were run, as the slowest of them.
+ *   CLS only counts the page load, the shifts of the scroll phase are reported on their own.
+ */
+export function getLabMetrics(perfEntries) {
+  if (!Array.isArray(perfEntries) || perfEntries.length === 0) {
+    return {};
+  }
+  const byType = (type) => perfEntries.filter((e) => e.entryType === type);
+  const lcps = byType('largest-contentful-paint');
+  const fcp = byType('paint').find((e) => e.name === 'first-contentful-paint');
+  const navigation = byType('navigation')[0];
+  const shifts = byType('layout-shift').filter((e) => !e.hadRecentInput && e.phase !== 'scroll');
+  const longTasks = byType('longtask');
+  const interactions = byType('event').filter((e) => e.interactionId);
+  return {
+    lcp: lcps.length ? lcps[lcps.length - 1].startTime : undefined,
+    cls: shifts.reduce((acc, e) => acc + e.value, 0),
+    tbt: longTasks.reduce((acc, e) => acc + Math.max(0, e.duration - 50), 0),
+    fcp: fcp?.startTime,
+    ttfb: navigation?.responseStart,
+    inp: interactions.length ? Math.max(...interactions.map((e) => e.duration)) : undefined,
+  };
+}
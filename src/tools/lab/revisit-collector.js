@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Repeat views and back/forward cache.
+ * The lab run is a cold first view, while many real visits are repeat views with a warm HTTP cache, or back/forward
+ * navigations that the back/forward cache (bfcache) restores instantly when the page allows it. Both run in the browser
+ * of the lab run, once the first view is fully collected.
+ */
+
+import { logger } from '../../core/logger.js';
+
+// Page navigated to and away from the tested page, as Lighthouse does, so the tested page is put in the bfcache
+const AWAY_URL = 'chrome://terms';
+
+// Time the back navigation has to restore or reload the page
+const BFCACHE_TIMEOUT = 10_000;
+
+// Max number of resources downloaded again listed in the repeat view
+const MAX_DOWNLOADED = 20;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Loads the page again in the same browser, to measure it with a warm HTTP cache and its service worker installed.
+ * @param {Object} page - The puppeteer page.
+ * @param {String} pageUrl
+ * @returns {Promise<Object>} The repeat view metrics (ttfb, fcp, lcp), its `serviceWorker` usage and its `resources`
+ *   by cache status (cached, revalidated, downloaded, unknown), with the `downloaded` ones listed.
+ */
+export async function measureRepeatView(page, pageUrl) {
+  // The HTTP cache is disabled while the requests are intercepted
+  await page.setCacheEnabled(true);
+  try {
+    await page.goto(pageUrl, { timeout: 120_000, waitUntil: 'load' });
+  } catch (err) {
+    logger.error('Repeat view did not load after 120s. Force continuing.', err.message);
+  }
+  await page.waitForNetworkIdle({ concurrency: 0, idleTime: 1_000 }).catch(() => {});
+
+  return page.evaluate(async (maxDownloaded) => {
+    const lcp = await new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(null), 1_000);
+      new PerformanceObserver((list) => {
+        clearTimeout(timeout);
+        resolve(list.getEntries().pop() || null);
+      }).observe({ type: 'largest-contentful-paint', buffered: true });
+    });
+    const [navigation] = performance.getEntriesByType('navigation');
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+    // Cross-origin resources without Timing-Allow-Origin report no sizes, their cache status is unknown
+    const getStatus = (r) => {
+      if (r.transferSize === 0 && r.decodedBodySize > 0) return 'cached';
+      if (r.transferSize > 0 && r.transferSize < r.encodedBodySize) return 'revalidated';
+      if (r.transferSize > 0) return 'downloaded';
+      return 'unknown';
+    };
+    const resources = performance.getEntriesByType('resource').map((r) => ({
+      url: r.name,
+      initiatorType: r.initiatorType,
+      transferSize: r.transferSize,
+      status: getStatus(r),
+      fromServiceWorker: r.workerStart > 0,
+    }));
+    const count = (status) => resources.filter((r) => r.status === status).length;
+    return {
+      ttfb: navigation?.responseStart,
+      fcp: fcp?.startTime,
+      lcp: lcp?.startTime,
+      document: {
+        status: navigation ? getStatus(navigation) : 'unknown',
+        fromServiceWorker: navigation?.workerStart > 0,
+      },
+      serviceWorker: !!navigator.serviceWorker?.controller,
+      transferSize: resources.reduce((acc, r) => acc + r.transferSize, 0) + (navigation?.transferSize || 0),
+      resources: {
+        total: resources.length,
+        cached: count('cached'),
+        revalidated: count('revalidated'),
+        downloaded: count('downloaded'),
+        unknown: count('unknown'),
+        fromServiceWorker: resources.filter((r) => r.fromServiceWorker).length,
+      },
+      downloaded: resources
+        .filter((r) => r.status === 'downloaded')
+        .sort((a, b) => b.transferSize - a.transferSize)
+        .slice(0, maxDownloaded),
+    };
+  }, MAX_DOWNLOADED);
+}
+
+/**
+ * Navigates away from the page and back, to check whether the back/forward cache restores it.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object>} Whether the page was `restored`, the `reasons` it was not (from Chrome),
+ *   and the `notRestoredReasons` of the navigation timing API.
+ */
+export async function testBfcache(page) {
+  const client = await page.target().createCDPSession();
+  try {
+    await client.send('Page.enable');
+    let explanations = null;
+    client.on('Page.backForwardCacheNotUsed', (event) => {
+      explanations = event.notRestoredExplanations;
+    });
+
+    // The marker only survives the back navigation if the page is restored from the bfcache
+    await page.evaluate(() => { window.__cwvBfcache = true; });
+    await page.goto(AWAY_URL, { waitUntil: 'load' });
+    const { currentIndex, entries } = await client.send('Page.getNavigationHistory');
+    // The history entry is navigated to directly, as a bfcache restore fires no load event to wait for
+    const navigated = new Promise((resolve) => {
+      const timeout = setTimeout(resolve, BFCACHE_TIMEOUT);
+      client.on('Page.frameNavigated', ({ frame }) => {
+        if (!frame.parentId) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+    });
+    await client.send('Page.navigateToHistoryEntry', { entryId: entries[currentIndex - 1].id });
+    await navigated;
+    await page.waitForNetworkIdle({ concurrency: 0, idleTime: 500, timeout: BFCACHE_TIMEOUT }).catch(() => {});
+    await sleep(500);
+
+    const { restored, notRestoredReasons } = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType('navigation');
+      return {
+        restored: window.__cwvBfcache === true,
+        notRestoredReasons: navigation?.notRestoredReasons ? JSON.parse(JSON.stringify(navigation.notRestoredReasons)) : null,
+      };
+    });
+    return {
+      restored,
+      reasons: restored ? [] : (explanations || []).map(({ type, reason, context }) => ({ type, reason, ...(context && { context }) })),
+      notRestoredReasons: restored ? null : notRestoredReasons,
+    };
+  } finally {
+    await client.detach();
+  }
+}
+
+const formatTime = (value) => (typeof value === 'number' ? `${Math.round(value)}ms` : 'n/a');
+
+/**
+ * Summarizes the repeat view, compared to the first view, for the reports and the LLM.
+ * @param {Object} repeatView - The repeat view artifact of the lab run.
+ * @param {Object} firstView - The lab metrics of the first view (ttfb, fcp, lcp).
+ * @returns {String} The markdown summary.
+ */
+export function summarizeRepeatView(repeatView, firstView = {}) {
+  const { resources } = repeatView;
+  let markdown = '## Repeat View (warm cache)\n\n';
+  ['ttfb', 'fcp', 'lcp'].forEach((metric) => {
+    markdown += `* **${metric.toUpperCase()}:** ${formatTime(repeatView[metric])} (first view: ${formatTime(firstView[metric])})\n`;
+  });
+  markdown += `* **Service worker:** ${repeatView.serviceWorker ? 'controls the page' : 'none'}${repeatView.document.fromServiceWorker ? ', serves the HTML' : ''}\n`;
+  markdown += `* **HTML document:** ${repeatView.document.status}\n`;
+  markdown += `* **Transferred:** ${Math.round(repeatView.transferSize / 1024)} KB\n`;
+  markdown += `* **Resources:** ${resources.total} (${resources.cached} from the HTTP cache, ${resources.revalidated} revalidated, ${resources.downloaded} downloaded again, ${resources.unknown} unknown, ${resources.fromServiceWorker} through the service worker)\n`;
+  if (repeatView.downloaded.length > 0) {
+    markdown += '\n### Downloaded Again on the Repeat View\n\n';
+    repeatView.downloaded.forEach((r) => {
+      markdown += `* ${r.url} (${r.initiatorType}, ${Math.round(r.transferSize / 1024)} KB)\n`;
+    });
+  }
+  return markdown;
+}
+
+/**
+ * Summarizes the back/forward cache test, for the reports and the LLM.
+ * @param {Object} bfcache - The bfcache artifact of the lab run.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeBfcache(bfcache) {
+  let markdown = '## Back/Forward Cache\n\n';
+  if (bfcache.restored) {
+    return `${markdown}* **Restored from the back/forward cache:** yes\n`;
+  }
+  markdown += '* **Restored from the back/forward cache:** no\n';
+  if (bfcache.reasons.length > 0) {
+    markdown += '* **Blocking reasons:**\n';
+    bfcache.reasons.forEach((r) => {
+      markdown += `    * ${r.reason} (${r.type})${r.context ? `: ${r.context}` : ''}\n`;
+    });
+  }
+  return markdown;
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Scroll phase of the lab run.
+ * The lab run stops at network idle, before the visitor scrolls. The scroll phase steps through the page after load, so
+ * the shifts of lazy blocks, lazy images, late ads and footers, and the frames they block, are recorded as well.
+ */
+
+import { logger } from '../../core/logger.js';
+import { resolveProfile } from '../../core/profiles.js';
+
+// Phases the performance entries are tagged with when the scroll phase runs
+export const PRE_SCROLL = 'pre-scroll';
+export const DURING_SCROLL = 'scroll';
+
+// Each step scrolls half a viewport, at the pace of a visitor skimming the page
+const SCROLL_STEP_RATIO = 0.5;
+const SCROLL_STEP_DELAY = 500;
+const MAX_SCROLL_STEPS = 40;
+
+// Time given to the last lazy content to load and render once the bottom is reached
+const SCROLL_SETTLE = 1_000;
+
+// Max length of the shifted nodes markup kept in the entries
+const MAX_NODE_LENGTH = 300;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Observes the layout shifts, resource loads and long animation frames from now on.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<void>}
+ */
+async function observeScroll(page) {
+  await page.evaluate((maxNodeLength) => {
+    const recorded = [];
+    window.__cwvScroll = recorded;
+    const clone = (obj) => JSON.parse(JSON.stringify(obj));
+    const observe = (type, map) => {
+      try {
+        new PerformanceObserver((list) => {
+          list.getEntries().forEach((e) => recorded.push(map(e)));
+        }).observe({ type });
+      } catch (err) {
+        // The entry type is not supported, the scroll phase goes without it
+      }
+    };
+    observe('layout-shift', (e) => ({
+      ...clone(e),
+      sources: e.sources?.map((s) => ({
+        ...clone(s),
+        node: s.node?.outerHTML?.substring(0, maxNodeLength),
+      })) || [],
+    }));
+    observe('resource', (e) => clone(e));
+    observe('long-animation-frame', (e) => ({
+      ...clone(e),
+      scripts: e.scripts?.map((s) => clone(s)) || [],
+    }));
+  }, MAX_NODE_LENGTH);
+}
+
+async function getScrollPosition(page) {
+  return page.evaluate(() => ({
+    top: window.scrollY,
+    max: document.documentElement.scrollHeight - window.innerHeight,
+  }));
+}
+
+/**
+ * Scrolls through the page from top to bottom with the mouse wheel, as a visitor would,
+ * and records the layout shifts, resource loads and long animation frames it triggers.
+ * Layout shifts caused by scrolling are not input-related, so they count for the CLS of the page.
+ * @param {Object} page - The puppeteer page.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @returns {Promise<Object[]>} The entries recorded during the scroll, tagged with the `scroll` phase.
+ */
+export async function collectScrollEntries(page, pageUrl, deviceType) {
+  await observeScroll(page);
+  const delta = Math.round(resolveProfile(deviceType).viewport.height * SCROLL_STEP_RATIO);
+  let steps = 0;
+  for (; steps < MAX_SCROLL_STEPS; steps++) {
+    const before = await getScrollPosition(page);
+    if (before.top >= before.max - 1) break;
+    await page.mouse.wheel({ deltaY: delta });
+    await sleep(SCROLL_STEP_DELAY);
+    // Pages scrolling in a container ignore the wheel on the window, scroll it directly instead
+    const after = await getScrollPosition(page);
+    if (after.top === before.top) {
+      await page.evaluate((y) => window.scrollBy(0, y), delta);
+      if ((await getScrollPosition(page)).top === before.top) break;
+    }
+  }
+  await sleep(SCROLL_SETTLE);
+  const entries = await page.evaluate(() => window.__cwvScroll || []);
+  // Back to the top, so the interactions that follow find the page as loaded
+  await page.evaluate(() => window.scrollTo(0, 0));
+  logger.debug(`Scrolled through ${pageUrl} in ${steps} step(s), ${entries.length} entries recorded`);
+  return entries.map((e) => ({ ...e, phase: DURING_SCROLL }));
+}
+
+/**
+ * Summarizes what happened during the scroll phase, for the reports and the LLM.
+ * @param {Object[]} perfEntries - The performance entries, with their phase.
+ * @returns {String|null} The markdown summary, null if the scroll phase did not run.
+ */
+export function summarizeScroll(perfEntries) {
+  if (!perfEntries?.some((e) => e.phase === PRE_SCROLL)) {
+    return null;
+  }
+  const scrollEntries = perfEntries.filter((e) => e.phase === DURING_SCROLL);
+  const shifts = scrollEntries.filter((e) => e.entryType === 'layout-shift' && !e.hadRecentInput);
+  const images = scrollEntries.filter((e) => e.entryType === 'resource' && e.initiatorType === 'img');
+  const otherResources = scrollEntries.filter((e) => e.entryType === 'resource' && e.initiatorType !== 'img');
+  const frames = scrollEntries.filter((e) => e.entryType === 'long-animation-frame' && e.blockingDuration > 0);
+  const preScrollCls = perfEntries
+    .filter((e) => e.phase === PRE_SCROLL && e.entryType === 'layout-shift' && !e.hadRecentInput)
+    .reduce((acc, e) => acc + e.value, 0);
+
+  let markdown = '## Scroll Phase (below the fold)\n\n';
+  markdown += `* **CLS before scrolling:** ${preScrollCls.toFixed(4)}\n`;
+  markdown += `* **CLS during scroll:** ${shifts.reduce((acc, e) => acc + e.value, 0).toFixed(4)} (${shifts.length} shift(s))\n`;
+  markdown += `* **Images loaded during scroll:** ${images.length}\n`;
+  markdown += `* **Other resources loaded during scroll:** ${otherResources.length}\n`;
+  markdown += `* **Long animation frames during scroll:** ${frames.length}${frames.length > 0 ? ` (max blocking ${Math.round(Math.max(...frames.map((f) => f.blockingDuration)))}ms)` : ''}\n`;
+  const significant = shifts.filter((e) => e.value > 0.01).sort((a, b) => b.value - a.value).slice(0, 5);
+  if (significant.length > 0) {
+    markdown += '\n### Layout Shifts During Scroll\n\n';
+    significant.forEach((e) => {
+      const nodes = e.sources.map((s) => s.node).filter(Boolean);
+      markdown += `* ${e.value.toFixed(4)} at ${Math.round(e.startTime)}ms${nodes.length > 0 ? `: ${nodes[0].substring(0, 150)}` : ''}\n`;
+    });
+  }
+  return markdown;
+}
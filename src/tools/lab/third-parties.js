@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Third-party vendors.
+ * Third-party requests are grouped by vendor, so a vendor serving from several hosts is blocked and costed as a whole.
+ * Hosts of unknown vendors are grouped by origin.
+ */
+
+// Known vendors, with the domains they serve from (subdomains included)
+const KNOWN_VENDORS = {
+  'Google Tag Manager': ['googletagmanager.com'],
+  'Google Analytics': ['google-analytics.com', 'analytics.google.com'],
+  'Google Ads': ['googleadservices.com', 'googlesyndication.com', 'doubleclick.net', 'adservice.google.com'],
+  'Google Fonts': ['fonts.googleapis.com', 'fonts.gstatic.com'],
+  'YouTube': ['youtube.com', 'ytimg.com', 'youtube-nocookie.com'],
+  'Adobe Analytics': ['omtrdc.net', '2o7.net', 'sc.omtrdc.net'],
+  'Adobe Experience Platform': ['adobedc.net', 'demdex.net', 'everesttech.net'],
+  'Adobe Launch': ['assets.adobedtm.com'],
+  'Adobe Target': ['tt.omtrdc.net'],
+  'Facebook': ['facebook.net', 'facebook.com', 'fbcdn.net'],
+  'TikTok': ['tiktok.com', 'analytics.tiktok.com'],
+  'LinkedIn': ['licdn.com', 'linkedin.com', 'ads.linkedin.com'],
+  'Twitter': ['twitter.com', 'ads-twitter.com', 't.co'],
+  'Pinterest': ['pinimg.com', 'pinterest.com'],
+  'Microsoft Clarity': ['clarity.ms'],
+  'Bing Ads': ['bat.bing.com'],
+  'Hotjar': ['hotjar.com', 'hotjar.io'],
+  'OneTrust': ['onetrust.com', 'cookielaw.org'],
+  'Cookiebot': ['cookiebot.com'],
+  'TrustArc': ['trustarc.com', 'truste.com'],
+  'Usercentrics': ['usercentrics.eu'],
+  'Didomi': ['privacy-center.org', 'didomi.io'],
+  'Optimizely': ['optimizely.com'],
+  'Dynamic Yield': ['dynamicyield.com'],
+  'Qualtrics': ['qualtrics.com'],
+  'Medallia': ['kampyle.com', 'medallia.com'],
+  'Intercom': ['intercom.io', 'intercomcdn.com'],
+  'Drift': ['drift.com', 'driftt.com'],
+  'Zendesk': ['zendesk.com', 'zdassets.com'],
+  'LivePerson': ['liveperson.net', 'lpsnmedia.net'],
+  'Salesforce': ['salesforceliveagent.com', 'force.com', 'exacttarget.com'],
+  'HubSpot': ['hubspot.com', 'hs-scripts.com', 'hs-analytics.net', 'hsforms.net', 'hscollectedforms.net'],
+  'Marketo': ['marketo.net', 'marketo.com', 'mktoresp.com'],
+  'Segment': ['segment.com', 'segment.io'],
+  'Tealium': ['tiqcdn.com', 'tealiumiq.com'],
+  'New Relic': ['nr-data.net', 'newrelic.com'],
+  'Datadog': ['datadoghq.com', 'datadoghq-browser-agent.com'],
+  'Sentry': ['sentry.io', 'sentry-cdn.com'],
+  'Akamai mPulse': ['go-mpulse.net', 'akstat.io'],
+  'Criteo': ['criteo.com', 'criteo.net'],
+  'Taboola': ['taboola.com'],
+  'Outbrain': ['outbrain.com'],
+  'Amazon Ads': ['amazon-adsystem.com'],
+  'Vimeo': ['vimeo.com', 'vimeocdn.com'],
+  'Cloudflare CDNJS': ['cdnjs.cloudflare.com'],
+  'jsDelivr': ['cdn.jsdelivr.net'],
+  'unpkg': ['unpkg.com'],
+  'Typekit': ['use.typekit.net', 'p.typekit.net'],
+};
+
+// Public suffixes made of two labels, where the site is the last three labels of the host
+const TWO_LABEL_SUFFIXES = ['co.uk', 'com.au', 'co.jp', 'co.nz', 'com.br', 'co.in', 'com.cn', 'co.za', 'com.mx', 'com.sg'];
+
+/**
+ * Gets the site of a host (its registrable domain), so the subdomains of the page's site are first-party.
+ * @param {String} hostname
+ * @returns {String}
+ */
+export function getSite(hostname) {
+  const labels = hostname.split('.');
+  const size = TWO_LABEL_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+/**
+ * Finds the known vendor serving from a host.
+ * @param {String} hostname
+ * @returns {String|null} The vendor name, null for unknown hosts.
+ */
+export function findVendor(hostname) {
+  const match = Object.entries(KNOWN_VENDORS)
+    .flatMap(([vendor, domains]) => domains.map((domain) => [vendor, domain]))
+    .filter(([, domain]) => hostname === domain || hostname.endsWith(`.${domain}`))
+    // The most specific domain wins, e.g. Adobe Target over Adobe Analytics
+    .sort((a, b) => b[1].length - a[1].length)[0];
+  return match ? match[0] : null;
+}
+
+/**
+ * Groups the third-party requests of a HAR by known vendor, or by origin for unknown hosts.
+ * @param {Object} har - The HAR of the page.
+ * @param {String} pageUrl
+ * @returns {Object[]} The groups ({ name, vendor, hosts, requests, transferSize }), by transfer size.
+ */
+export function groupThirdParties(har, pageUrl) {
+  const pageSite = getSite(new URL(pageUrl).hostname);
+  const groups = new Map();
+  (har?.log?.entries || []).forEach((entry) => {
+    let url;
+    try {
+      url = new URL(entry.request.url);
+    } catch (err) {
+      return;
+    }
+    if (!url.protocol.startsWith('http') || getSite(url.hostname) === pageSite) {
+      return;
+    }
+    const vendor = findVendor(url.hostname);
+    const name = vendor || url.origin;
+    if (!groups.has(name)) {
+      groups.set(name, { name, vendor: !!vendor, hosts: [], requests: 0, transferSize: 0 });
+    }
+    const group = groups.get(name);
+    if (!group.hosts.includes(url.host)) {
+      group.hosts.push(url.host);
+    }
+    group.requests += 1;
+    group.transferSize += Math.max(0, entry.response?._transferSize || 0);
+  });
+  return [...groups.values()].sort((a, b) => b.transferSize - a.transferSize || b.requests - a.requests);
+}
+
+/**
+ * Gets the mutations blocking all the requests of third-party groups.
+ * @param {Object[]} groups - The groups returned by `groupThirdParties`.
+ * @returns {Object[]} The `block` mutations, one per host.
+ */
+export function getBlockingMutations(groups) {
+  // Matching on `//host/` does not block the hosts the pattern is a prefix of, nor URLs that only mention the host
+  return groups.flatMap((group) => group.hosts.map((host) => ({ type: 'block', url: `//${host}/` })));
+}
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Chrome performance trace collection.
+ * A Chrome performance trace attributes the main-thread work to what it was spent on and to the scripts behind it,
+ * which the PerformanceObserver entries cannot do (long tasks carry no script attribution).
+ */
+
+// Trace categories needed for the main-thread events and their script attribution
+const TRACE_CATEGORIES = [
+  '-*',
+  'toplevel',
+  'v8.execute',
+  'blink.user_timing',
+  'loading',
+  'devtools.timeline',
+  'disabled-by-default-devtools.timeline',
+  'disabled-by-default-v8.compile',
+];
+
+// Main-thread events by category, events of other names count as their parent's category
+const EVENT_CATEGORIES = {
+  parse: ['ParseHTML', 'ParseAuthorStyleSheet'],
+  compile: ['v8.compile', 'v8.compileModule', 'V8.CompileCode', 'V8.CompileLazy', 'CacheScript', 'v8.produceCache', 'v8.produceModuleCache'],
+  evaluate: ['EvaluateScript', 'v8.evaluateModule', 'FunctionCall', 'EventDispatch', 'TimerFire', 'FireIdleCallback', 'FireAnimationFrame', 'RunMicrotasks', 'V8.Execute', 'v8.run'],
+  style: ['UpdateLayoutTree', 'ScheduleStyleRecalculation', 'RecalculateStyles'],
+  layout: ['Layout', 'InvalidateLayout'],
+  paint: ['PrePaint', 'Paint', 'PaintSetup', 'PaintImage', 'RasterTask', 'Layerize', 'UpdateLayer', 'UpdateLayerTree', 'CompositeLayers', 'Commit', 'Decode Image', 'ImageDecodeTask'],
+  gc: ['MinorGC', 'MajorGC', 'GCEvent', 'BlinkGCMarking', 'ThreadState::performIdleLazySweep', 'ThreadState::completeSweep'],
+};
+export const TRACE_CATEGORY_NAMES = [...Object.keys(EVENT_CATEGORIES), 'other'];
+const CATEGORY_BY_EVENT = new Map(Object.entries(EVENT_CATEGORIES).flatMap(([category, names]) => names.map((name) => [name, category])));
+
+// Tasks over 50ms block the main thread, as for TBT
+const LONG_TASK_THRESHOLD = 50;
+
+// Max number of scripts and long tasks kept in the attribution
+const MAX_SCRIPTS = 30;
+const MAX_LONG_TASKS = 20;
+
+/**
+ * Starts tracing the page.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<void>}
+ */
+export async function startTracing(page) {
+  await page.tracing.start({ categories: TRACE_CATEGORIES });
+}
+
+/**
+ * Stops tracing the page.
+ * @param {Object} page - The puppeteer page.
+ * @returns {Promise<Object[]>} The trace events.
+ */
+export async function stopTracing(page) {
+  const buffer = await page.tracing.stop();
+  return JSON.parse(Buffer.from(buffer).toString('utf8')).traceEvents || [];
+}
+
+function getCategory(event) {
+  if (CATEGORY_BY_EVENT.has(event.name)) {
+    return CATEGORY_BY_EVENT.get(event.name);
+  }
+  return /^(V8\.GC|BlinkGC|CppGC)/.test(event.name) ? 'gc' : null;
+}
+
+function getUrl(event) {
+  const { data, beginData } = event.args || {};
+  const url = data?.url || data?.stackTrace?.[0]?.url || beginData?.url || beginData?.stackTrace?.[0]?.url;
+  return url?.startsWith('http') ? url : null;
+}
+
+/**
+ * Finds the main thread of the page and its navigation start, from the last navigation of the main frame.
+ * @param {Object[]} events - The trace events.
+ * @returns {Object|null} The `pid`, `tid` and `navigationStart` (in microseconds), null if the page did not navigate.
+ */
+function findMainThread(events) {
+  const navigation = events.findLast((e) => e.name === 'navigationStart'
+    && e.args?.data?.isLoadingMainFrame && e.args.data.documentLoaderURL?.startsWith('http'));
+  if (!navigation) {
+    return null;
+  }
+  return { pid: navigation.pid, tid: navigation.tid, navigationStart: navigation.ts };
+}
+
+/**
+ * Builds the tree of the main-thread events, computing the self time of each event,
+ * the category it counts for and the script it is attributed to (its own or its closest ancestor's).
+ * @param {Object[]} events - The complete events of the main thread.
+ * @returns {Object[]} The nodes ({ event, start, end, self, category, url, root }), in microseconds.
+ */
+function buildTree(events) {
+  const sorted = [...events].sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+  const nodes = [];
+  const stack = [];
+  sorted.forEach((event) => {
+    while (stack.length > 0 && stack[stack.length - 1].end <= event.ts) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    const end = parent ? Math.min(event.ts + event.dur, parent.end) : event.ts + event.dur;
+    const node = {
+      event,
+      start: event.ts,
+      end,
+      self: end - event.ts,
+      category: getCategory(event) || parent?.category || 'other',
+      url: getUrl(event) || parent?.url || null,
+      root: parent ? parent.root : null,
+    };
+    node.root = node.root || node;
+    if (parent) {
+      parent.self -= node.end - node.start;
+    }
+    nodes.push(node);
+    stack.push(node);
+  });
+  return nodes;
+}
+
+const emptyTimes = () => ({ total: 0, beforeLcp: 0, afterLcp: 0 });
+
+function addTime(times, duration, beforeLcp) {
+  times.total += duration;
+  times[beforeLcp ? 'beforeLcp' : 'afterLcp'] += duration;
+}
+
+function roundTimes(times) {
+  return Object.fromEntries(Object.entries(times).map(([key, value]) => [key, typeof value === 'number' ? Math.round(value) : value]));
+}
+
+/**
+ * Attributes the main-thread time of the page load to categories (parse, compile, evaluate, style, layout, paint, gc)
+ * and to the scripts and origins behind it, before and after LCP.
+ * @param {Object[]} events - The trace events.
+ * @param {String} pageUrl
+ * @param {Number} [lcpTime] - The LCP time, in milliseconds since navigation start, read from the trace when not given.
+ * @returns {Object|null} The attribution, in milliseconds, null if the main thread was not found.
+ */
+export function analyzeTrace(events, pageUrl, lcpTime) {
+  const mainThread = findMainThread(events);
+  if (!mainThread) {
+    return null;
+  }
+  const { pid, tid, navigationStart } = mainThread;
+  const lcpCandidate = events.findLast((e) => e.name === 'largestContentfulPaint::Candidate' && e.pid === pid && e.ts >= navigationStart);
+  const lcp = lcpTime ?? (lcpCandidate ? (lcpCandidate.ts - navigationStart) / 1000 : undefined);
+  const nodes = buildTree(events.filter((e) => e.pid === pid && e.tid === tid && e.ph === 'X'
+    && typeof e.dur === 'number' && e.ts >= navigationStart));
+  const toMs = (ts) => (ts - navigationStart) / 1000;
+  const isBeforeLcp = (node) => typeof lcp !== 'number' || toMs(node.start) < lcp;
+  const pageHost = new URL(pageUrl).hostname;
+
+  const total = emptyTimes();
+  const categories = Object.fromEntries(TRACE_CATEGORY_NAMES.map((category) => [category, emptyTimes()]));
+  const scripts = new Map();
+  const origins = new Map();
+  const tasks = new Map();
+  nodes.forEach((node) => {
+    const duration = node.self / 1000;
+    const beforeLcp = isBeforeLcp(node);
+    addTime(total, duration, beforeLcp);
+    addTime(categories[node.category], duration, beforeLcp);
+
+    // Time spent in each script, by task, to find the script behind each long task
+    const taskScripts = tasks.get(node.root) || new Map();
+    tasks.set(node.root, taskScripts);
+    if (!node.url) return;
+    taskScripts.set(node.url, (taskScripts.get(node.url) || 0) + duration);
+
+    const { origin, hostname } = new URL(node.url);
+    if (!scripts.has(node.url)) {
+      scripts.set(node.url, { url: node.url, origin, thirdParty: hostname !== pageHost, ...emptyTimes(), categories: {} });
+    }
+    const script = scripts.get(node.url);
+    addTime(script, duration, beforeLcp);
+    script.categories[node.category] = (script.categories[node.category] || 0) + duration;
+    if (!origins.has(origin)) {
+      origins.set(origin, { origin, thirdParty: hostname !== pageHost, ...emptyTimes() });
+    }
+    addTime(origins.get(origin), duration, beforeLcp);
+  });
+
+  const longTasks = [...tasks.entries()]
+    .filter(([root]) => (root.end - root.start) / 1000 > LONG_TASK_THRESHOLD)
+    .map(([root, taskScripts]) => {
+      const [url] = [...taskScripts.entries()].sort((a, b) => b[1] - a[1])[0] || [null];
+      const duration = (root.end - root.start) / 1000;
+      return {
+        start: Math.round(toMs(root.start)),
+        duration: Math.round(duration),
+        blockingTime: Math.round(duration - LONG_TASK_THRESHOLD),
+        url,
+      };
+    })
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_LONG_TASKS);
+
+  return {
+    lcp: typeof lcp === 'number' ? Math.round(lcp) : null,
+    total: roundTimes(total),
+    categories: Object.fromEntries(Object.entries(categories).map(([category, times]) => [category, roundTimes(times)])),
+    scripts: [...scripts.values()]
+      .sort((a, b) => b.total - a.total)
+      .slice(0, MAX_SCRIPTS)
+      .map((script) => ({ ...roundTimes(script), categories: roundTimes(script.categories) })),
+    origins: [...origins.values()].sort((a, b) => b.total - a.total).map(roundTimes),
+    longTasks,
+  };
+}
+
+/**
+ * Summarizes the main-thread attribution, for the reports and the LLM.
+ * @param {Object} trace - The result of `analyzeTrace`.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeTrace(trace) {
+  let markdown = `## Main-Thread Attribution (Chrome trace${trace.lcp !== null ? `, LCP at ${trace.lcp}ms` : ''})\n\n`;
+  markdown += `Total main-thread time: ${trace.total.total}ms (${trace.total.beforeLcp}ms before LCP, ${trace.total.afterLcp}ms after)\n\n`;
+  markdown += '| Category | Total | Before LCP | After LCP |\n';
+  markdown += '|----------|-------|------------|-----------|\n';
+  Object.entries(trace.categories)
+    .filter(([, times]) => times.total > 0)
+    .sort(([, a], [, b]) => b.total - a.total)
+    .forEach(([category, times]) => {
+      markdown += `| ${category} | ${times.total}ms | ${times.beforeLcp}ms | ${times.afterLcp}ms |\n`;
+    });
+
+  if (trace.scripts.length > 0) {
+    markdown += '\n### Main-Thread Time by URL (scripts and documents)\n\n';
+    trace.scripts.slice(0, 15).forEach((s) => {
+      const breakdown = Object.entries(s.categories).filter(([, v]) => v > 0).map(([c, v]) => `${c} ${v}ms`).join(', ');
+      markdown += `* ${s.url}${s.thirdParty ? ' (third-party)' : ''}: ${s.total}ms (${s.beforeLcp}ms before LCP) — ${breakdown}\n`;
+    });
+  }
+
+  if (trace.origins.length > 0) {
+    markdown += '\n### Main-Thread Time by Origin\n\n';
+    trace.origins.slice(0, 10).forEach((o) => {
+      markdown += `* ${o.origin}${o.thirdParty ? ' (third-party)' : ''}: ${o.total}ms (${o.beforeLcp}ms before LCP)\n`;
+    });
+  }
+
+  if (trace.longTasks.length > 0) {
+    markdown += '\n### Long Tasks\n\n';
+    trace.longTasks.slice(0, 10).forEach((t) => {
+      markdown += `* ${t.duration}ms at ${t.start}ms (${t.blockingTime}ms blocking): ${t.url || 'rendering / no script'}\n`;
+    });
+  }
+  return markdown;
+}
@@ -0,0 +1,145 @@
+import { getLabMetrics } from './performance-collector.js';
+
+// Metrics compared across the lab runs
+export const VARIANCE_METRICS = ['lcp', 'cls', 'tbt', 'fcp', 'ttfb'];
+
+// Coefficient of variation (stdev / mean) above which a metric is too noisy to be trusted
+const MAX_VARIATION = 0.15;
+
+// Spread (max - min) under which a metric is stable whatever its variation, as small values vary a lot in relative terms
+const MIN_SPREAD = {
+  lcp: 100,
+  fcp: 100,
+  ttfb: 100,
+  tbt: 50,
+  cls: 0.02,
+  resource: 100,
+};
+
+// Max number of unstable resources listed in the summary
+const MAX_RESOURCES = 10;
+
+/**
+ * Computes a percentile, interpolating between the closest values.
+ * @param {Number[]} values
+ * @param {Number} p - The percentile, between 0 and 100.
+ * @returns {Number}
+ */
+export function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Computes the distribution of a metric over several runs.
+ * @param {Number[]} values
+ * @returns {Object} The median, p75, min, max, standard deviation and coefficient of variation.
+ */
+export function computeStats(values) {
+  const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+  const stdev = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length);
+  return {
+    median: percentile(values, 50),
+    p75: percentile(values, 75),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stdev,
+    variation: mean ? stdev / mean : 0,
+  };
+}
+
+function isUnstable(stats, kind) {
+  return stats.variation > MAX_VARIATION && stats.max - stats.min > MIN_SPREAD[kind];
+}
+
+/**
+ * Picks the run closest to the median on LCP and TBT, the metrics the analysis mostly relies on.
+ * @param {Object[]} runMetrics - The lab metrics of each run.
+ * @returns {Number} The index of the median run.
+ */
+export function selectMedianRun(runMetrics) {
+  const keys = ['lcp', 'tbt'].filter((key) => runMetrics.every((m) => typeof m[key] === 'number'));
+  const medians = Object.fromEntries(keys.map((key) => [key, percentile(runMetrics.map((m) => m[key]), 50)]));
+  const distance = (metrics) => keys.reduce((acc, key) => acc + ((metrics[key] - medians[key]) / (medians[key] || 1)) ** 2, 0);
+  return runMetrics.reduce((best, metrics, index) => (distance(metrics) < distance(runMetrics[best]) ? index : best), 0);
+}
+
+function getResourceDurations(perfEntries) {
+  return new Map((perfEntries || [])
+    .filter((e) => e.entryType === 'resource')
+    .map((e) => [e.name, e.duration]));
+}
+
+/**
+ * Analyzes the variance of several lab runs of the same page.
+ * @param {Object[][]} runs - The performance entries of each run.
+ * @returns {Object} The number of `runs`, the index of the `medianRun`, the per-run `values`,
+ *   the distribution of each metric and of the resource durations, and the list of `unstable` metrics.
+ */
+export function analyzeRuns(runs) {
+  const values = runs.map((perfEntries) => getLabMetrics(perfEntries));
+  const metrics = {};
+  VARIANCE_METRICS.forEach((metric) => {
+    const samples = values.map((v) => v[metric]).filter((v) => typeof v === 'number');
+    if (samples.length > 1) {
+      const stats = computeStats(samples);
+      metrics[metric] = { ...stats, unstable: isUnstable(stats, metric) };
+    }
+  });
+
+  // Only resources loaded in most runs are compared
+  const durations = runs.map(getResourceDurations);
+  const urls = new Set(durations.flatMap((d) => [...d.keys()]));
+  const resources = [...urls]
+    .map((url) => [url, durations.map((d) => d.get(url)).filter((v) => typeof v === 'number')])
+    .filter(([, samples]) => samples.length > 1 && samples.length >= runs.length / 2)
+    .map(([url, samples]) => {
+      const stats = computeStats(samples);
+      return { url, ...stats, unstable: isUnstable(stats, 'resource') };
+    })
+    .sort((a, b) => (b.max - b.min) - (a.max - a.min));
+
+  return {
+    runs: runs.length,
+    medianRun: selectMedianRun(values),
+    values,
+    metrics,
+    resources,
+    unstable: Object.keys(metrics).filter((metric) => metrics[metric].unstable),
+  };
+}
+
+function formatValue(metric, value) {
+  return metric === 'cls' ? value.toFixed(3) : `${Math.round(value)}ms`;
+}
+
+/**
+ * Summarizes the variance across the lab runs, for the reports and the LLM.
+ * @param {Object} variance - The result of `analyzeRuns`.
+ * @returns {String} The markdown summary.
+ */
+export function summarizeVariance(variance) {
+  let markdown = `## Lab Run Variance (${variance.runs} runs, median run #${variance.medianRun + 1} analyzed)\n\n`;
+  markdown += '| Metric | Median | p75 | Min | Max | Variation | Trust |\n';
+  markdown += '|--------|--------|-----|-----|-----|-----------|-------|\n';
+  Object.entries(variance.metrics).forEach(([metric, s]) => {
+    markdown += `| ${metric.toUpperCase()} | ${formatValue(metric, s.median)} | ${formatValue(metric, s.p75)} | ${formatValue(metric, s.min)} | ${formatValue(metric, s.max)} | ${Math.round(s.variation * 100)}% | ${s.unstable ? '⚠️ unstable' : 'ok'} |\n`;
+  });
+
+  const unstableResources = variance.resources.filter((r) => r.unstable).slice(0, MAX_RESOURCES);
+  if (unstableResources.length > 0) {
+    markdown += '\n### Resources With Unstable Timings\n\n';
+    unstableResources.forEach((r) => {
+      markdown += `* ${r.url}: median ${Math.round(r.median)}ms, p75 ${Math.round(r.p75)}ms, range ${Math.round(r.min)}-${Math.round(r.max)}ms\n`;
+    });
+  }
+
+  if (variance.unstable.length > 0) {
+    markdown += `\n**Note:** ${variance.unstable.map((m) => m.toUpperCase()).join(', ')} varied too much across runs to be trusted, `
+      + 'avoid drawing conclusions from small differences in these metrics.\n';
+  }
+  return markdown;
+}
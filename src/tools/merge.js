@@ -1,5 +1,6 @@
 
 import { readCache, cacheResults } from '../utils.js';
+import { getLcpSubParts } from './lab/performance-collector.js';
 
 
 const formatTime = (x) => (x !== 0 ? Math.round(x) : 0);
@@ -189,6 +190,8 @@ const reportINP = (entry) => {
     duration,
     name,
     target,
+    interaction,
+    scripts = [],
   } = entry;
   const inputDelay = Math.round(processingStart - startTime);
   const processingTime = Math.round(processingEnd - processingStart);
@@ -202,6 +205,8 @@ const reportINP = (entry) => {
     duration,
     issues: [`INP: ${inputDelay}ms input delay, ${processingTime}ms processing time, ${presentationDelay}ms presentation delay`],
     element: target || '',
+    interaction: interaction?.label || '',
+    url: scripts[0]?.sourceURL || '',
   };
 };
 
@@ -258,6 +263,10 @@ function getData(har, perf) {
   perf.forEach((entry, index) => {
     const matchingHar = har.log?.entries?.find((h) => h.request?.url === entry.name);
     const merged = getReport(entry, matchingHar);
+    // Entries of the scroll phase are told apart from the ones of the page load
+    if (entry.phase) {
+      merged.phase = entry.phase;
+    }
 
     // merged.performance = entry;
     // merged.har = matchingHar;
@@ -268,15 +277,39 @@ function getData(har, perf) {
   return data;
 }
 
-export default function merge(siteURL, type) {
-  const har = readCache(siteURL, type, 'har') || {};
-  const perf = readCache(siteURL, type, 'perf') || [];
+/**
+ * Builds the timeline of the performance entries, joined with their HAR entries, sorted by start time.
+ * @param {Object} har
+ * @param {Object[]} perf - The performance entries.
+ * @returns {Object[]} The timeline entries, with their `id`.
+ */
+export function getTimeline(har, perf) {
   const data = getData(har, perf);
-
   data.sort((a, b) => a.start - b.start);
   data.forEach((d, i) => {
     d.id = i;
   });
+  return data;
+}
+
+export default function merge(siteURL, type) {
+  const har = readCache(siteURL, type, 'har') || {};
+  const perf = readCache(siteURL, type, 'perf') || [];
+  const data = getTimeline(har, perf);
+
+  // The final LCP carries its breakdown, to compare it with the sub-parts of the CrUX LCP
+  const lcp = data.filter((d) => d.entryType === 'LCP').pop();
+  const subParts = getLcpSubParts(perf, har);
+  if (lcp && subParts) {
+    lcp.subParts = {
+      ...subParts,
+      ttfb: formatTime(subParts.ttfb),
+      loadDelay: formatTime(subParts.loadDelay),
+      loadDuration: formatTime(subParts.loadDuration),
+      renderDelay: formatTime(subParts.renderDelay),
+      lcp: formatTime(subParts.lcp),
+    };
+  }
 
   const merged = {
     url: siteURL,
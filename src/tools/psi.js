@@ -1,5 +1,8 @@
 import psi from 'psi';
 import { cacheResults, getCachedResults } from '../utils.js';
+import { throttle } from '../core/rate-limiter.js';
+import { getEnv } from '../core/context.js';
+import { getDeviceType } from '../core/profiles.js';
 
 function cleanup(psiAudit) {
   // removing all base 64 encoded images from the json
@@ -162,8 +165,15 @@ export function summarize(psiData) {
   return report;
 }
 
+// PSI runs on Google's servers, which cannot reach gated pages
+const AUTH_SKIPPED = 'PSI data is not available for gated pages, the lab data is used instead.';
+
 export async function collect(pageUrl, deviceType, options = {}) {
-  const { skipCache = false } = options;
+  const { skipCache = false, auth } = options;
+
+  if (auth?.gated) {
+    return { full: null, summary: AUTH_SKIPPED, skipped: true };
+  }
 
   if (!skipCache) {
     const cache = getCachedResults(pageUrl, deviceType, 'psi');
@@ -173,10 +183,10 @@ export async function collect(pageUrl, deviceType, options = {}) {
   }
 
   try {
-    const psiAudit = cleanup(await psi(pageUrl, {
-      key: process.env.GOOGLE_PAGESPEED_INSIGHTS_API_KEY,
-      strategy: deviceType,
-    }));
+    const psiAudit = cleanup(await throttle('psi', () => psi(pageUrl, {
+      key: getEnv('GOOGLE_PAGESPEED_INSIGHTS_API_KEY'),
+      strategy: getDeviceType(deviceType),
+    })));
 
     cacheResults(pageUrl, deviceType, 'psi', psiAudit);
     const summary = summarize(psiAudit);
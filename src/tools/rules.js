@@ -1,6 +1,9 @@
 import { prettify } from 'htmlfy'
 import { cacheResults, getCachedResults, getCachePath } from '../utils.js';
 import rules from '../rules/index.js';
+import { logger } from '../core/logger.js';
+import { getDeviceType, resolveProfile } from '../core/profiles.js';
+import { getCollectors } from '../core/collect.js';
 
 function prettifyWithOffset(str, offset = 4, code) {
   // Use the provided offset to dynamically indent each line of the prettified HTML
@@ -20,7 +23,7 @@ function prettifyWithOffset(str, offset = 4, code) {
     const prettified = prettify(str);
     return prefix + prettified.split(/\n/).map((line) => `${' '.repeat(offset)}${line}`).join('\n') + suffix;
   } catch (error) {
-    console.error('Error prettifying HTML:', error);
+    logger.error('Error prettifying HTML:', error);
     // Return the original string if prettify fails
     return prefix + str + suffix;
   }
@@ -35,14 +38,14 @@ function details(rule) {
     try {
       return `Element:\n${prettifyWithOffset(rule.element, 4, 'html')}`;
     } catch (error) {
-      console.error('Error processing element:', error);
+      logger.error('Error processing element:', error);
       return `Element: [Error processing element]`;
     }
   } else if (rule.elements) {
     try {
       return `Elements:\n${rule.elements.map((el) => prettifyWithOffset(el, 4, 'html')).join('\n')}`;
     } catch (error) {
-      console.error('Error processing elements:', error);
+      logger.error('Error processing elements:', error);
       return `Elements: [Error processing elements]`;
     }
   } else if (rule.name) {
@@ -62,10 +65,27 @@ export function summarize(rulesResults) {
     .join('\n');
 }
 
-export async function applyRules(pageUrl, deviceType, { skipCache, outputSuffix }, { crux, psi, har, perfEntries, resources, fullHtml, jsApi, report }) {
+/**
+ * Gets the settings the results of the rules depend on: the thresholds, the enabled collectors and the device profile.
+ * @param {String} deviceType
+ * @param {Object} options - The action options.
+ * @returns {Object}
+ */
+function getRulesSettings(deviceType, options) {
+  return {
+    thresholds: options.thresholds || null,
+    collectors: getCollectors(options),
+    profile: resolveProfile(deviceType),
+  };
+}
+
+export async function applyRules(pageUrl, deviceType, options, { crux, psi, har, perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report }) {
+  const { skipCache, outputSuffix, thresholds } = options;
+  // Cached results are stale when they were evaluated with other thresholds, collectors or device profile
+  const settings = getRulesSettings(deviceType, options);
   if (!skipCache) {
     const cache = getCachedResults(pageUrl, deviceType, 'rules', outputSuffix);
-    if (cache) {
+    if (cache && JSON.stringify(cache.settings) === JSON.stringify(settings)) {
       return {
         full: cache,
         summary: summarize(cache.data),
@@ -76,6 +96,31 @@ export async function applyRules(pageUrl, deviceType, { skipCache, outputSuffix
     }
   }
 
+  const json = evaluateRules(pageUrl, deviceType, thresholds, {
+    crux, psi, har, perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report,
+  });
+
+  const path = cacheResults(pageUrl, deviceType, 'rules', {
+    url: pageUrl,
+    type: deviceType,
+    settings,
+    data: json,
+  }, outputSuffix);
+  const summary = summarize(json);
+  const summaryPath = cacheResults(pageUrl, deviceType, 'rules', summary, outputSuffix);
+  return { full: json, summary, path, summaryPath };
+}
+
+/**
+ * Applies all the rules to the collected data, without caching the results.
+ * @param {String} pageUrl
+ * @param {String} deviceType
+ * @param {Object} thresholds - The config thresholds, with the rule overrides.
+ * @param {Object} data - The data the rules are applied to (crux, psi, har, perfEntries, resources, fullHtml, jsApi,
+ *   trace, consent, repeatView, bfcache, and the merged `report`).
+ * @returns {Object[]} The results of the rules.
+ */
+export function evaluateRules(pageUrl, deviceType, thresholds, { crux, psi, har, perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report }) {
   // Check if report.data exists and is an array
   if (!report.data || !Array.isArray(report.data)) {
     report.data = [];
@@ -104,22 +149,13 @@ export async function applyRules(pageUrl, deviceType, { skipCache, outputSuffix
     report.data = report.data.slice(0, 10000);
   }
   
-  const json = rules.map((r, index) => {
+  return rules.map((r, index) => {
     try {
-      const result = r({ summary: { url: pageUrl, type: deviceType }, crux, psi, har, perfEntries, resources, fullHtml, jsApi, report });
+      const result = r({ summary: { url: pageUrl, type: getDeviceType(deviceType), profile: deviceType }, crux, psi, har, perfEntries, resources, fullHtml, jsApi, trace, consent, repeatView, bfcache, report, thresholds });
       return result;
     } catch (error) {
-      console.error(`❌ Error applying rule ${index + 1}:`, error);
+      logger.error(`❌ Error applying rule ${index + 1}:`, error);
       return null;
     }
   }).flat().filter(r => r);
-
-  const path = cacheResults(pageUrl, deviceType, 'rules', {
-    url: pageUrl,
-    type: deviceType,
-    data: json,
-  }, outputSuffix);
-  const summary = summarize(json);
-  const summaryPath = cacheResults(pageUrl, deviceType, 'rules', summary, outputSuffix);
-  return { full: json, summary, path, summaryPath };
 }
@@ -6,6 +6,10 @@ import { Tiktoken } from 'js-tiktoken/lite';
 import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
 import { DEFAULT_MODEL } from './models/config.js';
 import { createHash } from 'crypto';
+import { logger } from './core/logger.js';
+import { getContext } from './core/context.js';
+import { getDeviceType } from './core/profiles.js';
+import { getAuthHeaders } from './core/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -65,7 +69,7 @@ export function normalizePath(pathToNormalize) {
   const projectRoot = getProjectRoot();
   if (!projectRoot) {
     // Fallback or error
-    console.warn('normalizePath: Project root not found. Using current working directory.');
+    logger.warn('normalizePath: Project root not found. Using current working directory.');
     return path.resolve(pathToNormalize);
   }
   return path.join(projectRoot, pathToNormalize);
@@ -89,10 +93,32 @@ function getFilename(url) {
   return filename;
 }
 
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir);
+/**
+ * Reads a cache file, from the cache adapter of the execution context when one was injected.
+ * @param {string} filePath - The path of the file in the cache folder
+ * @returns {string|null} The file content, or null if it is not cached
+ */
+function readCacheFile(filePath) {
+  const { cache } = getContext();
+  if (cache) {
+    return cache.get(path.relative(OUTPUT_DIR, filePath)) ?? null;
   }
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, { encoding: 'utf8' }) : null;
+}
+
+/**
+ * Writes a cache file, to the cache adapter of the execution context when one was injected.
+ * @param {string} filePath - The path of the file in the cache folder
+ * @param {string} content - The file content
+ */
+function writeCacheFile(filePath, content) {
+  const { cache } = getContext();
+  if (cache) {
+    cache.set(path.relative(OUTPUT_DIR, filePath), content);
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
 }
 
 function modelSuffix(model) {
@@ -111,6 +137,12 @@ function modelSuffix(model) {
   return `.${model.replace(/[^a-zA-Z0-9]/g, '')}`;
 }
 
+// Only word characters and dashes are kept, so a suffix cannot walk out of the cache directory
+function outputSuffixPart(suffix) {
+  const sanitized = suffix ? String(suffix).replace(/[^\w-]/g, '') : '';
+  return sanitized ? `.${sanitized}` : '';
+}
+
 // A crude approximation of the number of tokens in a string
 export function estimateTokenSize(obj, model = DEFAULT_MODEL) {
   if (!obj) return 0;
@@ -124,33 +156,17 @@ export function getCachedResults(urlString, deviceType, type, suffix = '', model
   if (type === 'code') {
     const url = new URL(urlString);
     const filename = getFilename(url);
-    const filePath = `${OUTPUT_DIR}/${url.hostname}/${filename}`;
-    
-    if (fs.existsSync(filePath)) {
-      return fs.readFileSync(filePath, { encoding: 'utf8' });
-    }
-    return null;
+    return readCacheFile(`${OUTPUT_DIR}/${url.hostname}/${filename}`);
   }
   
   // Handle HTML files
   if (type === 'html') {
-    const filePath = `${getFilePrefix(urlString, deviceType, 'full')}${suffix ? `.${suffix}` : ''}${modelSuffix(model)}.html`;
-    
-    if (fs.existsSync(filePath)) {
-      return fs.readFileSync(filePath, { encoding: 'utf8' });
-    }
-    return null;
+    return readCacheFile(`${getFilePrefix(urlString, deviceType, 'full')}${outputSuffixPart(suffix)}${modelSuffix(model)}.html`);
   }
   
   // Handle JSON files (default case)
-  const filePath = `${getFilePrefix(urlString, deviceType, type)}${suffix ? `.${suffix}` : ''}${modelSuffix(model)}.json`;
-  
-  if (fs.existsSync(filePath)) {
-    const content = fs.readFileSync(filePath, { encoding: 'utf8' });
-    return JSON.parse(content);
-  }
-  
-  return null;
+  const content = readCacheFile(`${getFilePrefix(urlString, deviceType, type)}${outputSuffixPart(suffix)}${modelSuffix(model)}.json`);
+  return content !== null ? JSON.parse(content) : null;
 }
 
 /**
@@ -162,7 +178,7 @@ export function getCachedResults(urlString, deviceType, type, suffix = '', model
  * @returns {string} - Constructed file path
  */
 function buildPath(basePrefix, suffix = '', model = '', extension) {
-  const suffixPart = suffix ? `.${suffix}` : '';
+  const suffixPart = outputSuffixPart(suffix);
   const modelPart = modelSuffix(model);
   return `${basePrefix}${suffixPart}${modelPart}.${extension}`;
 }
@@ -199,32 +215,38 @@ export function getCachePath(urlString, deviceType, type, suffix = '', isSummary
   return buildPath(getFilePrefix(urlString, deviceType, type), suffix, model, 'json');
 }
 
-// Save some results in the cache on the file system
+// Save some results in the cache (on the file system, unless a cache adapter was injected)
 export function cacheResults(urlString, deviceType, type, results, suffix = '', model = '') {
-  ensureDir(OUTPUT_DIR);
-  
   // Get the appropriate file path based on type
   let outputFile = getCachePath(urlString, deviceType, type, suffix, typeof results === 'string' && type !== 'html', model);
   
-  // For code files we need to ensure the parent directory exists
-  if (type === 'code') {
-    const url = new URL(urlString);
-    ensureDir(`${OUTPUT_DIR}/${url.hostname}`);
-  }
-  
   // Write the content appropriately based on type
   if (type === 'json' || (typeof results !== 'string' && type !== 'html' && type !== 'code')) {
-    fs.writeFileSync(
+    writeCacheFile(
       outputFile,
       typeof results === 'string' ? results : JSON.stringify(results, null, 2)
     );
   } else {
-    fs.writeFileSync(outputFile, results);
+    writeCacheFile(outputFile, results);
   }
   
   return outputFile;
 }
 
+/**
+ * Saves an image in the cache, next to the other artifacts of the page
+ * @param {string} urlString - The URL of the page
+ * @param {string} deviceType - Device type (mobile or desktop)
+ * @param {string} name - Name of the image (e.g., 'screenshot-lcp')
+ * @param {string} data - The base64 JPEG data
+ * @returns {string} The path of the image
+ */
+export function cacheImage(urlString, deviceType, name, data) {
+  const outputFile = `${getFilePrefix(urlString, deviceType, name)}.jpg`;
+  writeCacheFile(outputFile, Buffer.from(data, 'base64'));
+  return outputFile;
+}
+
 export function getSummaryLogger(urlString, deviceType, type) {
   const filePath = `${getFilePrefix(urlString, deviceType, type)}.summary.txt`;
   return fs.createWriteStream(filePath, {
@@ -235,11 +257,15 @@ export function getSummaryLogger(urlString, deviceType, type) {
 export function readCache(urlString, deviceType, type) {
   const filePath = `${getFilePrefix(urlString, deviceType, type)}.json`;
   try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const content = readCacheFile(filePath);
+    if (content !== null) {
+      return JSON.parse(content);
+    }
   } catch (err) {
-    console.warn(`Cache file ${filePath} does not exist`);
-    return null;
+    // Unreadable cache files are treated as missing
   }
+  logger.warn(`Cache file ${filePath} does not exist`);
+  return null;
 }
 
 function ensureHttps(url) {
@@ -258,7 +284,7 @@ export const USER_AGENTS = {
 
 /**
  * Gets HTTP headers with appropriate user agent for the request type
- * @param {string} deviceType - 'desktop' or 'mobile'
+ * @param {string} deviceType - 'desktop' or 'mobile', or a device profile
  * @returns {Object} - HTTP headers object
  */
 export function getRequestHeaders(deviceType) {
@@ -268,12 +294,19 @@ export function getRequestHeaders(deviceType) {
     'Cache-Control': 'no-cache',
     'Pragma': 'no-cache',
     'Referer': 'https://www.adobe.com/',
-    'User-Agent': USER_AGENTS.psi[deviceType],
+    'User-Agent': USER_AGENTS.psi[getDeviceType(deviceType)],
   };
 }
 
-export async function getNormalizedUrl(urlString, deviceType) {
-  const headers = getRequestHeaders(deviceType);
+/**
+ * Normalizes a page URL, following its redirects.
+ * @param {string} urlString
+ * @param {string} deviceType - 'desktop' or 'mobile', or a device profile
+ * @param {Object} [auth] - Resolved auth session, for gated pages
+ * @returns {Promise<Object>} - The normalized `url`, and `skipTlsCheck` if the certificate is invalid
+ */
+export async function getNormalizedUrl(urlString, deviceType, auth) {
+  const headers = { ...getRequestHeaders(deviceType), ...getAuthHeaders(auth, urlString) };
   let resp;
   
   let search = '';
@@ -307,7 +340,7 @@ export async function getNormalizedUrl(urlString, deviceType) {
           return { url: ensureHttps(resp.url) + search, skipTlsCheck: true };
         }
       } catch (tlsErr) {
-        console.warn('TLS bypass request failed:', tlsErr.message);
+        logger.warn('TLS bypass request failed:', tlsErr.message);
         // Continue to GET request
       }
     }
@@ -323,8 +356,9 @@ export async function getNormalizedUrl(urlString, deviceType) {
     
     // Handle redirect chains
     if (urlString !== resp.url) {
-      console.log('Redirected to', resp.url);
-      return getNormalizedUrl(resp.url, deviceType);
+      logger.info('Redirected to', resp.url);
+      // Credentials are not sent along redirects to another origin
+      return getNormalizedUrl(resp.url, deviceType, new URL(resp.url).origin === new URL(urlString).origin ? auth : undefined);
     }
     
     throw new Error(`HTTP error! status: ${resp.status}`);